@@ -4,80 +4,122 @@ let width, height;
 
 // --- AUDIO ENGINE CLASS ---
 // --- CHORD ANALYZER ---
-class ChordAnalyzer {
-    constructor() {
-        this.intervals = {
-            3: 'Minor Third',
-            4: 'Major Third',
-            5: 'Perfect Fourth',
-            7: 'Perfect Fifth',
-            12: 'Octave'
-        };
-        this.chords = {
-            '0-4-7': 'Major Triad',
-            '0-3-7': 'Minor Triad',
-            '0-4-7-11': 'Major 7th',
-            '0-3-7-10': 'Minor 7th',
-            '0-4-7-10': 'Dominant 7th',
-            '0-3-6': 'Diminished',
-            '0-4-8': 'Augmented'
-        };
-    }
+// Recognition lives in theoryEngine.analyzeFrequencies(); this only sets how
+// far (in cents) a voice may drift from the current tuning and still count.
+const CHORD_TOLERANCE_CENTS = 35;
+const analysisPanel = document.getElementById('analysis-panel'); // We need to add this to HTML
 
-    identify(activeNotes) {
-        if (activeNotes.length < 2) return null;
+// --- ENVELOPES & DYNAMICS ---
+// Stages are drawn as short linear segments rather than native exponential
+// ramps, so any curve shape works and a release can start mid-attack cleanly.
+const ENVELOPE_STEPS = 24;
+const ENVELOPE_CURVES = {
+    linear: { name: 'Linear', shape: p => p },
+    exponential: { name: 'Exponential (fast, analog)', shape: p => (1 - Math.exp(-5 * p)) / (1 - Math.exp(-5)) },
+    slow: { name: 'Slow start (swell)', shape: p => (Math.exp(5 * p) - 1) / (Math.exp(5) - 1) }
+};
 
-        // Sort frequencies low to high
-        const sorted = activeNotes.sort((a, b) => a.freq - b.freq);
-        const root = sorted[0];
+// Velocity (0-1) to loudness; brightness uses the same curve
+const VELOCITY_CURVES = {
+    linear: { name: 'Linear', map: v => v },
+    soft: { name: 'Soft (loud with a light touch)', map: v => Math.sqrt(v) },
+    hard: { name: 'Hard (needs a firm touch)', map: v => v * v },
+    fixed: { name: 'Fixed (ignore velocity)', map: () => 1 }
+};
 
-        // Calculate semitone intervals from root
-        const semitones = sorted.map(note => {
-            const ratio = note.freq / root.freq;
-            // f2 = f1 * 2^(st/12) => st = 12 * log2(ratio)
-            return Math.round(12 * Math.log2(ratio));
-        });
+// Times in seconds, sustain as a share of the peak
+const PATCH_PRESETS = {
+    default: { name: 'Default', attack: 0.05, decay: 0.15, sustain: 0.7, release: 0.1, curve: 'exponential' },
+    pluck: { name: 'Pluck', attack: 0.005, decay: 0.4, sustain: 0, release: 0.2, curve: 'exponential' },
+    piano: { name: 'Piano', attack: 0.005, decay: 1.5, sustain: 0.2, release: 0.4, curve: 'exponential' },
+    organ: { name: 'Organ', attack: 0.01, decay: 0, sustain: 1, release: 0.05, curve: 'linear' },
+    strings: { name: 'Strings', attack: 0.3, decay: 0.3, sustain: 0.85, release: 0.6, curve: 'linear' },
+    pad: { name: 'Pad (swell)', attack: 1.2, decay: 0.5, sustain: 0.8, release: 1.5, curve: 'slow' }
+};
 
-        // Key String for Check (remove duplicates)
-        const uniqueSemitones = [...new Set(semitones)];
-        const key = uniqueSemitones.join('-');
+// --- SUBTRACTIVE VOICE ---
+// Every voice: oscillators (unison + osc 2) -> velocity tone -> filter -> amp
+// envelope -> amplitude mod -> pan. The mod matrix adds sources onto AudioParams.
+// FM, AM and ring modes swap the oscillators for sine operators; the rest stays.
+const SYNTH_MODES = {
+    subtractive: { name: 'Subtractive' },
+    fm2: { name: 'FM (2 operators)' },
+    fm4: { name: 'FM (4 operators)' },
+    am: { name: 'AM' },
+    ring: { name: 'Ring modulation' }
+};
 
-        // Match Chord
-        let chordName = this.chords[key];
+// 4-operator routings as [modulator, carrier] operator numbers; only carriers are heard
+const FM_ALGORITHMS = {
+    stack: { name: 'Stack 4→3→2→1', edges: [[4, 3], [3, 2], [2, 1]], carriers: [1] },
+    branch: { name: '2 + 3 + 4 → 1', edges: [[2, 1], [3, 1], [4, 1]], carriers: [1] },
+    twoStacks: { name: '2→1 and 4→3', edges: [[2, 1], [4, 3]], carriers: [1, 3] }
+};
+const FILTER_TYPES = {
+    lowpass: { name: 'Low-pass' },
+    highpass: { name: 'High-pass' },
+    bandpass: { name: 'Band-pass' }
+};
 
-        // If 2 notes, check intervals
-        if (!chordName && uniqueSemitones.length === 2) {
-            const interval = uniqueSemitones[1]; // [0, 7] -> 7
-            chordName = this.intervals[interval] || 'Interval';
-        }
+const LFO_SHAPES = {
+    sine: { name: 'Sine' },
+    triangle: { name: 'Triangle' },
+    square: { name: 'Square' },
+    sawtooth: { name: 'Sawtooth' }
+};
 
-        // Calculate Ratios for Math foundation
-        const ratios = sorted.map(note => {
-            const r = note.freq / root.freq;
-            return r.toFixed(2);
-        });
+// LFOs swing -1..1, the rest run 0..1. CC sources follow MIDI control changes.
+const MOD_SOURCES = {
+    lfo1: { name: 'LFO 1' },
+    lfo2: { name: 'LFO 2' },
+    modEnv: { name: 'Filter envelope' },
+    velocity: { name: 'Velocity' },
+    cc1: { name: 'Mod wheel (CC1)', cc: 1 },
+    cc11: { name: 'Expression (CC11)', cc: 11 },
+    cc74: { name: 'Brightness (CC74)', cc: 74 }
+};
 
-        // Determine Stability (Consonance)
-        // Simple heuristic: Perfect 5th (3:2) and Maj 3rd (5:4) are consonant. 
-        // Tritone (6 semitones) is dissonant.
-        // Seconds (1, 2) and Sevenths (10, 11) are dissonant.
-        let stability = 'Consonant';
-        if (uniqueSemitones.some(s => [1, 2, 6, 10, 11].includes(s % 12))) {
-            stability = 'Dissonant';
-        }
+// What an amount of 1 (100%) does to each destination
+const MOD_TARGETS = {
+    pitch: { name: 'Pitch', depth: 1200, unit: '¢' }, // osc.detune
+    cutoff: { name: 'Filter cutoff', depth: 4800, unit: '¢' }, // filter.detune: 4 octaves
+    amplitude: { name: 'Amplitude', depth: 1, unit: '' },
+    pan: { name: 'Pan', depth: 1, unit: '' }
+};
 
-        return {
-            root: root.note,
-            chordName: chordName || 'Unknown',
-            semitones: uniqueSemitones,
-            ratios: ratios,
-            stability: stability
-        };
-    }
-}
+// Transparent until edited: open low-pass, one oscillator, no routes
+const SYNTH_DEFAULTS = {
+    unison: 1,
+    spread: 12, // Cents between the outermost unison oscillators
+    osc2Type: 'off',
+    osc2Semitones: -12,
+    osc2Level: 0.5,
+    filterType: 'lowpass',
+    cutoff: 20000,
+    resonance: Math.SQRT1_2,
+    filterEnvAmount: 0, // Octaves the filter envelope opens the cutoff by
+    modEnv: { attack: 0.01, decay: 0.4, sustain: 0.3, release: 0.3, curve: 'exponential' },
+    lfo1: { shape: 'sine', rate: 5 },
+    lfo2: { shape: 'triangle', rate: 0.3 },
+    routes: [], // [{ source: MOD_SOURCES key, target: MOD_TARGETS key, amount: -1..1 }]
+    synthMode: 'subtractive',
+    fmAlgorithm: 'stack',
+    // Frequency = note x ratio; index = β, the peak deviation in multiples of the operator's own frequency
+    operators: [{ ratio: 1, index: 0 }, { ratio: 1, index: 2 }, { ratio: 2, index: 1 }, { ratio: 3, index: 0.5 }],
+    amDepth: 1
+};
 
-const analyzer = new ChordAnalyzer();
-const analysisPanel = document.getElementById('analysis-panel'); // We need to add this to HTML
+// --- VOICE ALLOCATION ---
+// Which sounding note gives way when a new one needs a voice past the polyphony limit
+const VOICE_STEAL_MODES = {
+    oldest: { name: 'Steal oldest' },
+    quietest: { name: 'Steal quietest' },
+    sameNote: { name: 'Retrigger same note, else oldest' }
+};
+const STEAL_RELEASE_SECONDS = 0.008; // Fast enough to free the voice, slow enough not to click
+
+// Brick-wall-ish limiter on the mix (DynamicsCompressor settings)
+const MASTER_LIMITER = { threshold: -6, knee: 0, ratio: 20, attack: 0.002, release: 0.1 };
 
 // --- AUDIO ENGINE CLASS ---
 class AudioEngine {
@@ -90,6 +132,167 @@ class AudioEngine {
         this.voices = {};
         this.droneVoice = null; // Separate drone
         this.polyphonyLimit = 16;
+        this.stealMode = 'oldest'; // VOICE_STEAL_MODES key
+        this.normalizeGain = true; // Scale the mix by 1/√voices so chords don't pile up
+        this.masterLevel = 0.4;
+        this.limiter = null;
+        this.voiceCount = 0; // Start order, for stealing the oldest
+        this.stolenCount = 0;
+        this.customWave = null; // { real, imag } Fourier coefficients for type 'custom'
+        this.periodicWave = null; // PeriodicWave built from customWave once the context exists
+        this.lfos = {}; // lfo1/lfo2: free-running OscillatorNodes shared by every voice
+        this.ccSources = {}; // MIDI CC number -> ConstantSourceNode (0-1)
+        this.filterProbe = null; // Unconnected BiquadFilter for drawing the filter's response
+
+        // ADSR and velocity response; each voice keeps the patch it started with
+        const { name, ...envelope } = PATCH_PRESETS.default;
+        this.patch = {
+            ...envelope,
+            velocityCurve: 'linear',
+            brightness: 0.5, // 0 = velocity only changes loudness, 1 = soft notes are also dark
+            keyVelocity: 0.75, // Computer-keyboard notes: a key press has no force to measure
+            ...SYNTH_DEFAULTS
+        };
+    }
+
+    // Filter and LFO changes reach sounding notes; oscillator and routing changes the next ones
+    setPatch(changes) {
+        this.patch = { ...this.patch, ...changes };
+        if (!this.ctx) return;
+
+        if (['filterType', 'cutoff', 'resonance'].some(k => k in changes)) {
+            this.getAllVoices().forEach(v => this.applyFilter(v.vcf, this.patch));
+        }
+        if ('lfo1' in changes || 'lfo2' in changes) this.updateLfos();
+
+        // Ratio, index and depth are the knobs to turn while listening: retune held operators
+        if ('operators' in changes || 'amDepth' in changes) {
+            this.getAllVoices()
+                .filter(v => v.patch.synthMode === this.patch.synthMode && v.patch.fmAlgorithm === this.patch.fmAlgorithm)
+                .forEach(v => {
+                    v.patch = { ...v.patch, operators: this.patch.operators, amDepth: this.patch.amDepth };
+                    this.setVoiceFrequency(v, v.frequency);
+                });
+        }
+    }
+
+    getAllVoices() {
+        const voices = Object.values(this.voices);
+        if (this.droneVoice) voices.push(this.droneVoice);
+        return voices;
+    }
+
+    // Knob moves glide so they don't zip; a new voice (glide 0) starts on the patch values,
+    // not the node's 350 Hz default
+    applyFilter(filter, patch, glide = 0.01) {
+        const now = this.ctx.currentTime;
+        const set = (param, value) => (glide ? param.setTargetAtTime(value, now, glide) : param.setValueAtTime(value, now));
+        filter.type = patch.filterType;
+        set(filter.frequency, Math.min(patch.cutoff, this.ctx.sampleRate / 2));
+        set(filter.Q, patch.resonance);
+    }
+
+    updateLfos() {
+        ['lfo1', 'lfo2'].forEach(name => {
+            if (!this.lfos[name]) {
+                this.lfos[name] = this.ctx.createOscillator();
+                this.lfos[name].start();
+            }
+            this.lfos[name].type = this.patch[name].shape;
+            this.lfos[name].frequency.setTargetAtTime(this.patch[name].rate, this.ctx.currentTime, 0.01);
+        });
+    }
+
+    // MIDI control change (value 0-1); held notes routed from it follow at once
+    setControlChange(cc, value) {
+        this.init();
+        this.getControlSource(cc).offset.setTargetAtTime(value, this.ctx.currentTime, 0.01);
+    }
+
+    getControlSource(cc) {
+        if (!this.ccSources[cc]) {
+            this.ccSources[cc] = this.ctx.createConstantSource();
+            this.ccSources[cc].offset.value = 0;
+            this.ccSources[cc].start();
+        }
+        return this.ccSources[cc];
+    }
+
+    // Magnitude response of the patch's filter at `frequencies` (Float32Array), or null if unsupported
+    getFilterResponse(frequencies) {
+        if (!this.filterProbe || typeof this.filterProbe.getFrequencyResponse !== 'function') return null;
+        this.filterProbe.type = this.patch.filterType;
+        this.filterProbe.frequency.value = Math.min(this.patch.cutoff, this.ctx.sampleRate / 2);
+        this.filterProbe.Q.value = this.patch.resonance;
+
+        const magnitude = new Float32Array(frequencies.length);
+        this.filterProbe.getFrequencyResponse(frequencies, magnitude, new Float32Array(frequencies.length));
+        return magnitude;
+    }
+
+    // Ramp `param` from one level to another over `duration` along the patch's curve shape
+    scheduleEnvelopeStage(param, from, to, start, duration, curve) {
+        const shape = (ENVELOPE_CURVES[curve] || ENVELOPE_CURVES.linear).shape;
+        const length = Math.max(duration, 0.003); // Even a zero attack needs a few ms not to click
+
+        param.setValueAtTime(from, start);
+        for (let i = 1; i <= ENVELOPE_STEPS; i++) {
+            param.linearRampToValueAtTime(from + (to - from) * shape(i / ENVELOPE_STEPS), start + (length * i) / ENVELOPE_STEPS);
+        }
+        return start + length;
+    }
+
+    // Attack to the peak, then decay to sustain (or hold the peak for drones).
+    // adsr: { attack, decay, sustain, release, curve } - the patch itself or patch.modEnv
+    triggerEnvelope(param, adsr, peak, hold = false) {
+        const now = this.ctx.currentTime;
+        const attackEnd = this.scheduleEnvelopeStage(param, 0, peak, now, adsr.attack, adsr.curve);
+        if (!hold) this.scheduleEnvelopeStage(param, peak, peak * adsr.sustain, attackEnd, adsr.decay, adsr.curve);
+    }
+
+    // Release from wherever the envelope is now; returns when it reaches zero
+    releaseEnvelope(param, adsr) {
+        const now = this.ctx.currentTime;
+        const level = param.value;
+        param.cancelScheduledValues(now);
+        return this.scheduleEnvelopeStage(param, level, 0, now, adsr.release, adsr.curve);
+    }
+
+    getVelocityGain(velocity, patch = this.patch) {
+        const curve = VELOCITY_CURVES[patch.velocityCurve] || VELOCITY_CURVES.linear;
+        return curve.map(Math.min(1, Math.max(0, velocity)));
+    }
+
+    // Softer notes close a low-pass toward the 2nd harmonic; full velocity leaves it open.
+    // The cutoff moves in octaves (log scale) between the two, as the ear hears it.
+    getVelocityCutoff(freq, velocity, patch = this.patch) {
+        const open = this.ctx.sampleRate / 2;
+        const dark = Math.min(freq * 2, open);
+        const t = 1 - patch.brightness * (1 - this.getVelocityGain(velocity, patch));
+        return dark * Math.pow(open / dark, t);
+    }
+
+    // Oscillator types are the built-in shapes plus 'custom' (the harmonic editor's PeriodicWave)
+    applyWaveform(osc, type) {
+        if (type === 'custom' && this.customWave) {
+            if (!this.periodicWave) {
+                this.periodicWave = this.ctx.createPeriodicWave(this.customWave.real, this.customWave.imag);
+            }
+            osc.setPeriodicWave(this.periodicWave);
+        } else {
+            osc.type = type === 'custom' ? 'sine' : type;
+        }
+    }
+
+    // New harmonics retune every sounding 'custom' voice, not just the next note
+    setCustomWave(coefficients) {
+        this.customWave = coefficients;
+        this.periodicWave = null;
+        if (!this.ctx) return;
+
+        this.getAllVoices()
+            .filter(v => v.type === 'custom')
+            .forEach(v => v.mainOscillators.forEach(osc => this.applyWaveform(osc, 'custom')));
     }
 
     getActiveNotes() {
@@ -97,14 +300,14 @@ class AudioEngine {
 
         // 1. Drone
         if (this.droneVoice && this.droneVoice.osc) {
-            notes.push({ freq: this.droneVoice.osc.frequency.value, note: 'Drone' });
+            notes.push({ freq: this.droneVoice.frequency, note: 'Drone' });
         }
 
         // 2. Transients (Keys + MIDI)
         // Every voice in `this.voices` is now included
         Object.keys(this.voices).forEach(key => {
             const v = this.voices[key];
-            const f = v.osc.frequency.value;
+            const f = v.frequency;
             // Provide a note label for the analyzer if we have it
             notes.push({ freq: f, note: key.includes('_') ? key.split('_')[0] : 'Note' });
         });
@@ -118,7 +321,12 @@ class AudioEngine {
         this.ctx = new AudioCtor();
 
         this.masterGain = this.ctx.createGain();
-        this.masterGain.gain.value = 0.4;
+        this.masterGain.gain.value = this.masterLevel;
+
+        this.limiter = this.ctx.createDynamicsCompressor();
+        Object.entries(MASTER_LIMITER).forEach(([param, value]) => {
+            this.limiter[param].value = value;
+        });
 
         // New: Master Analyser (Mix)
         this.masterAnalyser = this.ctx.createAnalyser();
@@ -129,17 +337,21 @@ class AudioEngine {
         this.analyserL.fftSize = 2048;
         this.analyserR.fftSize = 2048;
 
-        // Routing: MasterGain -> MasterAnalyser -> Splitter -> (L/R Analysers)
+        // Routing: MasterGain -> Limiter -> MasterAnalyser -> Splitter -> (L/R Analysers)
         const splitter = this.ctx.createChannelSplitter(2);
 
-        this.masterGain.connect(this.masterAnalyser);
+        this.masterGain.connect(this.limiter);
+        this.limiter.connect(this.masterAnalyser);
         this.masterAnalyser.connect(splitter);
 
         splitter.connect(this.analyserL, 0);
         splitter.connect(this.analyserR, 1);
 
         // Output to speakers
-        this.masterGain.connect(this.ctx.destination);
+        this.limiter.connect(this.ctx.destination);
+
+        this.filterProbe = this.ctx.createBiquadFilter();
+        this.updateLfos();
     }
 
     resume() {
@@ -148,6 +360,281 @@ class AudioEngine {
         }
     }
 
+    // --- VOICE ALLOCATION & GAIN STAGING ---
+    getActiveVoiceCount() {
+        return Object.keys(this.voices).length + (this.droneVoice ? 1 : 0);
+    }
+
+    // Uncorrelated voices add up in power, so 1/√n keeps the mix level roughly steady
+    updateVoiceGain() {
+        if (!this.ctx) return;
+        const count = Math.max(1, this.getActiveVoiceCount());
+        const level = this.normalizeGain ? this.masterLevel / Math.sqrt(count) : this.masterLevel;
+        this.masterGain.gain.setTargetAtTime(level, this.ctx.currentTime, 0.02);
+    }
+
+    // Gain reduction the limiter is applying right now, in dB (0 = untouched)
+    getLimiterReduction() {
+        if (!this.limiter) return 0;
+        const reduction = this.limiter.reduction;
+        return typeof reduction === 'number' ? reduction : (reduction ? reduction.value : 0);
+    }
+
+    // Voices that may be stolen: everything but held tones (theory drones)
+    getStealableVoices() {
+        return Object.entries(this.voices).filter(([, v]) => !v.hold);
+    }
+
+    // Key of a stealable voice already sounding `freq` (within a cent), or null
+    findSameNoteVoice(freq) {
+        const same = this.getStealableVoices().find(([, v]) => Math.abs(1200 * Math.log2(v.frequency / freq)) < 1);
+        return same ? same[0] : null;
+    }
+
+    // Key of the voice a new note at `freq` should replace, or null if none may go
+    chooseVoiceToSteal(freq, mode = this.stealMode) {
+        const candidates = this.getStealableVoices();
+        if (candidates.length === 0) return null;
+        if (mode === 'sameNote' && this.findSameNoteVoice(freq)) return this.findSameNoteVoice(freq);
+
+        const score = mode === 'quietest'
+            ? ([, v]) => v.env.gain.value
+            : ([, v]) => v.order;
+        return candidates.reduce((best, entry) => (score(entry) < score(best) ? entry : best))[0];
+    }
+
+    // Free a voice with a release short enough to reuse it at once but without a click
+    stealVoice(key) {
+        const voice = this.voices[key];
+        if (!voice) return;
+
+        const now = this.ctx.currentTime;
+        voice.env.gain.cancelScheduledValues(now);
+        voice.env.gain.setValueAtTime(voice.env.gain.value, now);
+        voice.env.gain.linearRampToValueAtTime(0, now + STEAL_RELEASE_SECONDS);
+        this.stopVoiceNodes(voice, now + STEAL_RELEASE_SECONDS + 0.01);
+
+        delete this.voices[key];
+        this.stolenCount++;
+    }
+
+    // Make room for a note: retrigger its twin, or steal one at the polyphony limit
+    allocateVoice(freq) {
+        if (this.stealMode === 'sameNote') {
+            const twin = this.findSameNoteVoice(freq);
+            if (twin) this.stealVoice(twin);
+        }
+        if (Object.keys(this.voices).length < this.polyphonyLimit) return true;
+
+        const victim = this.chooseVoiceToSteal(freq);
+        if (!victim) return false;
+        this.stealVoice(victim);
+        return true;
+    }
+
+    // --- SUBTRACTIVE VOICE ---
+    /**
+     * Build one voice from the patch (not yet connected to the output)
+     * @returns {object} Nodes plus { osc (first oscillator), type, patch, velocity, hold }
+     */
+    createVoice(freq, type, velocity, patch, pan, hold) {
+        const now = this.ctx.currentTime;
+        const mix = this.ctx.createGain();
+        const sound = SYNTH_MODES[patch.synthMode] && patch.synthMode !== 'subtractive'
+            ? this.createOperators(patch, mix)
+            : this.createOscillators(freq, type, patch, mix);
+
+        const tone = this.ctx.createBiquadFilter(); // Velocity brightness
+        tone.type = 'lowpass';
+        tone.Q.value = Math.SQRT1_2; // No resonant peak, just a roll-off
+        tone.frequency.value = this.getVelocityCutoff(freq, velocity, patch);
+
+        const vcf = this.ctx.createBiquadFilter();
+        this.applyFilter(vcf, patch, 0);
+
+        const env = this.ctx.createGain();
+        const ampMod = this.ctx.createGain();
+        const panner = this.ctx.createStereoPanner();
+        ampMod.gain.value = 1;
+        panner.pan.value = pan;
+
+        mix.connect(tone);
+        tone.connect(vcf);
+        vcf.connect(env);
+        env.connect(ampMod);
+        ampMod.connect(panner);
+
+        this.triggerEnvelope(env.gain, patch, this.getVelocityGain(velocity, patch), hold);
+
+        const voice = {
+            ...sound, tone, vcf, env, ampMod, panner,
+            sources: [], links: [], type, patch, velocity, hold, frequency: freq
+        };
+        this.setVoiceFrequency(voice, freq, 0);
+        this.connectModulation(voice);
+        voice.oscillators.forEach(osc => osc.start(now));
+        return voice;
+    }
+
+    // Subtractive: unison copies of the waveform spread evenly across `spread` cents, plus osc 2
+    createOscillators(freq, type, patch, output) {
+        const mainOscillators = [];
+        const unison = Math.max(1, Math.round(patch.unison));
+        const unisonGain = this.ctx.createGain();
+        unisonGain.gain.value = 1 / Math.sqrt(unison);
+        for (let i = 0; i < unison; i++) {
+            const osc = this.ctx.createOscillator();
+            this.applyWaveform(osc, type);
+            osc.detune.value = unison > 1 ? patch.spread * (i / (unison - 1) - 0.5) : 0;
+            osc.connect(unisonGain);
+            mainOscillators.push(osc);
+        }
+        unisonGain.connect(output);
+
+        const oscillators = [...mainOscillators];
+        if (patch.osc2Type !== 'off') {
+            const osc2 = this.ctx.createOscillator();
+            const osc2Gain = this.ctx.createGain();
+            osc2.type = patch.osc2Type;
+            osc2.detune.value = patch.osc2Semitones * 100;
+            osc2Gain.gain.value = patch.osc2Level;
+            osc2.connect(osc2Gain);
+            osc2Gain.connect(output);
+            oscillators.push(osc2);
+        }
+        return { osc: mainOscillators[0], oscillators, mainOscillators, fmLinks: [], am: null };
+    }
+
+    /**
+     * FM / AM / ring: sine operators at note x ratio. An FM link feeds a modulator
+     * into its carrier's frequency with a deviation of index x the modulator's
+     * frequency (set in setVoiceFrequency, so it follows the note).
+     */
+    createOperators(patch, output) {
+        const mode = patch.synthMode;
+        const count = mode === 'fm4' ? 4 : 2;
+        const oscillators = patch.operators.slice(0, count).map(() => {
+            const osc = this.ctx.createOscillator();
+            osc.type = 'sine';
+            return osc;
+        });
+
+        const fmLinks = [];
+        let am = null;
+        let carriers = [1];
+        if (mode === 'am' || mode === 'ring') {
+            // Operator 2 drives the gain of operator 1
+            const amp = this.ctx.createGain();
+            const depth = this.ctx.createGain();
+            oscillators[0].connect(amp);
+            oscillators[1].connect(depth);
+            depth.connect(amp.gain);
+            amp.connect(output);
+            am = { amp, depth };
+            carriers = [];
+        } else {
+            const algorithm = mode === 'fm4'
+                ? FM_ALGORITHMS[patch.fmAlgorithm] || FM_ALGORITHMS.stack
+                : { edges: [[2, 1]], carriers: [1] };
+            algorithm.edges.forEach(([modulator, carrier]) => {
+                const gain = this.ctx.createGain();
+                oscillators[modulator - 1].connect(gain);
+                gain.connect(oscillators[carrier - 1].frequency);
+                fmLinks.push({ gain, operator: modulator - 1 });
+            });
+            carriers = algorithm.carriers;
+        }
+
+        if (carriers.length) {
+            const carrierMix = this.ctx.createGain();
+            carrierMix.gain.value = 1 / Math.sqrt(carriers.length);
+            carriers.forEach(n => oscillators[n - 1].connect(carrierMix));
+            carrierMix.connect(output);
+        }
+        // No waveform-following oscillators: operators stay sines so the sideband maths holds
+        return { osc: oscillators[0], oscillators, mainOscillators: [], fmLinks, am };
+    }
+
+    // Mod matrix: each route is source -> gain (amount x depth) -> destination AudioParam(s)
+    connectModulation(voice) {
+        const { patch } = voice;
+        const routes = patch.routes.filter(r => r.amount !== 0 && MOD_SOURCES[r.source] && MOD_TARGETS[r.target]);
+        if (patch.filterEnvAmount !== 0) {
+            routes.push({ source: 'modEnv', target: 'cutoff', amount: (patch.filterEnvAmount * 1200) / MOD_TARGETS.cutoff.depth });
+        }
+
+        const perVoice = {};
+        const getSource = name => {
+            if (name === 'lfo1' || name === 'lfo2') return this.lfos[name];
+            if (MOD_SOURCES[name].cc) return this.getControlSource(MOD_SOURCES[name].cc);
+            if (!perVoice[name]) {
+                const source = this.ctx.createConstantSource();
+                if (name === 'modEnv') {
+                    this.triggerEnvelope(source.offset, patch.modEnv, 1, voice.hold);
+                    voice.modEnv = source;
+                } else {
+                    source.offset.value = voice.velocity;
+                }
+                source.start();
+                voice.sources.push(source);
+                perVoice[name] = source;
+            }
+            return perVoice[name];
+        };
+        const destinations = {
+            pitch: () => voice.oscillators.map(osc => osc.detune),
+            cutoff: () => [voice.vcf.detune],
+            amplitude: () => [voice.ampMod.gain],
+            pan: () => [voice.panner.pan]
+        };
+
+        routes.forEach(route => {
+            const source = getSource(route.source);
+            const gain = this.ctx.createGain();
+            gain.gain.value = route.amount * MOD_TARGETS[route.target].depth;
+            source.connect(gain);
+            destinations[route.target]().forEach(param => gain.connect(param));
+            voice.links.push([source, gain]);
+        });
+    }
+
+    // Stop a voice's sources at `when` and unhook it from the shared LFO/CC sources once silent
+    stopVoiceNodes(voice, when) {
+        voice.oscillators.forEach(osc => osc.stop(when));
+        voice.sources.forEach(source => source.stop(when));
+        voice.osc.onended = () => {
+            voice.links.forEach(([source, gain]) => {
+                source.disconnect(gain);
+                gain.disconnect();
+            });
+        };
+    }
+
+    // Amp and filter envelopes both release; the voice ends with the amp
+    releaseVoice(voice) {
+        const end = this.releaseEnvelope(voice.env.gain, voice.patch);
+        if (voice.modEnv) this.releaseEnvelope(voice.modEnv.offset, voice.patch.modEnv);
+        this.stopVoiceNodes(voice, end + 0.02);
+    }
+
+    // Operators keep their ratios and FM deviation scales with the note; glide 0 = jump
+    setVoiceFrequency(voice, freq, glide = 0.05) {
+        const now = this.ctx.currentTime;
+        const set = (param, value) => (glide ? param.setTargetAtTime(value, now, glide) : param.setValueAtTime(value, now));
+        const { operators, amDepth, synthMode } = voice.patch;
+        const ratio = i => (voice.mainOscillators.length ? 1 : operators[i].ratio);
+
+        voice.frequency = freq;
+        voice.oscillators.forEach((osc, i) => set(osc.frequency, freq * ratio(i)));
+        voice.fmLinks.forEach(({ gain, operator }) => set(gain.gain, operators[operator].index * freq * ratio(operator)));
+        if (voice.am) {
+            // AM: (1 + m·mod) / (1 + m) keeps the peak at 1; ring: carrier x modulator
+            const ring = synthMode === 'ring';
+            set(voice.am.amp.gain, ring ? 0 : 1 / (1 + amDepth));
+            set(voice.am.depth.gain, ring ? 1 : amDepth / (1 + amDepth));
+        }
+    }
+
     // --- CONTINUOUS DRONE (Separate from Transient Notes) ---
     playDrone(freq, type = 'sine') {
         this.init();
@@ -155,93 +642,55 @@ class AudioEngine {
 
         // If drone exists, just update it
         if (this.droneVoice) {
-            this.droneVoice.osc.frequency.setTargetAtTime(freq, this.ctx.currentTime, 0.05);
-            this.droneVoice.osc.type = type;
+            this.setVoiceFrequency(this.droneVoice, freq);
+            this.droneVoice.mainOscillators.forEach(osc => this.applyWaveform(osc, type));
+            this.droneVoice.type = type;
             // Ensure gain is up (in case it was ramping down)
             this.droneVoice.env.gain.cancelScheduledValues(this.ctx.currentTime);
             this.droneVoice.env.gain.setTargetAtTime(1, this.ctx.currentTime, 0.1);
             return;
         }
 
-        const osc = this.ctx.createOscillator();
-        const env = this.ctx.createGain();
-
-        osc.type = type;
-        osc.frequency.setValueAtTime(freq, this.ctx.currentTime);
-
-        // Drone envelope: Attack -> Sustain at 1.0 (No decay)
-        const now = this.ctx.currentTime;
-        env.gain.setValueAtTime(0, now);
-        env.gain.linearRampToValueAtTime(1, now + 0.5); // Slow attack for smooth drone
-
-        osc.connect(env);
-        env.connect(this.masterGain);
-        osc.start();
-
-        this.droneVoice = { osc, env };
+        // Drone envelope: the patch's attack -> Sustain at 1.0 (No decay, a drone never fades)
+        this.droneVoice = this.createVoice(freq, type, 1, { ...this.patch }, 0, true);
+        this.droneVoice.panner.connect(this.masterGain);
+        this.updateVoiceGain();
         console.log('[Audio] Drone Started');
     }
 
     stopDrone() {
         if (this.droneVoice) {
-            const { osc, env } = this.droneVoice;
-            const now = this.ctx.currentTime;
-
-            env.gain.cancelScheduledValues(now);
-            env.gain.setTargetAtTime(0, now, 0.2); // Smooth release
-            osc.stop(now + 0.5);
-
+            this.releaseVoice(this.droneVoice);
             this.droneVoice = null;
+            this.updateVoiceGain();
             console.log('[Audio] Drone Stopped');
         }
     }
 
     // --- TRANSIENT NOTES (Keyboard) ---
-    playNote(freq, type = 'sine', pan = 0, explicitKey = null) {
+    // velocity 0-1 sets loudness and brightness through the patch's curve;
+    // hold skips the decay for tones that should sustain at full level (theory drones)
+    playNote(freq, type = 'sine', pan = 0, explicitKey = null, velocity = 1, hold = false) {
         this.init();
         this.resume();
 
         const key = explicitKey || `${freq}_${pan}`;
         this.stopNote(key);
 
-        if (Object.keys(this.voices).length >= this.polyphonyLimit) return;
-
-        const osc = this.ctx.createOscillator();
-        const env = this.ctx.createGain();
-        const panner = this.ctx.createStereoPanner();
-
-        osc.type = type;
-        osc.frequency.setValueAtTime(freq, this.ctx.currentTime);
-        console.log(`[playNote] freq=${freq.toFixed(1)}, requested=${type}, actual=${osc.type}`);
-
-
-        const now = this.ctx.currentTime;
-        env.gain.setValueAtTime(0, now);
-        env.gain.linearRampToValueAtTime(1, now + 0.05);
-        env.gain.exponentialRampToValueAtTime(0.7, now + 0.2);
-
-        panner.pan.value = pan;
-
-        osc.connect(env);
-        env.connect(panner);
-        panner.connect(this.masterGain);
+        if (!this.allocateVoice(freq)) return;
 
-        osc.start();
+        const voice = this.createVoice(freq, type, velocity, { ...this.patch }, pan, hold);
+        voice.panner.connect(this.masterGain);
 
-        this.voices[key] = { osc, env, panner };
+        this.voices[key] = Object.assign(voice, { startTime: this.ctx.currentTime, order: this.voiceCount++ });
+        this.updateVoiceGain();
     }
 
     stopNote(key) {
         if (this.voices[key]) {
-            const { osc, env } = this.voices[key];
-            const now = this.ctx.currentTime;
-
-            env.gain.cancelScheduledValues(now);
-            env.gain.setValueAtTime(env.gain.value, now);
-            env.gain.exponentialRampToValueAtTime(0.001, now + 0.1);
-
-            osc.stop(now + 0.1);
+            this.releaseVoice(this.voices[key]);
             delete this.voices[key];
+            this.updateVoiceGain();
         }
     }
 
@@ -256,30 +705,27 @@ class AudioEngine {
 
     // Theory Mode: Dual Drones (Uses Voices Map for Polyphony)
     updateTheoryTones(freqBase, freqHarm) {
-        // ... (Keep existing Theory logic or refactor? Let's keep existing for now as it worked)
-        // Wait, if I change playNote logic, does updateTheoryTones break?
-        // updateTheoryTones uses playNote('theoryL').
-        // playNote uses ADSR (Decay to 0.7).
-        // This is fine for theory drones too, they will sustain at 0.7.
-        // But we should ensure they don't die.
+        // Like the drone these hold at full level (no decay), whatever the patch's sustain
 
         this.init();
         this.resume();
 
         // Left Channel: Base ('theoryL')
         if (!this.voices['theoryL']) {
-            this.playNote(freqBase, oscType, -1, 'theoryL');
+            this.playNote(freqBase, oscType, -1, 'theoryL', 1, true);
         } else {
-            this.voices['theoryL'].osc.frequency.setTargetAtTime(freqBase, this.ctx.currentTime, 0.05);
-            this.voices['theoryL'].osc.type = oscType;
+            this.setVoiceFrequency(this.voices['theoryL'], freqBase);
+            this.voices['theoryL'].mainOscillators.forEach(osc => this.applyWaveform(osc, oscType));
+            this.voices['theoryL'].type = oscType;
         }
 
         // Right Channel: Harmony ('theoryR')
         if (!this.voices['theoryR']) {
-            this.playNote(freqHarm, oscType, 1, 'theoryR');
+            this.playNote(freqHarm, oscType, 1, 'theoryR', 1, true);
         } else {
-            this.voices['theoryR'].osc.frequency.setTargetAtTime(freqHarm, this.ctx.currentTime, 0.05);
-            this.voices['theoryR'].osc.type = oscType;
+            this.setVoiceFrequency(this.voices['theoryR'], freqHarm);
+            this.voices['theoryR'].mainOscillators.forEach(osc => this.applyWaveform(osc, oscType));
+            this.voices['theoryR'].type = oscType;
         }
     }
 
@@ -425,6 +871,12 @@ const diatonicChordsContainer = document.getElementById('diatonic-chords');
 const keyDetectionPanel = document.getElementById('key-detection-panel');
 const detectedKeyDisplay = document.getElementById('detected-key');
 const diatonicPanel = document.getElementById('diatonic-panel');
+const diatonicSizeSelect = document.getElementById('diatonic-size');
+const leadSheetPanel = document.getElementById('lead-sheet-panel');
+const romanAnalysisPanel = document.getElementById('roman-analysis-panel');
+const progressionGeneratorPanel = document.getElementById('progression-generator-panel');
+const modulationPlannerPanel = document.getElementById('modulation-planner-panel');
+const melodyHarmonizerPanel = document.getElementById('melody-harmonizer-panel');
 
 // --- MODE SWITCHING ---
 function setMode(mode) {
@@ -439,6 +891,21 @@ function setMode(mode) {
     if (keyDetectionPanel) {
         keyDetectionPanel.classList.toggle('hidden', mode !== MODES.PRODUCTION);
     }
+    if (leadSheetPanel) {
+        leadSheetPanel.classList.toggle('hidden', mode !== MODES.PRODUCTION);
+    }
+    if (romanAnalysisPanel) {
+        romanAnalysisPanel.classList.toggle('hidden', mode !== MODES.PRODUCTION);
+    }
+    if (progressionGeneratorPanel) {
+        progressionGeneratorPanel.classList.toggle('hidden', mode !== MODES.PRODUCTION);
+    }
+    if (modulationPlannerPanel) {
+        modulationPlannerPanel.classList.toggle('hidden', mode !== MODES.PRODUCTION);
+    }
+    if (melodyHarmonizerPanel) {
+        melodyHarmonizerPanel.classList.toggle('hidden', mode !== MODES.PRODUCTION);
+    }
 
     // Update UI based on mode
     updateKeyDisplay();
@@ -454,19 +921,83 @@ modeButtons.forEach(btn => {
 });
 
 // --- KEY/SCALE SELECTION ---
+// Dropdown values use sharps; display the spelling with the simplest key signature (A# minor -> Bb minor).
+// World scales have no key signature, so their roots are spelled as in major.
+function keyRootName() {
+    return theoryEngine.getPreferredRootSpelling(currentKeyRoot, SCALES[currentScaleType] ? currentScaleType : 'major');
+}
+
+// The selected scale if it's one of WORLD_SCALES (pitches in cents), otherwise null
+function currentWorldScale() {
+    return theoryEngine.getWorldScale(currentScaleType, keyRootName());
+}
+
+// One <optgroup> per tradition after the Western scales
+function populateWorldScales() {
+    if (!scaleTypeSelect) return;
+
+    const groups = {};
+    Object.entries(WORLD_SCALES).forEach(([key, scale]) => {
+        if (!groups[scale.tradition]) {
+            groups[scale.tradition] = document.createElement('optgroup');
+            groups[scale.tradition].label = scale.tradition;
+            scaleTypeSelect.appendChild(groups[scale.tradition]);
+        }
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = scale.name;
+        option.title = scale.description;
+        groups[scale.tradition].appendChild(option);
+    });
+}
+
+populateWorldScales();
+
+function isMinorKey() {
+    const scale = SCALES[currentScaleType];
+    return !!scale && scale.intervals.includes(3) && !scale.intervals.includes(4);
+}
+
+function isSameNote(a, b) {
+    return theoryEngine.noteToIndex(a) === theoryEngine.noteToIndex(b);
+}
+
 function updateKeyDisplay() {
-    const scale = theoryEngine.getScaleNotes(currentKeyRoot, currentScaleType);
+    const world = currentWorldScale();
+    if (world && scaleNotesDisplay) {
+        // Ragas and some maqamat go down differently than they go up
+        const up = world.ascending.map(p => p.label);
+        const down = world.descending.map(p => p.label);
+        scaleNotesDisplay.textContent = up.join() === [...down].reverse().join()
+            ? up.join(' ')
+            : `↑ ${up.join(' ')}  ↓ ${down.join(' ')}`;
+        scaleNotesDisplay.title = `${world.name} · ${world.tradition}\n${world.description}\n`
+            + world.degrees.map(d => `${d.label} ${Math.round(d.cents)}¢`).join(' · ');
+        return;
+    }
+
+    const scale = theoryEngine.getScaleNotes(keyRootName(), currentScaleType);
     if (scale && scaleNotesDisplay) {
         scaleNotesDisplay.textContent = scale.notes.join(' ');
+
+        const signature = theoryEngine.getKeySignature(keyRootName(), currentScaleType);
+        const count = Math.abs(signature.count);
+        const kind = signature.count > 0 ? 'sharp' : 'flat';
+        scaleNotesDisplay.title = count === 0
+            ? `${scale.name}\nKey signature: no sharps or flats`
+            : `${scale.name}\nKey signature: ${count} ${kind}${count > 1 ? 's' : ''} (${signature.accidentals.join(' ')})`;
     }
 }
 
 function updateDiatonicChords() {
     if (!diatonicChordsContainer) return;
 
-    const diatonic = theoryEngine.getDiatonicChords(currentKeyRoot, currentScaleType);
+    const size = diatonicSizeSelect ? parseInt(diatonicSizeSelect.value, 10) : 3;
+    const diatonic = theoryEngine.getDiatonicChords(keyRootName(), currentScaleType, size);
     if (!diatonic) {
-        diatonicChordsContainer.innerHTML = '<small>Not available for this scale</small>';
+        diatonicChordsContainer.innerHTML = currentWorldScale()
+            ? '<small>No diatonic chords outside 12-TET: play the scale over the tonic drone</small>'
+            : '<small>Every chord fits the chromatic scale</small>';
         return;
     }
 
@@ -483,6 +1014,10 @@ function updateDiatonicChords() {
         const notes = item.chord.notes.join(' - ');
         const formula = item.chord.formula || '';
         chip.title = `${item.chord.fullName}\nNotes: ${notes}\nFormula: ${formula}\nClick to play`;
+        if (item.available && item.available.length) {
+            // Non-heptatonic scales: other chords built only from scale notes
+            chip.title += `\nAlso fits: ${item.available.join(', ')}`;
+        }
 
         // Highlight keyboard keys on hover
         chip.addEventListener('mouseenter', () => {
@@ -501,11 +1036,78 @@ function updateDiatonicChords() {
             highlightChordKeys(item.chord.notes, true);
             setTimeout(() => highlightChordKeys(item.chord.notes, false), 1000);
         });
+        attachChordScaleHold(chip, item.chord);
 
         diatonicChordsContainer.appendChild(chip);
     });
 }
 
+if (diatonicSizeSelect) {
+    diatonicSizeSelect.addEventListener('change', updateDiatonicChords);
+}
+
+// --- CHORD-SCALE OVERLAY ---
+// While a chord chip is held, keys show what to play over it (best scale in the current key)
+const chordScaleInfo = document.getElementById('chord-scale-info');
+const CHORD_SCALE_ROLES = {
+    guide: 'Guide tones',
+    chord: 'Chord tones',
+    tension: 'Tensions',
+    avoid: 'Avoid'
+};
+
+function showChordScaleOverlay(chord) {
+    const scales = theoryEngine.getChordScales(chord, { root: keyRootName(), scale: currentScaleType });
+    if (!scales || scales.length === 0) return;
+
+    const best = scales[0];
+    const roles = {};
+    best.tones.forEach(t => {
+        roles[theoryEngine.noteToIndex(t.note)] = t.role;
+    });
+
+    document.querySelectorAll('.key').forEach(key => {
+        const role = roles[parseInt(key.dataset.midi) % 12];
+        Object.keys(CHORD_SCALE_ROLES).forEach(r => key.classList.toggle(`tone-${r}`, r === role));
+    });
+
+    if (!chordScaleInfo) return;
+    chordScaleInfo.innerHTML = '';
+    chordScaleInfo.title = best.description || '';
+
+    const heading = document.createElement('strong');
+    heading.textContent = `${chord.name}: ${best.name}${best.fitsKey ? '' : ' (outside the key)'}`;
+    chordScaleInfo.appendChild(heading);
+
+    const lines = Object.entries(CHORD_SCALE_ROLES).map(([role, label]) => {
+        const notes = best.tones.filter(t => t.role === role).map(t => t.note);
+        return [`tone-${role}`, `${label}: ${notes.join(' ') || '—'}`];
+    });
+    if (best.colorTones.length) lines.push(['tone-color', `Colour: ${best.colorTones.join(' ')}`]);
+    if (scales.length > 1) lines.push(['', `Also: ${scales.slice(1, 4).map(s => s.name).join(', ')}`]);
+
+    lines.forEach(([className, text]) => {
+        const line = document.createElement('span');
+        line.className = className;
+        line.textContent = text;
+        chordScaleInfo.appendChild(line);
+    });
+}
+
+function clearChordScaleOverlay() {
+    document.querySelectorAll('.key').forEach(key => {
+        Object.keys(CHORD_SCALE_ROLES).forEach(r => key.classList.remove(`tone-${r}`));
+    });
+}
+
+function attachChordScaleHold(chip, chord) {
+    chip.addEventListener('mousedown', () => showChordScaleOverlay(chord));
+    chip.addEventListener('mouseup', clearChordScaleOverlay);
+    chip.addEventListener('mouseleave', clearChordScaleOverlay);
+    chip.addEventListener('touchstart', () => showChordScaleOverlay(chord), { passive: true });
+    chip.addEventListener('touchend', clearChordScaleOverlay);
+}
+
 // Helper to highlight/unhighlight keyboard keys for a chord
 function highlightChordKeys(noteNames, highlight) {
     const keys = document.querySelectorAll('.key');
@@ -530,7 +1132,7 @@ function highlightChordKeys(noteNames, highlight) {
     });
 }
 
-function playDiatonicChord(item) {
+function playDiatonicChord(item, duration = 1000) {
     if (!engine || !engine.ctx) {
         engine.init();
         isAudioActive = true;
@@ -545,16 +1147,30 @@ function playDiatonicChord(item) {
         }, i * 50); // Slight arpeggio effect
     });
 
-    // Stop after 1 second
+    // Stop after the chord's duration (1 second by default)
     setTimeout(() => {
         item.chord.frequencies.forEach((f, i) => {
             engine.stopNote(`chord_${item.root}_${i}`);
         });
-    }, 1000);
+    }, duration);
 }
 
 function updateKeyboardOverlay() {
-    const scale = theoryEngine.getScaleNotes(currentKeyRoot, currentScaleType);
+    document.querySelectorAll('.key.microtonal').forEach(key => key.classList.remove('microtonal'));
+
+    if (theoryEngine.getTuning().system === 'scala') {
+        updateKeyboardLabels();
+        updateScalaKeyboardOverlay();
+        return;
+    }
+
+    updateKeyboardLabels();
+    if (currentWorldScale()) {
+        updateWorldScaleKeyboardOverlay();
+        return;
+    }
+
+    const scale = theoryEngine.getScaleNotes(keyRootName(), currentScaleType);
     if (!scale) return;
 
     // Scale indices for enharmonic matching
@@ -578,268 +1194,2078 @@ function updateKeyboardOverlay() {
         key.classList.toggle('in-scale', inScale);
         key.classList.toggle('out-of-scale', !inScale);
         key.classList.toggle('scale-root', isRoot);
+        key.title = '';
     });
 }
 
-// Key/Scale change handlers
-if (keyRootSelect) {
-    keyRootSelect.addEventListener('change', (e) => {
-        currentKeyRoot = e.target.value;
-        updateKeyDisplay();
-        updateDiatonicChords();
-        updateKeyboardOverlay();
-        updateCircleHighlights();
+// Label keys with the current key's spelling (data-note keeps the fixed key id)
+function updateKeyboardLabels() {
+    const spelling = theoryEngine.getKeySpelling(keyRootName(), currentScaleType);
+
+    document.querySelectorAll('.key').forEach(key => {
+        const label = key.querySelector('.key-label');
+        const midi = parseInt(key.dataset.midi);
+        if (!label || isNaN(midi)) return;
+
+        // Octave follows the letter: Cb4 sounds like B3, B#3 sounds like C4
+        const name = spelling[midi % 12];
+        const octave = Math.floor((midi - theoryEngine.parseNote(name).accidental) / 12) - 1;
+        label.textContent = `${name}${octave}`;
+    });
+}
+
+// Scala tunings: degree 0 is the root, mapped keys are in scale, 'x' keys are silent
+function updateScalaKeyboardOverlay() {
+    const count = theoryEngine.getTuningCents().length;
+
+    document.querySelectorAll('.key').forEach(key => {
+        const midi = parseInt(key.dataset.midi);
+        const degree = theoryEngine.getScalaDegree(midi);
+        const mapped = degree !== null;
+
+        key.classList.toggle('in-scale', mapped);
+        key.classList.toggle('out-of-scale', !mapped);
+        key.classList.toggle('scale-root', mapped && ((degree % count) + count) % count === 0);
+        key.title = mapped
+            ? `Degree ${degree} · ${theoryEngine.midiToFrequency(midi).toFixed(2)} Hz`
+            : 'Unmapped in this .kbm';
+    });
+}
+
+// World scales: each pitch sits on its nearest key, which plays the real pitch.
+// Keys more than a few cents from their piano pitch show the difference.
+function updateWorldScaleKeyboardOverlay() {
+    document.querySelectorAll('.key').forEach(key => {
+        const mapped = worldScaleKeys.find(k => k.midi === parseInt(key.dataset.midi));
+        const off = !!mapped && Math.abs(mapped.offset) >= 5;
+
+        key.classList.toggle('in-scale', !!mapped);
+        key.classList.toggle('out-of-scale', !mapped);
+        key.classList.toggle('scale-root', !!mapped && mapped.degree === 0);
+        key.classList.toggle('microtonal', off);
+        key.dataset.offset = off ? `${mapped.offset > 0 ? '+' : '−'}${Math.abs(mapped.offset)}¢` : '';
+        key.title = mapped
+            ? `${mapped.label} · ${mapped.frequency.toFixed(2)} Hz${off ? ` (${key.dataset.offset} from the piano key)` : ''}`
+            : '';
+    });
+}
+
+// --- TUNING SYSTEMS ---
+const tuningSystemSelect = document.getElementById('tuning-system');
+const tuningEdoInput = document.getElementById('tuning-edo');
+const referencePitchRange = document.getElementById('reference-pitch');
+const referencePitchDisplay = document.getElementById('reference-pitch-val');
+const tuningDeviationsDisplay = document.getElementById('tuning-deviations');
+const btnDroneTonic = document.getElementById('btn-drone-tonic');
+const btnImportScala = document.getElementById('btn-import-scala');
+const btnExportScala = document.getElementById('btn-export-scala');
+const scalaFileInput = document.getElementById('scala-file-input');
+const tuningStatus = document.getElementById('tuning-status');
+let droneOnTonic = false; // Drone follows the tuned tonic until the slider is moved
+let worldScaleKeys = []; // theoryEngine.mapWorldScaleToKeys() over all MIDI notes; empty for 12-TET scales
+
+// Re-apply the tuning after any key/tuning change (tonic follows the selected key)
+function applyTuning() {
+    if (!theoryEngine.setTuning({ tonic: currentKeyRoot })) {
+        showTuningStatus(`Can't tune to ${currentKeyRoot}: keeping tonic ${theoryEngine.getTuning().tonic}`, true);
+    }
+
+    // World scales are rooted in the drone's octave (3)
+    const world = currentWorldScale();
+    worldScaleKeys = world
+        ? theoryEngine.mapWorldScaleToKeys(world, 48 + theoryEngine.noteToIndex(currentKeyRoot), 0, 127)
+        : [];
+
+    // Retune the virtual keyboard (MIDI asks keyFrequency directly)
+    pianoKeys.forEach(k => {
+        k.freq = keyFrequency(k.midi);
+    });
+
+    if (droneOnTonic) tuneDroneToTonic();
+    updateTuningDisplay();
+    updateKeyboardOverlay();
+}
+
+// Frequency a key plays: the world scale's pitch on it, else the tuning's (null = unmapped Scala key)
+function keyFrequency(midi) {
+    const mapped = worldScaleKeys.find(k => k.midi === midi);
+    return mapped ? mapped.frequency : theoryEngine.midiToFrequency(midi);
+}
+
+// Name the key the tuning actually holds still: A4 only in 12-TET, else the tonic (or the .kbm's reference)
+function updateReferenceLabel() {
+    if (!referencePitchDisplay) return;
+    const { pinned, referenceFrequency, tonic } = theoryEngine.getTuning();
+    const pitchClass = pinned.midi % 12;
+    const name = theoryEngine.noteToIndex(tonic) === pitchClass ? tonic : theoryEngine.indexToNote(pitchClass);
+    const isA4 = pinned.midi === 69 && Math.abs(pinned.frequency - referenceFrequency) < 0.005;
+
+    referencePitchDisplay.textContent = isA4
+        ? `A4 = ${referenceFrequency} Hz`
+        : `${name}${Math.floor(pinned.midi / 12) - 1} = ${pinned.frequency.toFixed(2)} Hz (12-TET from A4 = ${referenceFrequency})`;
+}
+
+// Show how far each scale note sits from its piano (12-TET) pitch
+function updateTuningDisplay() {
+    updateReferenceLabel();
+    if (!tuningDeviationsDisplay) return;
+
+    const world = currentWorldScale();
+    if (world) {
+        tuningDeviationsDisplay.innerHTML = world.degrees.map(d => {
+            const cents = ((d.cents + 50) % 100 + 100) % 100 - 50;
+            const sign = cents >= 0 ? '+' : '−';
+            return `<span class="cents-chip">${d.label}<small>${sign}${Math.abs(cents).toFixed(1)}¢</small></span>`;
+        }).join('');
+        return;
+    }
+
+    // Fewer than 12 EDO steps: say which keys had to share one
+    const tuning = theoryEngine.getTuning();
+    if (tuning.system === 'edo') {
+        const names = tuning.shared.map(degrees => degrees
+            .map(d => theoryEngine.indexToNote((theoryEngine.noteToIndex(tuning.tonic) + d) % 12))
+            .join(' = '));
+        showTuningStatus(names.length
+            ? `${tuning.edo}-EDO has fewer steps than keys: ${names.join(', ')} play the same pitch`
+            : '');
+    }
+
+    const scale = theoryEngine.getScaleNotes(keyRootName(), currentScaleType);
+    if (!scale) return;
+
+    tuningDeviationsDisplay.innerHTML = scale.notes.map(note => {
+        const cents = theoryEngine.getCentsDeviation(note);
+        if (cents === null) return `<span class="cents-chip">${note}<small>unmapped</small></span>`;
+        const sign = cents >= 0 ? '+' : '−';
+        return `<span class="cents-chip">${note}<small>${sign}${Math.abs(cents).toFixed(1)}¢</small></span>`;
+    }).join('');
+}
+
+function tuneDroneToTonic() {
+    const tonicFreq = theoryEngine.noteToFrequency(currentKeyRoot, 3);
+    if (!tonicFreq) return;
+    frequency = tonicFreq;
+    rangeFreq.value = Math.round(frequency);
+    spanFreq.textContent = frequency.toFixed(1);
+    updateAudioState();
+}
+
+if (tuningSystemSelect) {
+    tuningSystemSelect.addEventListener('change', (e) => {
+        if (!theoryEngine.setTuning({ system: e.target.value })) {
+            const requested = e.target.value;
+            e.target.value = theoryEngine.getTuning().system;
+            if (requested === 'scala') {
+                // Nothing imported yet: ask for a file and keep the current tuning
+                if (scalaFileInput) scalaFileInput.click();
+            } else {
+                showTuningStatus(`Unknown tuning system "${requested}"`, true);
+            }
+            return;
+        }
+        showTuningStatus('');
+        if (tuningEdoInput) tuningEdoInput.classList.toggle('hidden', e.target.value !== 'edo');
+        applyTuning();
+        updateDiatonicChords(); // Chord chips hold their frequencies
+    });
+}
+
+if (tuningEdoInput) {
+    tuningEdoInput.addEventListener('change', (e) => {
+        const edo = Number(e.target.value);
+        if (!theoryEngine.setTuning({ edo })) {
+            showTuningStatus(`EDO must be a whole number of steps (1 or more), not "${e.target.value}"`, true);
+            e.target.value = theoryEngine.getTuning().edo;
+            return;
+        }
+        applyTuning();
+        updateDiatonicChords();
+    });
+}
+
+if (referencePitchRange) {
+    referencePitchRange.addEventListener('input', (e) => {
+        const referenceFrequency = parseInt(e.target.value);
+        if (!theoryEngine.setTuning({ referenceFrequency })) {
+            showTuningStatus(`Reference pitch must be above 0 Hz, not "${e.target.value}"`, true);
+            return;
+        }
+        applyTuning();
+        updateDiatonicChords();
+    });
+}
+
+if (btnDroneTonic) {
+    btnDroneTonic.addEventListener('click', () => {
+        if (!isAudioActive) {
+            engine.init();
+            isAudioActive = true;
+            btnToggle.textContent = 'Stop Audio';
+            btnToggle.classList.add('active');
+        }
+        droneOnTonic = true;
+        tuneDroneToTonic();
+    });
+}
+
+// --- SCALA IMPORT / EXPORT ---
+function showTuningStatus(message, isError = false) {
+    if (!tuningStatus) return;
+    tuningStatus.textContent = message;
+    tuningStatus.classList.toggle('status-error', isError);
+}
+
+function importScalaFiles(files) {
+    const sclFile = files.find(f => f.name.toLowerCase().endsWith('.scl'));
+    const kbmFile = files.find(f => f.name.toLowerCase().endsWith('.kbm'));
+
+    if (!sclFile && !(kbmFile && theoryEngine.scala)) {
+        showTuningStatus('Choose a .scl file (optionally with a .kbm mapping)', true);
+        return;
+    }
+
+    Promise.all([sclFile ? sclFile.text() : null, kbmFile ? kbmFile.text() : null]).then(([sclText, kbmText]) => {
+        const scale = sclText !== null ? theoryEngine.parseScalaScale(sclText) : theoryEngine.scala.scale;
+        const mapping = kbmText !== null ? theoryEngine.parseScalaKeyboardMapping(kbmText) : null;
+
+        const failed = [[sclFile, scale], [kbmFile, mapping]].find(([file, parsed]) => file && parsed.errors.length);
+        if (failed) {
+            const [file, parsed] = failed;
+            const { line, message } = parsed.errors[0];
+            showTuningStatus(`${file.name} line ${line}: ${message}`, true);
+            return;
+        }
+
+        theoryEngine.loadScalaTuning(scale, mapping);
+        if (tuningSystemSelect) tuningSystemSelect.value = 'scala';
+        if (tuningEdoInput) tuningEdoInput.classList.add('hidden');
+        applyTuning();
+        updateDiatonicChords();
+
+        const count = scale.pitches.length;
+        showTuningStatus(`Loaded "${scale.description || sclFile.name}" (${count} notes${mapping ? ', with .kbm' : ''})`);
+    });
+}
+
+function downloadTextFile(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+if (btnImportScala && scalaFileInput) {
+    btnImportScala.addEventListener('click', () => scalaFileInput.click());
+    scalaFileInput.addEventListener('change', (e) => {
+        importScalaFiles(Array.from(e.target.files));
+        e.target.value = ''; // Allow re-importing the same file
+    });
+}
+
+if (btnExportScala) {
+    btnExportScala.addEventListener('click', () => {
+        const { filename, scl } = theoryEngine.exportScalaTuning();
+        downloadTextFile(filename, scl);
+    });
+}
+
+// Key/Scale change handlers
+if (keyRootSelect) {
+    keyRootSelect.addEventListener('change', (e) => {
+        currentKeyRoot = e.target.value;
+        applyTuning();
+        updateKeyDisplay();
+        updateDiatonicChords();
+        updateKeyboardOverlay();
+        updateCircleHighlights();
+    });
+}
+
+if (scaleTypeSelect) {
+    scaleTypeSelect.addEventListener('change', (e) => {
+        currentScaleType = e.target.value;
+        applyTuning(); // World scales retune the keys
+        updateKeyDisplay();
+        updateDiatonicChords();
+        updateCircleHighlights();
+    });
+}
+
+// --- SCALE RUN ---
+// Up and back down, the way the scale is played: ragas and some maqamat change on the way down
+const btnPlayScale = document.getElementById('btn-play-scale');
+const SCALE_RUN_NOTE_MS = 350;
+let scaleRunTimers = [];
+
+function playScaleRun() {
+    scaleRunTimers.forEach(clearTimeout);
+    scaleRunTimers = [];
+
+    const rootMidi = 48 + theoryEngine.noteToIndex(currentKeyRoot);
+    const world = currentWorldScale();
+    let run;
+    if (world) {
+        const rootFrequency = theoryEngine.midiToFrequency(rootMidi);
+        run = [...world.ascending, ...world.descending.slice(1)].map(p => ({
+            midi: Math.round(rootMidi + p.cents / 100),
+            frequency: rootFrequency * Math.pow(2, p.cents / 1200)
+        }));
+    } else {
+        const scale = SCALES[currentScaleType];
+        if (!scale) return;
+        const up = [...scale.intervals, 12].map(i => rootMidi + i);
+        run = [...up, ...up.slice(0, -1).reverse()].map(midi => ({ midi, frequency: theoryEngine.midiToFrequency(midi) }));
+    }
+
+    run.forEach((note, i) => {
+        scaleRunTimers.push(setTimeout(() => {
+            playDiatonicChord({ root: `scale${i}`, chord: { frequencies: [note] } }, SCALE_RUN_NOTE_MS - 30);
+            highlightVoicingKeys([note], [false], true);
+            setTimeout(() => highlightVoicingKeys([note], [false], false), SCALE_RUN_NOTE_MS - 30);
+        }, i * SCALE_RUN_NOTE_MS));
+    });
+}
+
+if (btnPlayScale) {
+    btnPlayScale.addEventListener('click', playScaleRun);
+}
+
+// --- LEAD SHEET (Production Mode) ---
+const leadSheetInput = document.getElementById('lead-sheet-input');
+const leadSheetChords = document.getElementById('lead-sheet-chords');
+const btnPlayLeadSheet = document.getElementById('btn-play-lead-sheet');
+const leadSheetVoicesSelect = document.getElementById('lead-sheet-voices');
+const LEAD_SHEET_CHORD_MS = 1000;
+let leadSheetTimers = [];
+
+// Parse the typed symbols into chips (errors are shown in red with the parser's message)
+function renderLeadSheet() {
+    if (!leadSheetInput || !leadSheetChords) return [];
+
+    const chords = theoryEngine.parseChordProgression(leadSheetInput.value);
+    leadSheetChords.innerHTML = '';
+
+    chords.forEach((chord, i) => {
+        const chip = document.createElement('div');
+        const numeral = document.createElement('span');
+        const name = document.createElement('span');
+        numeral.className = 'numeral';
+        name.className = 'name';
+        numeral.textContent = i + 1;
+
+        if (chord.errors.length) {
+            chip.className = 'chord-chip chord-error';
+            name.textContent = chord.symbol;
+            chip.title = chord.errors[0].message;
+        } else {
+            chip.className = 'chord-chip';
+            name.textContent = chord.name;
+            chip.title = `${chord.fullName}\nNotes: ${chord.notes.join(' - ')}\nFormula: ${chord.formula}\nClick to play`;
+            chip.addEventListener('click', () => playLeadSheetChord(chord, chip));
+            attachChordScaleHold(chip, chord);
+        }
+
+        chip.appendChild(numeral);
+        chip.appendChild(name);
+        leadSheetChords.appendChild(chip);
+    });
+
+    return chords;
+}
+
+// `moved` (voice-led playback) lights the exact keys and marks the voices that moved
+function playLeadSheetChord(chord, chip, duration = LEAD_SHEET_CHORD_MS, moved = null) {
+    playDiatonicChord({ root: chord.root, chord }, duration - 100);
+    if (moved) {
+        highlightVoicingKeys(chord.voicing, moved, true);
+    } else {
+        highlightChordKeys(chord.notes, true);
+    }
+    if (chip) chip.classList.add('active');
+
+    setTimeout(() => {
+        if (moved) {
+            highlightVoicingKeys(chord.voicing, moved, false);
+        } else {
+            highlightChordKeys(chord.notes, false);
+        }
+        if (chip) chip.classList.remove('active');
+    }, duration - 100);
+}
+
+// Highlight one key per voice (by MIDI number, so octaves stay apart)
+function highlightVoicingKeys(voicing, moved, highlight) {
+    voicing.forEach(({ midi }, v) => {
+        const key = document.querySelector(`.key[data-midi="${midi}"]`);
+        if (!key) return;
+        key.classList.toggle('chord-highlight', highlight);
+        key.classList.toggle('voice-moving', highlight && moved[v]);
+    });
+}
+
+function playLeadSheet() {
+    leadSheetTimers.forEach(clearTimeout);
+    leadSheetTimers = [];
+
+    const chords = renderLeadSheet();
+    const chips = leadSheetChords ? Array.from(leadSheetChords.children) : [];
+    const playable = chords.map((chord, i) => ({ chord, chip: chips[i], slot: i })).filter(item => !item.chord.errors.length);
+
+    // Voice-lead inside the on-screen keyboard so every voice can be shown
+    const voices = leadSheetVoicesSelect ? parseInt(leadSheetVoicesSelect.value) : 0;
+    const result = voices > 0
+        ? theoryEngine.voiceLeadProgression(playable.map(item => item.chord), {
+            voices,
+            low: pianoKeys[0].midi,
+            high: pianoKeys[pianoKeys.length - 1].midi
+        })
+        : null;
+    const led = result && !result.errors.length ? result : null;
+
+    playable.forEach((item, i) => {
+        const chord = led ? led.chords[i] : item.chord;
+        const moved = led ? led.voices.map(voice => i === 0 || voice[i].moved) : null;
+        leadSheetTimers.push(setTimeout(() => playLeadSheetChord(chord, item.chip, LEAD_SHEET_CHORD_MS, moved), item.slot * LEAD_SHEET_CHORD_MS));
+    });
+}
+
+if (leadSheetInput) {
+    leadSheetInput.addEventListener('input', renderLeadSheet);
+    leadSheetInput.addEventListener('keydown', (e) => {
+        e.stopPropagation(); // Typing must not trigger the computer-keyboard piano
+        if (e.key === 'Enter') playLeadSheet();
+    });
+    leadSheetInput.addEventListener('keyup', (e) => e.stopPropagation());
+}
+
+if (btnPlayLeadSheet) {
+    btnPlayLeadSheet.addEventListener('click', playLeadSheet);
+}
+
+// --- CONSONANCE METER ---
+// Graded roughness/harmonicity score from theoryEngine.getConsonance(), in the
+// current oscillator's timbre, with the score of every voice pair underneath
+
+function updateConsonanceMeter(meter, result) {
+    const { score, label, harmonics, pairs } = result.consonance;
+    const fill = meter.querySelector('.consonance-fill');
+    const text = meter.querySelector('.consonance-label');
+    const percent = Math.round(score * 100);
+
+    // Red (0) through orange to green (1)
+    fill.style.width = `${percent}%`;
+    fill.style.background = `hsl(${Math.round(score * 150)}, 100%, 45%)`;
+    text.textContent = `${label} ${percent}%`;
+    meter.title = harmonics.length
+        ? `Fits harmonics ${harmonics.join(':')} of one fundamental`
+        : 'No common fundamental';
+
+    const pairsEl = document.getElementById('chord-consonance-pairs');
+    if (!pairsEl) return;
+    // Pair voices index result.pitches (both low to high)
+    const names = result.pitches.map(p => p.note);
+    pairsEl.replaceChildren();
+    if (pairs.length < 2) return;
+    pairs.forEach(pair => {
+        const item = document.createElement('span');
+        item.className = 'consonance-pair';
+        item.textContent = `${names[pair.voices[0]]}–${names[pair.voices[1]]} ${Math.round(pair.score * 100)}`;
+        item.style.color = `hsl(${Math.round(pair.score * 150)}, 100%, 60%)`;
+        pairsEl.appendChild(item);
+    });
+}
+
+// --- PITCH-CLASS SETS ---
+// Set-class analysis of the sounding notes. The badge keeps the last set so
+// its class can be clicked and heard after the keys are released.
+const pcSetPanel = document.getElementById('pc-set-panel');
+const pcSetClassButton = document.getElementById('pc-set-class');
+const PC_SET_MEMBER_MS = 400;
+let currentPcSet = null; // Pitch classes shown in the badge
+let previousPcSet = null; // The set before it, for Tn/TnI relations
+let pcSetTimers = [];
+
+function updatePitchClassSet(pitchClasses) {
+    const pcs = theoryEngine.toPitchClasses(pitchClasses);
+    if (!pcSetPanel || pcs.length < 2) return;
+    if (currentPcSet && pcs.join() === currentPcSet.join()) return;
+
+    previousPcSet = currentPcSet;
+    currentPcSet = pcs;
+
+    const set = theoryEngine.analyzePitchClassSet(pcs);
+    const format = form => theoryEngine.formatPitchClassSet(form);
+    pcSetPanel.classList.remove('hidden');
+    pcSetClassButton.textContent = `Set class ${set.forteName}`;
+    pcSetClassButton.title = `Play all ${set.members} transpositions and inversions of ${set.forteName}`;
+    document.getElementById('pc-set-prime').textContent = `(${format(set.primeForm)})`;
+    document.getElementById('pc-set-normal').textContent = `[${format(set.normalForm)}]`;
+    document.getElementById('pc-set-vector').textContent = `<${set.intervalVector.join('')}>`;
+
+    const relations = [];
+    if (set.zPartner) relations.push(`Z-related to ${set.zPartner}`);
+    if (previousPcSet) {
+        const operations = theoryEngine.getSetOperations(previousPcSet, pcs);
+        if (operations.length) relations.push(`${operations.join(' = ')} of the previous set`);
+    }
+    document.getElementById('pc-set-relations').textContent = relations.join(' · ');
+}
+
+// Play one member as a block chord, stacked upward from the C3 octave
+function playPitchClassSet(member, index) {
+    let midi = 48 + member[0];
+    const voicing = member.map((pc, i) => {
+        if (i > 0) midi += (pc - member[i - 1] + 12) % 12;
+        return { midi, frequency: theoryEngine.midiToFrequency(midi) };
+    });
+    const still = voicing.map(() => false);
+
+    playDiatonicChord({ root: `set${index}`, chord: { frequencies: voicing } }, PC_SET_MEMBER_MS - 50);
+    highlightVoicingKeys(voicing, still, true);
+    setTimeout(() => highlightVoicingKeys(voicing, still, false), PC_SET_MEMBER_MS - 50);
+}
+
+function playSetClass() {
+    pcSetTimers.forEach(clearTimeout);
+    pcSetTimers = [];
+    if (!currentPcSet) return;
+
+    theoryEngine.getSetClassMembers(currentPcSet).forEach((member, i) => {
+        pcSetTimers.push(setTimeout(() => playPitchClassSet(member, i), i * PC_SET_MEMBER_MS));
+    });
+}
+
+if (pcSetClassButton) {
+    pcSetClassButton.addEventListener('click', playSetClass);
+}
+
+// --- PROGRESSION GENERATOR (Production Mode) ---
+// Writes a generated progression into the lead sheet, which plays it voice-led
+const generatorStyleSelect = document.getElementById('generator-style');
+const generatorSeedInput = document.getElementById('generator-seed');
+const generatorResult = document.getElementById('generator-result');
+const btnGenerateProgression = document.getElementById('btn-generate-progression');
+
+function populateGeneratorStyles() {
+    if (!generatorStyleSelect) return;
+
+    theoryEngine.getAvailableProgressions().forEach(p => {
+        const option = document.createElement('option');
+        option.value = p.key;
+        option.textContent = `Like ${p.name}`;
+        option.title = p.description;
+        generatorStyleSelect.appendChild(option);
+    });
+}
+
+function generateProgression() {
+    const value = id => document.getElementById(id).value;
+    const seed = generatorSeedInput.value.trim();
+    const result = theoryEngine.generateProgression(keyRootName(), currentScaleType, {
+        length: parseInt(value('generator-length')),
+        cadence: value('generator-cadence'),
+        size: parseInt(value('generator-size')),
+        chordTypes: value('generator-types') ? value('generator-types').split(',') : null,
+        style: generatorStyleSelect.value || null,
+        seed: /^\d+$/.test(seed) ? parseInt(seed) : seed || undefined
+    });
+
+    if (!result) {
+        const cadence = value('generator-cadence');
+        const cadenceLength = cadence === 'none' || !CADENCE_TYPES[cadence] ? 0 : CADENCE_TYPES[cadence].degrees.length;
+        if (generatorStyleSelect.value && !theoryEngine.getStyleMoves(generatorStyleSelect.value)) {
+            generatorResult.textContent = `Unknown style "${generatorStyleSelect.value}"`;
+        } else if (parseInt(value('generator-length')) <= cadenceLength) {
+            generatorResult.textContent = `Too short: a ${cadence} cadence needs at least ${cadenceLength + 1} bars`;
+        } else if (value('generator-types')) {
+            generatorResult.textContent = 'No chords in this scale match the chord-type filter: choose "All diatonic chords"';
+        } else {
+            generatorResult.textContent = `Can't generate in this scale${cadence === 'none' ? '' : ` with a ${cadence} cadence`}`;
+        }
+        return;
+    }
+
+    generatorResult.textContent = `${result.key} · seed ${result.seed}\n${result.chords.map(c => c.numeral).join(' – ')}` +
+        (result.relaxed ? '\n(borrowed chords outside the chord-type filter to keep moving)' : '');
+    generatorResult.title = 'Type this seed to get the same progression again';
+    if (leadSheetInput) {
+        leadSheetInput.value = result.symbols.join(' | ');
+        renderLeadSheet();
+    }
+}
+
+populateGeneratorStyles();
+
+if (generatorSeedInput) {
+    // Typing must not trigger the computer-keyboard piano
+    generatorSeedInput.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') generateProgression();
+    });
+    generatorSeedInput.addEventListener('keyup', (e) => e.stopPropagation());
+}
+
+if (btnGenerateProgression) {
+    btnGenerateProgression.addEventListener('click', generateProgression);
+}
+
+// --- MODULATION PLANNER (Production Mode) ---
+// Plans a route from the selected key and writes its chords into the lead sheet
+const modulationResult = document.getElementById('modulation-result');
+const btnPlanModulation = document.getElementById('btn-plan-modulation');
+
+function planModulation() {
+    const toScale = document.getElementById('modulation-target-scale').value;
+    const toRoot = theoryEngine.getPreferredRootSpelling(document.getElementById('modulation-target-root').value, toScale);
+    const plan = theoryEngine.planModulation(keyRootName(), currentScaleType, toRoot, toScale);
+
+    if (!plan) {
+        modulationResult.textContent = `Can't plan a route from ${keyRootName()} ${currentScaleType}`;
+        return;
+    }
+    if (plan.steps.length === 0) {
+        modulationResult.textContent = `Already in ${plan.to}`;
+        return;
+    }
+
+    // "C Major → D Major via Em (iii = ii)", one line per key change
+    modulationResult.textContent = plan.steps.map(step => `${step.from} → ${step.to}` + (step.pivot
+        ? ` via ${step.pivot.chord} (${step.pivot.numeralA} = ${step.pivot.numeralB})`
+        : ' (direct)')).join('\n');
+    modulationResult.title = plan.chords.map(c => `${c.chord.name}: ${c.numeral} in ${c.key}`).join('\n');
+    if (leadSheetInput) {
+        leadSheetInput.value = plan.symbols.join(' | ');
+        renderLeadSheet();
+    }
+}
+
+if (btnPlanModulation) {
+    btnPlanModulation.addEventListener('click', planModulation);
+}
+
+// --- MELODY HARMONIZER (Production Mode) ---
+// The melody is what was played since "Clear Melody" (the key session's events).
+// A chosen harmonization goes into the lead sheet; playback reads the lead
+// sheet back, so edited chords are heard under the melody at the same times.
+const HARMONIZER_MAX_NOTES = 32;
+const harmonizerMelodyEl = document.getElementById('harmonizer-melody');
+const harmonizerResultsEl = document.getElementById('harmonizer-results');
+let melodyStart = 0; // Notes before this time (ms) are not part of the melody
+let harmonizerResult = null; // theoryEngine.harmonizeMelody() result
+let harmonization = null; // The chosen entry of harmonizerResult.harmonizations
+let harmonizerTimers = [];
+
+function getRecordedMelody() {
+    return keySessionNotes
+        .filter(n => n.time >= melodyStart && Number.isFinite(n.midi))
+        .slice(-HARMONIZER_MAX_NOTES);
+}
+
+function harmonizeMelody() {
+    const value = id => document.getElementById(id).value;
+    const per = value('harmonizer-per');
+    harmonizerResult = theoryEngine.harmonizeMelody(getRecordedMelody(), keyRootName(), currentScaleType, {
+        per: per === 'note' ? 'note' : parseInt(per),
+        size: parseInt(value('harmonizer-size'))
+    });
+
+    harmonizerResultsEl.innerHTML = '';
+    if (!harmonizerResult) {
+        harmonizerMelodyEl.textContent = 'Play a melody on the keyboard first';
+        return;
+    }
+
+    harmonizerMelodyEl.textContent = `Melody in ${harmonizerResult.key}: ${harmonizerResult.melody.map(n => n.note).join(' ')}`;
+    harmonizerResult.harmonizations.forEach((h, i) => {
+        const row = document.createElement('div');
+        row.className = 'harmonization-option';
+        row.textContent = `${h.chords.map(c => c.numeral).join(' ')} · ${Math.round(h.score * 100)}%`;
+        row.title = `${h.symbols.join(' | ')}\nChord tones: ${Math.round(h.coverage * 100)}% · Flow: ${Math.round(h.flow * 100)}%`;
+        row.addEventListener('click', () => chooseHarmonization(i));
+        harmonizerResultsEl.appendChild(row);
+    });
+    chooseHarmonization(0);
+}
+
+function chooseHarmonization(index) {
+    harmonization = harmonizerResult.harmonizations[index];
+    Array.from(harmonizerResultsEl.children).forEach((row, i) => row.classList.toggle('active', i === index));
+    if (leadSheetInput) {
+        leadSheetInput.value = harmonization.symbols.join(' | ');
+        renderLeadSheet();
+    }
+}
+
+function playHarmonization() {
+    harmonizerTimers.forEach(clearTimeout);
+    harmonizerTimers = [];
+    if (!harmonization) return;
+
+    // The engine's melody has no open notes: one still held lasts until the next note (or 500 ms)
+    const start = harmonizerResult.melody[0].time;
+    harmonizerResult.melody.forEach((n, i) => {
+        const id = `melody_${i}`;
+        harmonizerTimers.push(setTimeout(() => {
+            playDiatonicChord({ root: id, chord: { frequencies: [{ frequency: theoryEngine.midiToFrequency(n.midi) }] } }, n.duration);
+        }, n.time - start));
+    });
+
+    // Chords from the lead sheet (possibly edited), at the harmonization's times
+    const chords = renderLeadSheet();
+    const chips = Array.from(leadSheetChords.children);
+    harmonization.chords.forEach((slot, i) => {
+        const chord = chords[i];
+        if (!chord || chord.errors.length) return;
+        harmonizerTimers.push(setTimeout(() => {
+            playLeadSheetChord(chord, chips[i], Math.max(slot.duration, 200));
+        }, slot.time - start));
+    });
+}
+
+function clearMelody() {
+    melodyStart = Date.now();
+    harmonizerResult = null;
+    harmonization = null;
+    harmonizerMelodyEl.textContent = 'Play a melody...';
+    harmonizerResultsEl.innerHTML = '';
+}
+
+const btnHarmonize = document.getElementById('btn-harmonize');
+const btnPlayHarmonization = document.getElementById('btn-play-harmonization');
+const btnClearMelody = document.getElementById('btn-clear-melody');
+if (btnHarmonize) btnHarmonize.addEventListener('click', harmonizeMelody);
+if (btnPlayHarmonization) btnPlayHarmonization.addEventListener('click', playHarmonization);
+if (btnClearMelody) btnClearMelody.addEventListener('click', clearMelody);
+
+// --- KEY DETECTION (Production Mode) ---
+// Each note is an event { note, midi, time, duration, velocity }; duration stays
+// null while the key is held. The engine weights events by length and recency.
+let recentlyPlayedNotes = [];
+let detectedKey = null; // Best entry of theoryEngine.detectKey(), used by the Roman numeral analysis
+const KEY_DETECTION_WINDOW = 30000; // Older notes have decayed to ~7% (half-life below)
+const KEY_DETECTION_HALF_LIFE = 8000;
+const keyDistributionEl = document.getElementById('key-distribution');
+const keyProfileSelect = document.getElementById('key-profile');
+
+// The whole jam is kept for the key timeline (same event objects)
+let keySessionNotes = [];
+const KEY_SESSION_MAX_NOTES = 5000;
+let keyTimelineTimer = null;
+const keyTimelineEl = document.getElementById('key-timeline');
+const keyModulationsEl = document.getElementById('key-modulations');
+const btnClearKeyTimeline = document.getElementById('btn-clear-key-timeline');
+
+function addNoteForKeyDetection(note, midi = null, velocity = 1) {
+    const event = { note, midi, time: Date.now(), duration: null, velocity };
+    recentlyPlayedNotes.push(event);
+    keySessionNotes.push(event);
+    if (keySessionNotes.length > KEY_SESSION_MAX_NOTES) keySessionNotes.shift();
+
+    // Remove old notes
+    const cutoff = Date.now() - KEY_DETECTION_WINDOW;
+    recentlyPlayedNotes = recentlyPlayedNotes.filter(n => n.duration === null || n.time + n.duration > cutoff);
+
+    updateKeyDetection();
+}
+
+// Close the most recent open event for this note so its duration counts
+function releaseNoteForKeyDetection(note) {
+    const event = [...recentlyPlayedNotes].reverse().find(n => n.note === note && n.duration === null);
+    if (event) event.duration = Date.now() - event.time;
+}
+
+function updateKeyDetection() {
+    // Only run detection in production mode
+    if (currentAppMode !== MODES.PRODUCTION || recentlyPlayedNotes.length < 3) return;
+
+    scheduleKeyTimelineUpdate();
+
+    const detected = theoryEngine.detectKey(recentlyPlayedNotes, {
+        halfLife: KEY_DETECTION_HALF_LIFE,
+        profile: keyProfileSelect ? keyProfileSelect.value : 'krumhansl'
+    });
+
+    if (detected.length > 0) detectedKey = detected[0];
+
+    if (detected.length > 0 && detectedKeyDisplay) {
+        detectedKeyDisplay.textContent = detected[0].key;
+        detectedKeyDisplay.title = `Confidence: ${Math.round(detected[0].score * 100)}% (r = ${detected[0].correlation.toFixed(2)})`;
+    }
+
+    if (keyDistributionEl) {
+        // Top 5 of the 24-key distribution as bars
+        keyDistributionEl.innerHTML = '';
+        detected.slice(0, 5).forEach(k => {
+            const row = document.createElement('div');
+            row.className = 'key-distribution-row';
+            row.title = `r = ${k.correlation.toFixed(2)}`;
+
+            const name = document.createElement('span');
+            name.className = 'key-distribution-name';
+            name.textContent = `${k.root} ${k.scale === 'major' ? 'major' : 'minor'}`;
+
+            const bar = document.createElement('span');
+            bar.className = 'key-distribution-bar';
+            bar.style.width = `${Math.round(k.score * 100)}%`;
+
+            const value = document.createElement('span');
+            value.className = 'key-distribution-value';
+            value.textContent = `${Math.round(k.score * 100)}%`;
+
+            row.appendChild(name);
+            row.appendChild(bar);
+            row.appendChild(value);
+            keyDistributionEl.appendChild(row);
+        });
+    }
+}
+
+if (keyProfileSelect) {
+    keyProfileSelect.addEventListener('change', updateKeyDetection);
+}
+
+// --- KEY TIMELINE (Production Mode) ---
+const KEY_TIMELINE_PX_PER_SECOND = 12;
+
+// Re-segmenting the whole session is too heavy for every note: batch them
+function scheduleKeyTimelineUpdate() {
+    if (keyTimelineTimer) return;
+    keyTimelineTimer = setTimeout(() => {
+        keyTimelineTimer = null;
+        updateKeyTimeline();
+    }, 300);
+}
+
+function shortKeyName(root, scale) {
+    return scale === 'major' ? root : `${root}m`;
+}
+
+function formatSessionTime(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function updateKeyTimeline() {
+    if (!keyTimelineEl || !keyModulationsEl) return;
+
+    const { regions, modulations } = theoryEngine.trackKeys(keySessionNotes, {
+        profile: keyProfileSelect ? keyProfileSelect.value : 'krumhansl'
+    });
+    const sessionStart = keySessionNotes.length ? keySessionNotes[0].time : 0;
+
+    keyTimelineEl.innerHTML = '';
+    regions.forEach(region => {
+        // Neighbouring keys on the circle of fifths get neighbouring colours
+        const fifths = (theoryEngine.noteToIndex(region.root) * 7) % 12;
+        const block = document.createElement('div');
+        block.className = 'key-region';
+        block.style.width = `${Math.max(24, (region.end - region.start) / 1000 * KEY_TIMELINE_PX_PER_SECOND)}px`;
+        block.style.background = `hsl(${fifths * 30}, 70%, ${region.scale === 'major' ? 40 : 28}%)`;
+        block.textContent = shortKeyName(region.root, region.scale);
+        block.title = `${region.key}\n${formatSessionTime(region.start - sessionStart)}–${formatSessionTime(region.end - sessionStart)}\nConfidence: ${Math.round(region.confidence * 100)}%`;
+        keyTimelineEl.appendChild(block);
+    });
+    keyTimelineEl.scrollLeft = keyTimelineEl.scrollWidth;
+
+    keyModulationsEl.innerHTML = '';
+    modulations.forEach((mod, i) => {
+        const from = regions[i];
+        const to = regions[i + 1];
+        const row = document.createElement('div');
+        row.className = 'key-modulation';
+        row.textContent = `${formatSessionTime(mod.time - sessionStart)} ${shortKeyName(from.root, from.scale)} → ${shortKeyName(to.root, to.scale)}`
+            + (mod.pivot ? ` via ${mod.pivot.chord} (${mod.pivot.numeralA} → ${mod.pivot.numeralB})` : '');
+        row.title = mod.relationship + (mod.pivotChords.length
+            ? `\nPivot chords: ${mod.pivotChords.map(p => p.chord).join(', ')}`
+            : '\nNo common chords: direct modulation');
+        keyModulationsEl.appendChild(row);
+    });
+}
+
+if (btnClearKeyTimeline) {
+    btnClearKeyTimeline.addEventListener('click', () => {
+        keySessionNotes = [];
+        recentlyPlayedNotes = [];
+        if (keyTimelineEl) keyTimelineEl.innerHTML = '';
+        if (keyModulationsEl) keyModulationsEl.innerHTML = '';
+        if (keyDistributionEl) keyDistributionEl.innerHTML = '';
+        if (detectedKeyDisplay) detectedKeyDisplay.textContent = 'Play some notes...';
+        detectedKey = null;
+    });
+}
+
+// --- ROMAN NUMERAL ANALYSIS (Production Mode) ---
+// Chords recognized on the keyboard/MIDI are collected and analyzed in the detected key
+const romanChordsEl = document.getElementById('roman-analysis-chords');
+const romanKeyEl = document.getElementById('roman-analysis-key');
+const romanCadencesEl = document.getElementById('roman-analysis-cadences');
+const btnClearRoman = document.getElementById('btn-clear-roman');
+const PROGRESSION_MAX_CHORDS = 8;
+const CHORD_CAPTURE_FRAMES = 3; // Analysis runs at ~10fps: a chord must hold ~300ms
+const CHORD_GROW_MS = 1000; // C then B added within a second = Cmaj7, not two chords
+
+let playedProgression = [];
+let pendingChord = null;
+let pendingFrames = 0;
+let chordReleased = true;
+
+// Called by the harmony analysis in draw() with theoryEngine.analyzeFrequencies() results
+function captureProgressionChord(result) {
+    const chord = result && result.confidence >= 0.75 ? result.chord : null;
+    if (!chord) {
+        pendingChord = null;
+        pendingFrames = 0;
+        chordReleased = true;
+        return;
+    }
+
+    pendingFrames = pendingChord && pendingChord.name === chord.name ? pendingFrames + 1 : 1;
+    pendingChord = chord;
+    if (pendingFrames !== CHORD_CAPTURE_FRAMES) return;
+
+    const last = playedProgression[playedProgression.length - 1];
+    if (last && last.chord.name === chord.name && !chordReleased) return;
+
+    const grew = last && !chordReleased && isSameNote(last.chord.root, chord.root) && Date.now() - last.time < CHORD_GROW_MS;
+    if (grew) {
+        last.chord = chord;
+    } else {
+        playedProgression.push({ chord, time: Date.now() });
+        if (playedProgression.length > PROGRESSION_MAX_CHORDS) playedProgression.shift();
+    }
+    chordReleased = false;
+    renderRomanAnalysis();
+}
+
+function renderRomanAnalysis() {
+    if (!romanChordsEl) return;
+
+    const key = detectedKey
+        ? { root: detectedKey.root, scale: detectedKey.scale }
+        : { root: keyRootName(), scale: currentScaleType };
+    const analysis = theoryEngine.analyzeProgression(playedProgression.map(p => p.chord), key);
+    if (analysis.errors.length) {
+        if (romanKeyEl) romanKeyEl.textContent = analysis.errors[0].message;
+        return;
+    }
+
+    if (romanKeyEl) romanKeyEl.textContent = `in ${analysis.key}${detectedKey ? ' (detected)' : ''}`;
+
+    romanChordsEl.innerHTML = '';
+    analysis.chords.forEach(item => {
+        const chip = document.createElement('div');
+        chip.className = `chord-chip roman-chip fn-${item.function.replace(/\s+/g, '-')}`;
+        chip.title = `${item.chord.fullName || item.chord.name}\n${item.description}`;
+
+        const numeral = document.createElement('span');
+        numeral.className = 'numeral';
+        numeral.textContent = item.numeral;
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = item.chord.name;
+
+        chip.appendChild(numeral);
+        chip.appendChild(name);
+        romanChordsEl.appendChild(chip);
+    });
+
+    if (romanCadencesEl) {
+        romanCadencesEl.textContent = analysis.cadences.map(c => {
+            const from = analysis.chords[c.index - 1];
+            const to = analysis.chords[c.index];
+            const arrow = c.type === 'half' ? `→ ${to.numeral}` : `${from.numeral} → ${to.numeral}`;
+            return `${c.name}${c.perfect ? ' (perfect)' : ''} cadence: ${arrow}`;
+        }).join(' · ');
+    }
+}
+
+if (btnClearRoman) {
+    btnClearRoman.addEventListener('click', () => {
+        playedProgression = [];
+        renderRomanAnalysis();
+    });
+}
+
+// --- CIRCLE OF FIFTHS ---
+// Spelled by the theory engine: C, G, D ... F#, Db, Ab ... with relative minors
+const CIRCLE_OF_FIFTHS = theoryEngine.getCircleOfFifths().map(key => ({
+    major: key.major,
+    minor: `${key.minor}m`
+}));
+
+function initCircleOfFifthsMini() {
+    const container = document.getElementById('circle-of-fifths-mini');
+    if (!container) return;
+
+    const size = 180;
+    const cx = size / 2;
+    const cy = size / 2;
+    const outerR = size / 2 - 5;
+    const innerR = outerR * 0.55;
+
+    let svg = `<svg viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">`;
+
+    CIRCLE_OF_FIFTHS.forEach((key, i) => {
+        const startAngle = (i * 30 - 90) * Math.PI / 180;
+        const endAngle = ((i + 1) * 30 - 90) * Math.PI / 180;
+        const midAngle = (startAngle + endAngle) / 2;
+
+        // Outer arc (Major keys)
+        const x1o = cx + outerR * Math.cos(startAngle);
+        const y1o = cy + outerR * Math.sin(startAngle);
+        const x2o = cx + outerR * Math.cos(endAngle);
+        const y2o = cy + outerR * Math.sin(endAngle);
+        const x1i = cx + innerR * Math.cos(startAngle);
+        const y1i = cy + innerR * Math.sin(startAngle);
+        const x2i = cx + innerR * Math.cos(endAngle);
+        const y2i = cy + innerR * Math.sin(endAngle);
+
+        const pathOuter = `M ${x1i} ${y1i} L ${x1o} ${y1o} A ${outerR} ${outerR} 0 0 1 ${x2o} ${y2o} L ${x2i} ${y2i} A ${innerR} ${innerR} 0 0 0 ${x1i} ${y1i}`;
+
+        svg += `<path class="cof-segment" data-key="${key.major}" data-type="major" d="${pathOuter}"/>`;
+
+        // Label for major
+        const labelR = (outerR + innerR) / 2;
+        const lx = cx + labelR * Math.cos(midAngle);
+        const ly = cy + labelR * Math.sin(midAngle);
+        svg += `<text class="cof-label" x="${lx}" y="${ly}">${key.major}</text>`;
+
+        // Inner segment (Minor keys)
+        const minorR = innerR - 5;
+        const innerR2 = 15;
+        const x1m = cx + minorR * Math.cos(startAngle);
+        const y1m = cy + minorR * Math.sin(startAngle);
+        const x2m = cx + minorR * Math.cos(endAngle);
+        const y2m = cy + minorR * Math.sin(endAngle);
+        const x1c = cx + innerR2 * Math.cos(startAngle);
+        const y1c = cy + innerR2 * Math.sin(startAngle);
+        const x2c = cx + innerR2 * Math.cos(endAngle);
+        const y2c = cy + innerR2 * Math.sin(endAngle);
+
+        const pathMinor = `M ${x1c} ${y1c} L ${x1m} ${y1m} A ${minorR} ${minorR} 0 0 1 ${x2m} ${y2m} L ${x2c} ${y2c} A ${innerR2} ${innerR2} 0 0 0 ${x1c} ${y1c}`;
+        svg += `<path class="cof-segment" data-key="${key.minor.replace('m', '')}" data-type="minor" d="${pathMinor}"/>`;
+
+        // Label for minor
+        const minorLabelR = (minorR + innerR2) / 2;
+        const mlx = cx + minorLabelR * Math.cos(midAngle);
+        const mly = cy + minorLabelR * Math.sin(midAngle);
+        svg += `<text class="cof-label cof-label-minor" x="${mlx}" y="${mly}">${key.minor}</text>`;
+    });
+
+    svg += '</svg>';
+    container.innerHTML = svg;
+
+    // Add click handlers
+    container.querySelectorAll('.cof-segment').forEach(seg => {
+        seg.addEventListener('click', () => {
+            const key = seg.dataset.key;
+            const type = seg.dataset.type;
+
+            // Update dropdowns
+            const keySelect = document.getElementById('key-root');
+            const scaleSelect = document.getElementById('scale-type');
+
+            // Dropdown values are sharps: Db -> C#
+            const option = keySelect && Array.from(keySelect.options).find(o => isSameNote(o.value, key));
+            if (option) keySelect.value = option.value;
+            if (scaleSelect) scaleSelect.value = type === 'minor' ? 'naturalMinor' : 'major';
+
+            // Trigger updates
+            currentKeyRoot = option ? option.value : key;
+            currentScaleType = type === 'minor' ? 'naturalMinor' : 'major';
+            applyTuning();
+            updateKeyDisplay();
+            updateDiatonicChords();
+            updateKeyboardOverlay();
+            updateCircleHighlights();
+        });
+    });
+
+    updateCircleHighlights();
+}
+
+function updateCircleHighlights() {
+    const container = document.getElementById('circle-of-fifths-mini');
+    if (!container) return;
+
+    const segments = container.querySelectorAll('.cof-segment');
+    segments.forEach(seg => {
+        seg.classList.remove('active', 'adjacent', 'relative');
+
+        const segKey = seg.dataset.key;
+        const segType = seg.dataset.type;
+
+        // Find current key position
+        const currentIndex = CIRCLE_OF_FIFTHS.findIndex(k =>
+            (segType === 'major' && isSameNote(k.major, currentKeyRoot)) ||
+            (segType === 'minor' && isSameNote(k.minor.replace('m', ''), currentKeyRoot))
+        );
+
+        // Highlight active key
+        if (isSameNote(segKey, currentKeyRoot)) {
+            const isMinorScale = isMinorKey();
+            if ((segType === 'minor' && isMinorScale) || (segType === 'major' && !isMinorScale)) {
+                seg.classList.add('active');
+            }
+        }
+
+        // Highlight adjacent keys (modulation candidates)
+        if (currentIndex !== -1) {
+            const prevIdx = (currentIndex - 1 + 12) % 12;
+            const nextIdx = (currentIndex + 1) % 12;
+            if (segType === 'major') {
+                if (CIRCLE_OF_FIFTHS[prevIdx].major === segKey || CIRCLE_OF_FIFTHS[nextIdx].major === segKey) {
+                    seg.classList.add('adjacent');
+                }
+            }
+        }
+    });
+}
+
+// --- TONNETZ VISUALIZATION ---
+// Lattice of fifths (left to right) and major thirds (up); minor thirds run
+// down-right. Every triangle is a triad: pointing up = major, down = minor.
+// Triads repeat across the lattice, so every copy lights up together.
+let tonnetzSelected = null; // Last clicked triad (chord object)
+let tonnetzCaption = 'Click a triangle to play its triad';
+let tonnetzTriangles = []; // Rebuilt every frame for click hit-testing
+
+function getSoundingPitchClasses() {
+    return new Set(engine.getActiveNotes().map(n => theoryEngine.getNearestPitch(n.freq).index));
+}
+
+function drawTonnetz() {
+    ctx.fillStyle = '#0a0a0f';
+    ctx.fillRect(0, 0, width, height);
+
+    const spacing = Math.max(60, Math.min(width, height) / 7);
+    const rowHeight = spacing * Math.sqrt(3) / 2;
+    const cx = width / 2;
+    const cy = height / 2;
+    const margin = 20;
+    const sounding = getSoundingPitchClasses();
+    const spelling = theoryEngine.getKeySpelling(keyRootName(), currentScaleType);
+    const neighbors = tonnetzSelected ? theoryEngine.getTriadNeighbors(tonnetzSelected) : null;
+
+    const point = (x, y) => ({ x: cx + (x + y / 2) * spacing, y: cy - y * rowHeight });
+    const onScreen = p => p.x > margin && p.x < width - margin && p.y > margin + 40 && p.y < height - margin;
+    const rows = Math.ceil(cy / rowHeight);
+    const cols = Math.ceil(cx / spacing) + rows;
+
+    // Triangles first, nodes on top
+    tonnetzTriangles = [];
+    for (let y = -rows; y <= rows; y++) {
+        for (let x = -cols; x <= cols; x++) {
+            [
+                { quality: 'major', corners: [[x, y], [x + 1, y], [x, y + 1]], root: [x, y] },
+                { quality: 'minor', corners: [[x + 1, y], [x, y + 1], [x + 1, y + 1]], root: [x, y + 1] }
+            ].forEach(({ quality, corners, root }) => {
+                const points = corners.map(([a, b]) => point(a, b));
+                if (!points.every(onScreen)) return;
+
+                const pcs = corners.map(([a, b]) => theoryEngine.getTonnetzPitchClass(a, b));
+                const rootIndex = theoryEngine.getTonnetzPitchClass(root[0], root[1]);
+                const chord = theoryEngine.buildTriad({ rootIndex, quality });
+                const isSounding = pcs.every(pc => sounding.has(pc));
+                const isSelected = tonnetzSelected && isSameTriad(chord, tonnetzSelected);
+                const move = neighbors && Object.keys(neighbors).find(op => isSameTriad(chord, neighbors[op]));
+                tonnetzTriangles.push({ points, chord });
+
+                ctx.beginPath();
+                points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                ctx.closePath();
+                if (isSounding) {
+                    ctx.fillStyle = quality === 'major' ? 'rgba(0, 204, 255, 0.45)' : 'rgba(255, 136, 0, 0.45)';
+                } else if (isSelected) {
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+                } else {
+                    ctx.fillStyle = quality === 'major' ? 'rgba(255, 255, 255, 0.05)' : 'rgba(255, 255, 255, 0.02)';
+                }
+                ctx.fill();
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+                ctx.lineWidth = 1;
+                ctx.stroke();
+
+                // Name the triads worth looking at, and the moves to the selected one's neighbours
+                if (isSounding || isSelected || move) {
+                    const centerX = (points[0].x + points[1].x + points[2].x) / 3;
+                    const centerY = (points[0].y + points[1].y + points[2].y) / 3;
+                    ctx.fillStyle = move ? '#00ff88' : '#fff';
+                    ctx.font = 'bold 12px Outfit';
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(move ? `${move}: ${chord.name}` : chord.name, centerX, centerY);
+                }
+            });
+        }
+    }
+
+    // Pitch-class nodes
+    for (let y = -rows; y <= rows + 1; y++) {
+        for (let x = -cols; x <= cols + 1; x++) {
+            const p = point(x, y);
+            if (!onScreen(p)) continue;
+
+            const pc = theoryEngine.getTonnetzPitchClass(x, y);
+            const lit = sounding.has(pc);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 14, 0, Math.PI * 2);
+            ctx.fillStyle = lit ? '#00ff88' : '#1a1a24';
+            ctx.fill();
+            ctx.strokeStyle = lit ? '#00ff88' : 'rgba(255, 255, 255, 0.3)';
+            ctx.stroke();
+
+            ctx.fillStyle = lit ? '#000' : '#ccc';
+            ctx.font = lit ? 'bold 12px Outfit' : '11px Outfit';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(spelling[pc], p.x, p.y);
+        }
+    }
+
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 16px Outfit';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Tonnetz', cx, 15);
+    ctx.fillStyle = '#aaa';
+    ctx.font = '13px Outfit';
+    ctx.fillText(tonnetzCaption, cx, 37);
+}
+
+function isSameTriad(a, b) {
+    return a.type === b.type && isSameNote(a.root, b.root);
+}
+
+// Play a clicked triad and name the P/L/R moves from the previous one
+function playTonnetzTriad(chord) {
+    if (tonnetzSelected && !isSameTriad(chord, tonnetzSelected)) {
+        const path = theoryEngine.findTransformationPath(tonnetzSelected, chord);
+        const named = Object.entries(NEO_RIEMANNIAN_OPERATIONS)
+            .find(([key, op]) => key === path.operations || op.sequence === path.operations);
+        const via = path.triads.slice(1, -1).map(t => t.name).join(', ');
+        tonnetzCaption = `${tonnetzSelected.name} → ${chord.name}: ` + (named
+            ? `${named[1].sequence ? `${named[0]} = ${path.operations}` : named[0]} (${named[1].name}) · ${named[1].description}`
+            : `${path.operations} (${path.operations.length} moves via ${via})`);
+    } else {
+        tonnetzCaption = `${chord.fullName} · neighbours are one P, L or R move away`;
+    }
+    tonnetzSelected = chord;
+
+    playDiatonicChord({ root: chord.root, chord });
+    highlightChordKeys(chord.notes, true);
+    setTimeout(() => highlightChordKeys(chord.notes, false), 1000);
+}
+
+canvas.addEventListener('click', (e) => {
+    if (currentMode !== 'tonnetz') return;
+
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (rect.width ? canvas.width / rect.width : 1);
+    const y = (e.clientY - rect.top) * (rect.height ? canvas.height / rect.height : 1);
+
+    // Same side of all three edges = inside
+    const side = (p, a, b) => (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+    const hit = tonnetzTriangles.find(({ points: [a, b, c] }) => {
+        const p = { x, y };
+        const d = [side(p, a, b), side(p, b, c), side(p, c, a)];
+        return d.every(v => v >= 0) || d.every(v => v <= 0);
+    });
+    if (hit) playTonnetzTriad(hit.chord);
+});
+
+// --- HARMONIC EDITOR (Additive Timbre) ---
+// Waveform 'custom' plays a PeriodicWave built from the amplitudes and phases
+// of the first 32 or 64 harmonics. Drag the bars (amplitude above, phase below)
+// or type them; the working timbre and named ones are kept in localStorage.
+const TIMBRE_STORAGE_KEY = 'sonicGeometry.timbres';
+const TIMBRE_PHASE_STRIP = 0.25; // Share of the editor's height for the phase bars
+const timbreGroup = document.getElementById('timbre-group');
+const timbreEditor = document.getElementById('timbre-editor');
+const timbrePresetSelect = document.getElementById('timbre-preset');
+const timbreCountSelect = document.getElementById('timbre-count');
+const timbreHarmonicsInput = document.getElementById('timbre-harmonics');
+const timbreNameInput = document.getElementById('timbre-name');
+const btnSaveTimbre = document.getElementById('btn-save-timbre');
+const btnDeleteTimbre = document.getElementById('btn-delete-timbre');
+const timbreStatus = document.getElementById('timbre-status');
+let timbreHarmonics = theoryEngine.getTimbrePreset('sawtooth', 32); // { amplitudes, phases }
+let timbrePartials = theoryEngine.getHarmonicPartials(timbreHarmonics); // For the roughness model
+let savedTimbres = {}; // name -> { amplitudes, phases }
+let timbreDrag = null; // { region: 'amplitude' | 'phase', index } while drawing
+
+// Timbre for consonance and dissonance: the waveform name, or the editor's partials
+function getTimbre() {
+    return oscType === 'custom' ? timbrePartials : oscType;
+}
+
+function loadTimbres() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(TIMBRE_STORAGE_KEY)) || {};
+        savedTimbres = stored.saved || {};
+        if (stored.current && stored.current.amplitudes.length) timbreHarmonics = stored.current;
+    } catch (e) {
+        console.warn('[Timbre] Could not read saved timbres', e);
+    }
+}
+
+function storeTimbres() {
+    try {
+        localStorage.setItem(TIMBRE_STORAGE_KEY, JSON.stringify({ current: timbreHarmonics, saved: savedTimbres }));
+    } catch (e) {
+        console.warn('[Timbre] Could not save timbres', e);
+    }
+}
+
+function populateTimbrePresets() {
+    if (!timbrePresetSelect) return;
+    timbrePresetSelect.innerHTML = '<option value="">Edited</option>';
+
+    const addGroup = (label, entries) => {
+        if (entries.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        entries.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            group.appendChild(option);
+        });
+        timbrePresetSelect.appendChild(group);
+    };
+    addGroup('Presets', Object.entries(TIMBRE_PRESETS).map(([key, preset]) => [`preset:${key}`, preset.name]));
+    addGroup('Saved', Object.keys(savedTimbres).sort().map(name => [`saved:${name}`, name]));
+}
+
+// Rebuild the wave for every 'custom' voice and refresh the editor.
+// fromText: the typed harmonics are the source, so don't rewrite the field under the cursor.
+function applyTimbre(fromText = false) {
+    timbrePartials = theoryEngine.getHarmonicPartials(timbreHarmonics);
+    engine.setCustomWave(theoryEngine.getPeriodicWaveCoefficients(timbreHarmonics));
+
+    if (timbreHarmonicsInput && !fromText) {
+        timbreHarmonicsInput.value = theoryEngine.formatHarmonics(timbreHarmonics);
+        timbreHarmonicsInput.classList.remove('invalid');
+    }
+    if (timbreCountSelect) timbreCountSelect.value = timbreHarmonics.amplitudes.length > 32 ? '64' : '32';
+    if (timbreStatus) {
+        const sounding = timbrePartials.map(p => p.ratio);
+        const evenCount = sounding.filter(n => n % 2 === 0).length;
+        timbreStatus.textContent = `${sounding.length} harmonics sounding` +
+            (sounding.length > 1 && evenCount === 0 ? ' · odd only (hollow, like square)' : '') +
+            (sounding.length > 1 && evenCount === sounding.length - 1 && sounding[0] === 1 ? ' · fundamental + even (octave-rich)' : '');
+    }
+    drawTimbreEditor();
+}
+
+function drawTimbreEditor() {
+    if (!timbreEditor) return;
+    const g = timbreEditor.getContext('2d');
+    const w = timbreEditor.width;
+    const h = timbreEditor.height;
+    const phaseTop = h * (1 - TIMBRE_PHASE_STRIP);
+    const { amplitudes, phases } = timbreHarmonics;
+    const barWidth = w / amplitudes.length;
+    const scale = Math.max(1, ...amplitudes);
+
+    g.fillStyle = '#0a0a0f';
+    g.fillRect(0, 0, w, h);
+
+    amplitudes.forEach((a, i) => {
+        const x = i * barWidth;
+        const barHeight = (a / scale) * (phaseTop - 4);
+        g.fillStyle = i % 2 === 0 ? '#00ff88' : '#00ccff'; // Odd harmonics (index 0 = 1st) vs even
+        g.fillRect(x + 1, phaseTop - barHeight, Math.max(1, barWidth - 2), barHeight);
+
+        if (a > 0) {
+            g.fillStyle = 'rgba(255, 136, 0, 0.7)';
+            const phaseHeight = ((phases[i] || 0) / 360) * (h - phaseTop - 2);
+            g.fillRect(x + 1, h - phaseHeight, Math.max(1, barWidth - 2), phaseHeight);
+        }
+    });
+
+    g.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    g.beginPath();
+    g.moveTo(0, phaseTop);
+    g.lineTo(w, phaseTop);
+    g.stroke();
+
+    g.fillStyle = '#aaa';
+    g.font = '9px monospace';
+    g.textAlign = 'left';
+    g.fillText('amplitude', 3, 10);
+    g.fillText('phase 0-360°', 3, phaseTop + 10);
+    g.textAlign = 'right';
+    g.fillText(`${amplitudes.length}`, w - 3, 10);
+}
+
+// Set the harmonic under the pointer; fills the ones skipped by a fast drag
+function editTimbreAt(event) {
+    const rect = timbreEditor.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * timbreEditor.width;
+    const y = ((event.clientY - rect.top) / rect.height) * timbreEditor.height;
+    const h = timbreEditor.height;
+    const phaseTop = h * (1 - TIMBRE_PHASE_STRIP);
+    const count = timbreHarmonics.amplitudes.length;
+    const index = Math.min(count - 1, Math.max(0, Math.floor((x / timbreEditor.width) * count)));
+
+    if (!timbreDrag) timbreDrag = { region: y < phaseTop ? 'amplitude' : 'phase', index };
+
+    let value;
+    if (timbreDrag.region === 'amplitude') {
+        value = Math.min(1, Math.max(0, 1 - y / (phaseTop - 4)));
+        if (value < 0.02) value = 0;
+    } else {
+        value = Math.round((Math.min(1, Math.max(0, (h - y) / (h - phaseTop - 2))) * 360) / 15) * 15 % 360;
+    }
+
+    const values = timbreDrag.region === 'amplitude' ? timbreHarmonics.amplitudes : timbreHarmonics.phases;
+    const from = Math.min(index, timbreDrag.index);
+    const to = Math.max(index, timbreDrag.index);
+    for (let i = from; i <= to; i++) values[i] = value;
+    timbreDrag.index = index;
+
+    if (timbrePresetSelect) timbrePresetSelect.value = '';
+    applyTimbre();
+}
+
+if (timbreEditor) {
+    timbreEditor.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        timbreDrag = null;
+        editTimbreAt(e);
+    });
+    window.addEventListener('mousemove', (e) => {
+        if (timbreDrag) editTimbreAt(e);
+    });
+    window.addEventListener('mouseup', () => {
+        if (!timbreDrag) return;
+        timbreDrag = null;
+        storeTimbres();
+    });
+}
+
+if (timbrePresetSelect) {
+    timbrePresetSelect.addEventListener('change', () => {
+        const [kind, name] = timbrePresetSelect.value.split(/:(.*)/);
+        const count = timbreHarmonics.amplitudes.length;
+        const harmonics = kind === 'preset'
+            ? theoryEngine.getTimbrePreset(name, count)
+            : kind === 'saved' ? savedTimbres[name] : null;
+        if (!harmonics) return;
+
+        timbreHarmonics = { amplitudes: [...harmonics.amplitudes], phases: [...harmonics.phases] };
+        if (kind === 'saved' && timbreNameInput) timbreNameInput.value = name;
+        applyTimbre();
+        storeTimbres();
+    });
+}
+
+if (timbreCountSelect) {
+    timbreCountSelect.addEventListener('change', () => {
+        const count = parseInt(timbreCountSelect.value);
+        const pad = values => Array.from({ length: count }, (_, i) => values[i] || 0);
+        timbreHarmonics = { amplitudes: pad(timbreHarmonics.amplitudes), phases: pad(timbreHarmonics.phases) };
+
+        // Presets have more to say past harmonic 32
+        const [kind, name] = (timbrePresetSelect ? timbrePresetSelect.value : '').split(':');
+        if (kind === 'preset') timbreHarmonics = theoryEngine.getTimbrePreset(name, count);
+        applyTimbre();
+        storeTimbres();
+    });
+}
+
+if (timbreHarmonicsInput) {
+    timbreHarmonicsInput.addEventListener('input', () => {
+        const count = timbreHarmonics.amplitudes.length;
+        const parsed = theoryEngine.parseHarmonics(timbreHarmonicsInput.value, 64);
+        timbreHarmonicsInput.classList.toggle('invalid', !parsed);
+        if (!parsed) {
+            if (timbreStatus) timbreStatus.textContent = 'Use amplitude or amplitude@phase per harmonic, separated by commas';
+            return;
+        }
+
+        const length = parsed.amplitudes.length > count ? 64 : count;
+        const pad = values => Array.from({ length }, (_, i) => values[i] || 0);
+        timbreHarmonics = { amplitudes: pad(parsed.amplitudes), phases: pad(parsed.phases) };
+        if (timbrePresetSelect) timbrePresetSelect.value = '';
+        applyTimbre(true);
+        storeTimbres();
+    });
+}
+
+if (btnSaveTimbre) {
+    btnSaveTimbre.addEventListener('click', () => {
+        const name = timbreNameInput ? timbreNameInput.value.trim() : '';
+        if (!name) {
+            if (timbreStatus) timbreStatus.textContent = 'Name the timbre to save it';
+            return;
+        }
+        savedTimbres[name] = { amplitudes: [...timbreHarmonics.amplitudes], phases: [...timbreHarmonics.phases] };
+        storeTimbres();
+        populateTimbrePresets();
+        timbrePresetSelect.value = `saved:${name}`;
+        if (timbreStatus) timbreStatus.textContent = `Saved "${name}"`;
     });
 }
 
-if (scaleTypeSelect) {
-    scaleTypeSelect.addEventListener('change', (e) => {
-        currentScaleType = e.target.value;
-        updateKeyDisplay();
-        updateDiatonicChords();
-        updateKeyboardOverlay();
-        updateCircleHighlights();
+if (btnDeleteTimbre) {
+    btnDeleteTimbre.addEventListener('click', () => {
+        const [kind, name] = timbrePresetSelect.value.split(/:(.*)/);
+        if (kind !== 'saved') {
+            if (timbreStatus) timbreStatus.textContent = 'Pick a saved timbre to delete';
+            return;
+        }
+        delete savedTimbres[name];
+        storeTimbres();
+        populateTimbrePresets();
+        if (timbreStatus) timbreStatus.textContent = `Deleted "${name}"`;
     });
 }
 
-// --- KEY DETECTION (Production Mode) ---
-let recentlyPlayedNotes = [];
-const KEY_DETECTION_WINDOW = 5000; // 5 seconds
-
-function addNoteForKeyDetection(note) {
-    recentlyPlayedNotes.push({ note, time: Date.now() });
+selectType.addEventListener('change', () => {
+    if (timbreGroup) timbreGroup.style.display = selectType.value === 'custom' ? 'block' : 'none';
+});
 
-    // Remove old notes
-    const cutoff = Date.now() - KEY_DETECTION_WINDOW;
-    recentlyPlayedNotes = recentlyPlayedNotes.filter(n => n.time > cutoff);
+loadTimbres();
+populateTimbrePresets();
+applyTimbre();
+
+// --- ENVELOPE EDITOR (ADSR & Velocity) ---
+// Edits engine.patch for every new voice: drone, keyboard, MIDI, chords and
+// the ear trainer. The preview redraws as the sliders move and marks where
+// each sounding note is in its envelope.
+const PATCH_STORAGE_KEY = 'sonicGeometry.patch';
+const ENVELOPE_HOLD_SECONDS = 0.5; // Width given to the sustain stage in the preview
+const envelopePreview = document.getElementById('envelope-preview');
+const envelopePresetSelect = document.getElementById('envelope-preset');
+const envelopeCurveSelect = document.getElementById('envelope-curve');
+const velocityCurveSelect = document.getElementById('velocity-curve');
+const envelopeSliders = {
+    attack: { input: document.getElementById('env-attack'), display: document.getElementById('env-attack-val'), scale: 1000 },
+    decay: { input: document.getElementById('env-decay'), display: document.getElementById('env-decay-val'), scale: 1000 },
+    sustain: { input: document.getElementById('env-sustain'), display: document.getElementById('env-sustain-val'), scale: 100 },
+    release: { input: document.getElementById('env-release'), display: document.getElementById('env-release-val'), scale: 1000 },
+    brightness: { input: document.getElementById('velocity-brightness'), display: document.getElementById('velocity-brightness-val'), scale: 100 },
+    keyVelocity: { input: document.getElementById('key-velocity'), display: document.getElementById('key-velocity-val'), scale: 100 }
+};
 
-    // Only run detection in production mode
-    if (currentAppMode === MODES.PRODUCTION && recentlyPlayedNotes.length >= 3) {
-        const notes = recentlyPlayedNotes.map(n => n.note);
-        const detected = theoryEngine.detectKey(notes);
+function fillSelect(select, entries) {
+    if (!select) return;
+    entries.forEach(([value, { name }]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+}
 
-        if (detected.length > 0 && detectedKeyDisplay) {
-            detectedKeyDisplay.textContent = detected[0].key;
-            detectedKeyDisplay.title = `Confidence: ${Math.round(detected[0].score * 100)}%`;
-        }
+function storePatch() {
+    try {
+        localStorage.setItem(PATCH_STORAGE_KEY, JSON.stringify(engine.patch));
+    } catch (e) {
+        console.warn('[Envelope] Could not save the patch', e);
     }
 }
 
-// --- CIRCLE OF FIFTHS ---
-const CIRCLE_OF_FIFTHS = [
-    { major: 'C', minor: 'Am' },
-    { major: 'G', minor: 'Em' },
-    { major: 'D', minor: 'Bm' },
-    { major: 'A', minor: 'F#m' },
-    { major: 'E', minor: 'C#m' },
-    { major: 'B', minor: 'G#m' },
-    { major: 'F#', minor: 'D#m' },
-    { major: 'Db', minor: 'Bbm' },
-    { major: 'Ab', minor: 'Fm' },
-    { major: 'Eb', minor: 'Cm' },
-    { major: 'Bb', minor: 'Gm' },
-    { major: 'F', minor: 'Dm' }
-];
-
-function initCircleOfFifthsMini() {
-    const container = document.getElementById('circle-of-fifths-mini');
-    if (!container) return;
+function loadPatch() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PATCH_STORAGE_KEY));
+        if (stored) engine.setPatch(stored);
+    } catch (e) {
+        console.warn('[Envelope] Could not read the saved patch', e);
+    }
+}
 
-    const size = 180;
-    const cx = size / 2;
-    const cy = size / 2;
-    const outerR = size / 2 - 5;
-    const innerR = outerR * 0.55;
+// Controls follow engine.patch (after a preset or on load)
+function updateEnvelopeControls() {
+    const patch = engine.patch;
+    Object.entries(envelopeSliders).forEach(([name, { input, display, scale }]) => {
+        if (input) input.value = Math.round(patch[name] * scale);
+        if (display) display.textContent = Math.round(patch[name] * scale);
+    });
+    if (envelopeCurveSelect) envelopeCurveSelect.value = patch.curve;
+    if (velocityCurveSelect) velocityCurveSelect.value = patch.velocityCurve;
+    if (envelopePresetSelect) {
+        const match = Object.entries(PATCH_PRESETS).find(([, preset]) =>
+            ['attack', 'decay', 'sustain', 'release', 'curve'].every(k => preset[k] === patch[k]));
+        envelopePresetSelect.value = match ? match[0] : '';
+    }
+    drawEnvelopePreview();
+}
 
-    let svg = `<svg viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">`;
+function drawEnvelopePreview() {
+    if (!envelopePreview) return;
+    const g = envelopePreview.getContext('2d');
+    const w = envelopePreview.width;
+    const h = envelopePreview.height;
+    const { attack, decay, sustain, release, curve } = engine.patch;
+    const shape = (ENVELOPE_CURVES[curve] || ENVELOPE_CURVES.linear).shape;
+    const total = attack + decay + ENVELOPE_HOLD_SECONDS + release;
+    const top = 12;
+    const bottom = h - 12;
+    const toX = t => 4 + (t / total) * (w - 8);
+    const toY = level => bottom - level * (bottom - top);
+
+    g.fillStyle = '#0a0a0f';
+    g.fillRect(0, 0, w, h);
+
+    // The same curve the engine schedules, stage by stage
+    const stages = [
+        { from: 0, to: 1, start: 0, length: attack, label: 'A' },
+        { from: 1, to: sustain, start: attack, length: decay, label: 'D' },
+        { from: sustain, to: sustain, start: attack + decay, length: ENVELOPE_HOLD_SECONDS, label: 'S' },
+        { from: sustain, to: 0, start: attack + decay + ENVELOPE_HOLD_SECONDS, length: release, label: 'R' }
+    ];
+    g.strokeStyle = '#00ff88';
+    g.lineWidth = 2;
+    g.beginPath();
+    g.moveTo(toX(0), toY(0));
+    stages.forEach(stage => {
+        for (let i = 1; i <= ENVELOPE_STEPS; i++) {
+            const p = i / ENVELOPE_STEPS;
+            g.lineTo(toX(stage.start + stage.length * p), toY(stage.from + (stage.to - stage.from) * shape(p)));
+        }
+    });
+    g.stroke();
 
-    CIRCLE_OF_FIFTHS.forEach((key, i) => {
-        const startAngle = (i * 30 - 90) * Math.PI / 180;
-        const endAngle = ((i + 1) * 30 - 90) * Math.PI / 180;
-        const midAngle = (startAngle + endAngle) / 2;
+    g.fillStyle = '#aaa';
+    g.font = '9px monospace';
+    g.textAlign = 'center';
+    stages.forEach(stage => {
+        if (stage.length > 0) g.fillText(stage.label, toX(stage.start + stage.length / 2), h - 2);
+    });
+    g.textAlign = 'right';
+    g.fillText(`${Math.round(total * 1000)} ms`, w - 3, 10);
+
+    // Sounding notes: how far along they are, at their velocity's height
+    if (!engine.ctx) return;
+    g.fillStyle = '#ff8800';
+    Object.values(engine.voices).forEach(voice => {
+        if (voice.startTime === undefined) return;
+        const elapsed = engine.ctx.currentTime - voice.startTime;
+        const t = Math.min(elapsed, attack + decay + ENVELOPE_HOLD_SECONDS);
+        let level = sustain;
+        if (t < attack) level = shape(t / attack);
+        else if (t < attack + decay) level = 1 + (sustain - 1) * shape((t - attack) / decay);
+        g.beginPath();
+        g.arc(toX(t), toY(level * engine.getVelocityGain(voice.velocity, voice.patch)), 3, 0, Math.PI * 2);
+        g.fill();
+    });
+}
 
-        // Outer arc (Major keys)
-        const x1o = cx + outerR * Math.cos(startAngle);
-        const y1o = cy + outerR * Math.sin(startAngle);
-        const x2o = cx + outerR * Math.cos(endAngle);
-        const y2o = cy + outerR * Math.sin(endAngle);
-        const x1i = cx + innerR * Math.cos(startAngle);
-        const y1i = cy + innerR * Math.sin(startAngle);
-        const x2i = cx + innerR * Math.cos(endAngle);
-        const y2i = cy + innerR * Math.sin(endAngle);
+fillSelect(envelopePresetSelect, [['', { name: 'Edited' }], ...Object.entries(PATCH_PRESETS)]);
+fillSelect(envelopeCurveSelect, Object.entries(ENVELOPE_CURVES));
+fillSelect(velocityCurveSelect, Object.entries(VELOCITY_CURVES));
+
+Object.entries(envelopeSliders).forEach(([name, { input, display, scale }]) => {
+    if (!input) return;
+    input.addEventListener('input', () => {
+        engine.setPatch({ [name]: parseInt(input.value) / scale });
+        if (display) display.textContent = input.value;
+        if (envelopePresetSelect && !['brightness', 'keyVelocity'].includes(name)) envelopePresetSelect.value = '';
+        drawEnvelopePreview();
+        storePatch();
+    });
+});
 
-        const pathOuter = `M ${x1i} ${y1i} L ${x1o} ${y1o} A ${outerR} ${outerR} 0 0 1 ${x2o} ${y2o} L ${x2i} ${y2i} A ${innerR} ${innerR} 0 0 0 ${x1i} ${y1i}`;
+if (envelopePresetSelect) {
+    envelopePresetSelect.addEventListener('change', () => {
+        const preset = PATCH_PRESETS[envelopePresetSelect.value];
+        if (!preset) return;
+        const { name, ...envelope } = preset;
+        engine.setPatch(envelope);
+        updateEnvelopeControls();
+        storePatch();
+    });
+}
 
-        svg += `<path class="cof-segment" data-key="${key.major}" data-type="major" d="${pathOuter}"/>`;
+[[envelopeCurveSelect, 'curve'], [velocityCurveSelect, 'velocityCurve']].forEach(([select, name]) => {
+    if (!select) return;
+    select.addEventListener('change', () => {
+        engine.setPatch({ [name]: select.value });
+        updateEnvelopeControls();
+        storePatch();
+    });
+});
 
-        // Label for major
-        const labelR = (outerR + innerR) / 2;
-        const lx = cx + labelR * Math.cos(midAngle);
-        const ly = cy + labelR * Math.sin(midAngle);
-        svg += `<text class="cof-label" x="${lx}" y="${ly}">${key.major}</text>`;
+loadPatch();
+updateEnvelopeControls();
+
+// --- VOICE SETTINGS ---
+const polyphonySelect = document.getElementById('polyphony-limit');
+const stealModeSelect = document.getElementById('voice-steal-mode');
+const gainNormalizeToggle = document.getElementById('gain-normalize');
+const voiceStatus = document.getElementById('voice-status');
+
+// "5 / 16 voices · 2 stolen · limiter −1.5 dB"
+function updateVoiceStatus() {
+    if (!voiceStatus) return;
+    const reduction = engine.getLimiterReduction();
+    voiceStatus.textContent = `${engine.getActiveVoiceCount()} / ${engine.polyphonyLimit} voices` +
+        (engine.stolenCount ? ` · ${engine.stolenCount} stolen` : '') +
+        (reduction < -0.1 ? ` · limiter ${reduction.toFixed(1)} dB` : '');
+}
 
-        // Inner segment (Minor keys)
-        const minorR = innerR - 5;
-        const innerR2 = 15;
-        const x1m = cx + minorR * Math.cos(startAngle);
-        const y1m = cy + minorR * Math.sin(startAngle);
-        const x2m = cx + minorR * Math.cos(endAngle);
-        const y2m = cy + minorR * Math.sin(endAngle);
-        const x1c = cx + innerR2 * Math.cos(startAngle);
-        const y1c = cy + innerR2 * Math.sin(startAngle);
-        const x2c = cx + innerR2 * Math.cos(endAngle);
-        const y2c = cy + innerR2 * Math.sin(endAngle);
+fillSelect(stealModeSelect, Object.entries(VOICE_STEAL_MODES));
 
-        const pathMinor = `M ${x1c} ${y1c} L ${x1m} ${y1m} A ${minorR} ${minorR} 0 0 1 ${x2m} ${y2m} L ${x2c} ${y2c} A ${innerR2} ${innerR2} 0 0 0 ${x1c} ${y1c}`;
-        svg += `<path class="cof-segment" data-key="${key.minor.replace('m', '')}" data-type="minor" d="${pathMinor}"/>`;
+if (polyphonySelect) {
+    polyphonySelect.addEventListener('change', () => {
+        engine.polyphonyLimit = parseInt(polyphonySelect.value);
+        updateVoiceStatus();
+    });
+}
 
-        // Label for minor
-        const minorLabelR = (minorR + innerR2) / 2;
-        const mlx = cx + minorLabelR * Math.cos(midAngle);
-        const mly = cy + minorLabelR * Math.sin(midAngle);
-        svg += `<text class="cof-label cof-label-minor" x="${mlx}" y="${mly}">${key.minor}</text>`;
+if (stealModeSelect) {
+    stealModeSelect.addEventListener('change', () => {
+        engine.stealMode = stealModeSelect.value;
     });
+}
 
-    svg += '</svg>';
-    container.innerHTML = svg;
+if (gainNormalizeToggle) {
+    gainNormalizeToggle.addEventListener('change', () => {
+        engine.normalizeGain = gainNormalizeToggle.checked;
+        engine.updateVoiceGain();
+    });
+}
 
-    // Add click handlers
-    container.querySelectorAll('.cof-segment').forEach(seg => {
-        seg.addEventListener('click', () => {
-            const key = seg.dataset.key;
-            const type = seg.dataset.type;
+updateVoiceStatus();
+
+// --- SYNTH VOICE (Oscillators, Operators, Filter, LFOs, Mod Matrix) ---
+// Every control writes engine.patch at a dotted path ('modEnv.attack',
+// 'operators.1.ratio'); sliders hold integers, so each one says how to convert
+// to and from the patch value.
+const modMatrixContainer = document.getElementById('mod-matrix');
+const btnAddRoute = document.getElementById('btn-add-route');
+const modWheelInput = document.getElementById('synth-modwheel');
+const modWheelDisplay = document.getElementById('synth-modwheel-val');
+
+const formatHz = hz => (hz >= 1000 ? `${(hz / 1000).toFixed(1)}k` : `${Math.round(hz)}`);
+const formatRatio = r => r.toFixed(2);
+const formatIndex = i => i.toFixed(1);
+const SYNTH_CONTROLS = [
+    { id: 'synth-mode', path: 'synthMode', select: SYNTH_MODES },
+    { id: 'synth-fm-algorithm', path: 'fmAlgorithm', select: FM_ALGORITHMS },
+    { id: 'synth-op1-ratio', path: 'operators.0.ratio', scale: 100, format: formatRatio },
+    { id: 'synth-op2-ratio', path: 'operators.1.ratio', scale: 100, format: formatRatio },
+    { id: 'synth-op2-index', path: 'operators.1.index', scale: 10, format: formatIndex },
+    { id: 'synth-op3-ratio', path: 'operators.2.ratio', scale: 100, format: formatRatio },
+    { id: 'synth-op3-index', path: 'operators.2.index', scale: 10, format: formatIndex },
+    { id: 'synth-op4-ratio', path: 'operators.3.ratio', scale: 100, format: formatRatio },
+    { id: 'synth-op4-index', path: 'operators.3.index', scale: 10, format: formatIndex },
+    { id: 'synth-am-depth', path: 'amDepth', scale: 100 },
+    { id: 'synth-unison', path: 'unison' },
+    { id: 'synth-spread', path: 'spread' },
+    { id: 'synth-osc2-type', path: 'osc2Type', select: true },
+    { id: 'synth-osc2-semitones', path: 'osc2Semitones' },
+    { id: 'synth-osc2-level', path: 'osc2Level', scale: 100 },
+    { id: 'synth-filter-type', path: 'filterType', select: FILTER_TYPES },
+    // Cutoff slider is logarithmic: 0-1000 covers 20 Hz-20 kHz, equal steps per octave
+    {
+        id: 'synth-cutoff', path: 'cutoff', format: formatHz,
+        toPatch: v => 20 * Math.pow(1000, v / 1000),
+        fromPatch: hz => Math.round((1000 * Math.log(hz / 20)) / Math.log(1000))
+    },
+    { id: 'synth-resonance', path: 'resonance', scale: 10, format: q => q.toFixed(1) },
+    { id: 'synth-env-amount', path: 'filterEnvAmount', scale: 10, format: o => `${o > 0 ? '+' : ''}${o.toFixed(1)}` },
+    { id: 'synth-mod-attack', path: 'modEnv.attack', scale: 1000 },
+    { id: 'synth-mod-decay', path: 'modEnv.decay', scale: 1000 },
+    { id: 'synth-mod-sustain', path: 'modEnv.sustain', scale: 100 },
+    { id: 'synth-mod-release', path: 'modEnv.release', scale: 1000 },
+    { id: 'synth-lfo1-shape', path: 'lfo1.shape', select: LFO_SHAPES },
+    { id: 'synth-lfo1-rate', path: 'lfo1.rate', scale: 10, format: r => r.toFixed(1) },
+    { id: 'synth-lfo2-shape', path: 'lfo2.shape', select: LFO_SHAPES },
+    { id: 'synth-lfo2-rate', path: 'lfo2.rate', scale: 10, format: r => r.toFixed(1) }
+];
 
-            // Update dropdowns
-            const keySelect = document.getElementById('key-root');
-            const scaleSelect = document.getElementById('scale-type');
+function getPatchValue(path) {
+    return path.split('.').reduce((value, key) => value[key], engine.patch);
+}
 
-            if (keySelect) keySelect.value = key;
-            if (scaleSelect) scaleSelect.value = type === 'minor' ? 'minor' : 'major';
+// Nested settings (modEnv, operators...) are copied, never mutated, so voices holding the old patch keep theirs
+function setPatchValue(path, value) {
+    const assign = (target, [key, ...rest]) => {
+        const copy = Array.isArray(target) ? [...target] : { ...target };
+        copy[key] = rest.length ? assign(target[key], rest) : value;
+        return copy;
+    };
+    const [head, ...rest] = path.split('.');
+    engine.setPatch({ [head]: rest.length ? assign(engine.patch[head], rest) : value });
+}
 
-            // Trigger updates
-            currentKeyRoot = key;
-            currentScaleType = type === 'minor' ? 'minor' : 'major';
-            updateKeyDisplay();
-            updateDiatonicChords();
-            updateKeyboardOverlay();
-            updateCircleHighlights();
-        });
+// Panels marked data-synth-modes="fm2 fm4" only show in those modes
+function updateSynthModePanels() {
+    document.querySelectorAll('[data-synth-modes]').forEach(el => {
+        el.classList.toggle('hidden', !el.dataset.synthModes.split(' ').includes(engine.patch.synthMode));
     });
+}
 
-    updateCircleHighlights();
+function showSynthValue(control, value) {
+    const display = document.getElementById(`${control.id}-val`);
+    if (display) display.textContent = control.format ? control.format(value) : Math.round(value * (control.scale || 1));
 }
 
-function updateCircleHighlights() {
-    const container = document.getElementById('circle-of-fifths-mini');
-    if (!container) return;
+function updateSynthControls() {
+    SYNTH_CONTROLS.forEach(control => {
+        const input = document.getElementById(control.id);
+        const value = getPatchValue(control.path);
+        if (!input) return;
+        if (control.select) input.value = value;
+        else input.value = control.fromPatch ? control.fromPatch(value) : Math.round(value * (control.scale || 1));
+        showSynthValue(control, value);
+    });
+    updateSynthModePanels();
+    renderModMatrix();
+}
 
-    const segments = container.querySelectorAll('.cof-segment');
-    segments.forEach(seg => {
-        seg.classList.remove('active', 'adjacent', 'relative');
+function renderModMatrix() {
+    if (!modMatrixContainer) return;
+    modMatrixContainer.innerHTML = '';
+
+    const setRoutes = routes => {
+        engine.setPatch({ routes });
+        storePatch();
+    };
+
+    engine.patch.routes.forEach((route, i) => {
+        const row = document.createElement('div');
+        row.className = 'mod-route';
+
+        const source = document.createElement('select');
+        const target = document.createElement('select');
+        fillSelect(source, Object.entries(MOD_SOURCES));
+        fillSelect(target, Object.entries(MOD_TARGETS));
+        source.value = route.source;
+        target.value = route.target;
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove route';
+
+        const amount = document.createElement('input');
+        amount.type = 'range';
+        amount.min = '-100';
+        amount.max = '100';
+        amount.value = Math.round(route.amount * 100);
+
+        // "+25% (300¢)": the amount and what it does at full source
+        const amountDisplay = document.createElement('span');
+        amountDisplay.className = 'mod-route-amount';
+        const showAmount = () => {
+            const { depth, unit } = MOD_TARGETS[target.value];
+            const value = (parseInt(amount.value) / 100) * depth;
+            amountDisplay.textContent = `${amount.value > 0 ? '+' : ''}${amount.value}%` +
+                (unit ? ` (${Math.round(value)}${unit})` : '');
+        };
+        showAmount();
 
-        const segKey = seg.dataset.key;
-        const segType = seg.dataset.type;
+        const update = changes => {
+            const routes = engine.patch.routes.map((r, j) => (j === i ? { ...r, ...changes } : r));
+            setRoutes(routes);
+        };
+        source.addEventListener('change', () => update({ source: source.value }));
+        target.addEventListener('change', () => {
+            update({ target: target.value });
+            showAmount();
+        });
+        amount.addEventListener('input', () => {
+            update({ amount: parseInt(amount.value) / 100 });
+            showAmount();
+        });
+        remove.addEventListener('click', () => {
+            setRoutes(engine.patch.routes.filter((r, j) => j !== i));
+            renderModMatrix();
+        });
 
-        // Find current key position
-        const currentIndex = CIRCLE_OF_FIFTHS.findIndex(k =>
-            (segType === 'major' && k.major === currentKeyRoot) ||
-            (segType === 'minor' && k.minor.replace('m', '') === currentKeyRoot)
-        );
+        row.append(source, target, remove, amount, amountDisplay);
+        modMatrixContainer.appendChild(row);
+    });
+}
 
-        // Highlight active key
-        if (segKey === currentKeyRoot) {
-            const isMinorScale = currentScaleType === 'minor' || currentScaleType === 'natural_minor';
-            if ((segType === 'minor' && isMinorScale) || (segType === 'major' && !isMinorScale)) {
-                seg.classList.add('active');
-            }
-        }
+SYNTH_CONTROLS.forEach(control => {
+    const input = document.getElementById(control.id);
+    if (!input) return;
+    if (control.select && control.select !== true) fillSelect(input, Object.entries(control.select));
 
-        // Highlight adjacent keys (modulation candidates)
-        if (currentIndex !== -1) {
-            const prevIdx = (currentIndex - 1 + 12) % 12;
-            const nextIdx = (currentIndex + 1) % 12;
-            if (segType === 'major') {
-                if (CIRCLE_OF_FIFTHS[prevIdx].major === segKey || CIRCLE_OF_FIFTHS[nextIdx].major === segKey) {
-                    seg.classList.add('adjacent');
-                }
-            }
+    input.addEventListener(control.select ? 'change' : 'input', () => {
+        let value = input.value;
+        if (!control.select) {
+            value = control.toPatch ? control.toPatch(parseInt(value)) : parseInt(value) / (control.scale || 1);
         }
+        setPatchValue(control.path, value);
+        showSynthValue(control, value);
+        if (control.path === 'synthMode') updateSynthModePanels();
+        storePatch();
+    });
+});
+
+if (btnAddRoute) {
+    btnAddRoute.addEventListener('click', () => {
+        // Vibrato is the classic first route: LFO 1 -> pitch, gently
+        engine.setPatch({ routes: [...engine.patch.routes, { source: 'lfo1', target: 'pitch', amount: 0.02 }] });
+        storePatch();
+        renderModMatrix();
     });
 }
 
-// --- CIRCLE OF FIFTHS FULL VISUALIZATION ---
-function drawCircleOfFifths() {
-    ctx.fillStyle = '#0a0a0f';
-    ctx.fillRect(0, 0, width, height);
+// MIDI CC1 moves the slider; the slider plays the part of a mod wheel without one
+function showModWheel(value) {
+    if (modWheelInput) modWheelInput.value = Math.round(value * 127);
+    if (modWheelDisplay) modWheelDisplay.textContent = Math.round(value * 127);
+}
 
-    const cx = width / 2;
-    const cy = height / 2;
-    const maxR = Math.min(width, height) / 2 - 50;
-    const outerR = maxR;
-    const innerR = maxR * 0.6;
-    const minorR = innerR - 10;
-    const centerR = maxR * 0.25;
+if (modWheelInput) {
+    modWheelInput.addEventListener('input', () => {
+        engine.setControlChange(1, parseInt(modWheelInput.value) / 127);
+        showModWheel(parseInt(modWheelInput.value) / 127);
+    });
+}
 
-    CIRCLE_OF_FIFTHS.forEach((key, i) => {
-        const startAngle = (i * 30 - 90) * Math.PI / 180;
-        const endAngle = ((i + 1) * 30 - 90) * Math.PI / 180;
-        const midAngle = (startAngle + endAngle) / 2;
+updateSynthControls();
+
+// --- DISSONANCE CURVE VISUALIZATION ---
+// Sethares curve of the current timbre against itself over 1:1 to a major 9th.
+// A marker follows the Harmony Explorer's ratio and detune, so the ratio
+// buttons land in the dips that explain why they sound smooth.
+const DISSONANCE_MAX_RATIO = 2.3;
+const dissonancePartialsInput = document.getElementById('dissonance-partials');
+const dissonancePartialsStatus = document.getElementById('dissonance-partials-status');
+let customPartials = null; // [{ ratio, amplitude }] typed in, or null for the waveform
+let dissonanceCurve = null; // { key, curve }: recomputed only when timbre or base frequency change
 
-        // Determine if this is the active key
-        const isMinorScale = currentScaleType === 'minor' || currentScaleType === 'natural_minor';
-        const isMajorActive = !isMinorScale && key.major === currentKeyRoot;
-        const isMinorActive = isMinorScale && key.minor.replace('m', '') === currentKeyRoot;
+function getDissonanceTimbre() {
+    return customPartials || getTimbre();
+}
+
+function drawDissonanceCurve() {
+    ctx.fillStyle = '#0a0a0f';
+    ctx.fillRect(0, 0, width, height);
 
-        // Draw major segment
+    const timbre = getDissonanceTimbre();
+    const key = `${JSON.stringify(timbre)}@${frequency}`;
+    if (!dissonanceCurve || dissonanceCurve.key !== key) {
+        dissonanceCurve = {
+            key,
+            curve: theoryEngine.getDissonanceCurve(timbre, { baseFrequency: frequency, maxRatio: DISSONANCE_MAX_RATIO })
+        };
+    }
+    const { points, minima } = dissonanceCurve.curve;
+
+    const left = 60;
+    const right = width - 40;
+    const top = 80;
+    const bottom = height - 170; // Clear of the keyboard
+    const maxCents = points[points.length - 1].cents;
+    const peak = Math.max(...points.map(p => p.dissonance)) || 1;
+    const x = cents => left + (cents / maxCents) * (right - left);
+    const y = d => bottom - (d / peak) * (bottom - top);
+
+    // Semitone grid
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#666';
+    ctx.font = '11px Outfit';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let st = 0; st * 100 <= maxCents; st++) {
         ctx.beginPath();
-        ctx.arc(cx, cy, outerR, startAngle, endAngle);
-        ctx.arc(cx, cy, innerR, endAngle, startAngle, true);
-        ctx.closePath();
-        ctx.fillStyle = isMajorActive ? 'rgba(0, 204, 255, 0.4)' : 'rgba(255, 255, 255, 0.08)';
-        ctx.fill();
-        ctx.strokeStyle = isMajorActive ? '#00ccff' : 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = isMajorActive ? 3 : 1;
+        ctx.moveTo(x(st * 100), top);
+        ctx.lineTo(x(st * 100), bottom);
         ctx.stroke();
+        ctx.fillText(st, x(st * 100), bottom + 6);
+    }
 
-        // Major label
-        const labelR = (outerR + innerR) / 2;
-        const lx = cx + labelR * Math.cos(midAngle);
-        const ly = cy + labelR * Math.sin(midAngle);
-        ctx.fillStyle = isMajorActive ? '#00ccff' : '#fff';
-        ctx.font = isMajorActive ? 'bold 20px Outfit' : '18px Outfit';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(key.major, lx, ly);
+    // Curve, filled underneath
+    ctx.beginPath();
+    ctx.moveTo(x(0), bottom);
+    points.forEach(p => ctx.lineTo(x(p.cents), y(p.dissonance)));
+    ctx.lineTo(x(maxCents), bottom);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(0, 255, 136, 0.08)';
+    ctx.fill();
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(x(p.cents), y(p.dissonance)) : ctx.lineTo(x(p.cents), y(p.dissonance))));
+    ctx.strokeStyle = '#00ff88';
+    ctx.lineWidth = 2;
+    ctx.stroke();
 
-        // Draw minor segment
+    // Dips, named by their nearest simple ratio
+    minima.forEach(m => {
+        const mx = x(m.cents);
+        const my = y(m.dissonance);
         ctx.beginPath();
-        ctx.arc(cx, cy, minorR, startAngle, endAngle);
-        ctx.arc(cx, cy, centerR, endAngle, startAngle, true);
-        ctx.closePath();
-        ctx.fillStyle = isMinorActive ? 'rgba(255, 136, 0, 0.4)' : 'rgba(255, 255, 255, 0.04)';
+        ctx.arc(mx, my, 4, 0, Math.PI * 2);
+        ctx.fillStyle = '#00ccff';
         ctx.fill();
-        ctx.strokeStyle = isMinorActive ? '#ff8800' : 'rgba(255, 255, 255, 0.2)';
-        ctx.lineWidth = isMinorActive ? 2 : 1;
-        ctx.stroke();
 
-        // Minor label
-        const minorLabelR = (minorR + centerR) / 2;
-        const mlx = cx + minorLabelR * Math.cos(midAngle);
-        const mly = cy + minorLabelR * Math.sin(midAngle);
-        ctx.fillStyle = isMinorActive ? '#ff8800' : 'rgba(255, 255, 255, 0.6)';
-        ctx.font = isMinorActive ? 'bold 14px Outfit' : '12px Outfit';
-        ctx.fillText(key.minor, mlx, mly);
+        ctx.fillStyle = '#00ccff';
+        ctx.font = 'bold 12px Outfit';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(m.nearest.text, mx, my - 10);
+        if (Math.abs(m.nearest.cents) >= 1) {
+            ctx.fillStyle = '#aaa';
+            ctx.font = '10px Outfit';
+            ctx.fillText(`${m.nearest.cents > 0 ? '+' : ''}${Math.round(m.nearest.cents)}¢`, mx, my - 24);
+        }
     });
 
-    // Center label
+    // Live interval from the Harmony Explorer
+    const ratio = harmonyRatio * Math.pow(2, detuneCents / 1200);
+    const cents = 1200 * Math.log2(ratio);
+    const partials = theoryEngine.getTimbrePartials(timbre);
+    const dissonance = theoryEngine.getPairRoughness(frequency, frequency * ratio, partials);
+    const nearest = theoryEngine.getNearestSimpleRatio(ratio);
+    if (cents >= 0 && cents <= maxCents) {
+        const mx = x(cents);
+        ctx.strokeStyle = '#ff8800';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(mx, top);
+        ctx.lineTo(mx, bottom);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(mx, y(dissonance), 7, 0, Math.PI * 2);
+        ctx.fillStyle = '#ff8800';
+        ctx.fill();
+    }
+
     ctx.fillStyle = '#fff';
     ctx.font = 'bold 16px Outfit';
-    ctx.fillText('Circle of', cx, cy - 10);
-    ctx.fillText('Fifths', cx, cy + 10);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`Dissonance Curve · ${customPartials ? `${customPartials.length} custom partials` : oscType} at ${frequency} Hz`, width / 2, 15);
+    ctx.fillStyle = '#aaa';
+    ctx.font = '13px Outfit';
+    const named = nearest.name ? ` (${nearest.name})` : '';
+    ctx.fillText(
+        `Interval ${ratio.toFixed(3)} ≈ ${nearest.text}${named} · roughness ${Math.round((dissonance / peak) * 100)}% of the peak · ` +
+        'dips are where partials coincide instead of beating',
+        width / 2, 37
+    );
+    ctx.fillText('Semitones above the base note', width / 2, bottom + 22);
+}
+
+if (dissonancePartialsInput) {
+    dissonancePartialsInput.addEventListener('input', () => {
+        const text = dissonancePartialsInput.value.trim();
+        customPartials = text ? theoryEngine.parsePartials(text) : null;
+        const invalid = text !== '' && !customPartials;
+        dissonancePartialsInput.classList.toggle('invalid', invalid);
+        if (dissonancePartialsStatus) {
+            dissonancePartialsStatus.textContent = invalid
+                ? 'Use ratio or ratio:amplitude, separated by commas'
+                : customPartials ? `${customPartials.length} partials` : '';
+        }
+    });
 }
 
 // --- INITIALIZE ON LOAD ---
 function initTheoryUI() {
+    applyTuning();
     updateKeyDisplay();
     updateDiatonicChords();
     initCircleOfFifthsMini();
@@ -895,14 +3321,19 @@ function updateAudioState() {
 selectMode.addEventListener('change', (e) => {
     currentMode = e.target.value;
     const detuneGroup = document.getElementById('detune-group');
-    if (detuneGroup) detuneGroup.style.display = (currentMode === 'lissajous') ? 'block' : 'none';
+    const dissonanceGroup = document.getElementById('dissonance-group');
+    const isDissonance = currentMode === 'dissonance';
+    if (detuneGroup) detuneGroup.style.display = (currentMode === 'lissajous' || isDissonance) ? 'block' : 'none';
+    if (dissonanceGroup) dissonanceGroup.style.display = isDissonance ? 'block' : 'none';
+    // The curve explains the interval ratios, so offer them alongside it
+    if (harmonyGroup) harmonyGroup.style.display = (theoryEnabled || isDissonance) ? 'block' : 'none';
 });
 
 // Theory Toggle (Legacy - now handled by mode system)
 if (toggleTheory) {
     toggleTheory.addEventListener('change', (e) => {
         theoryEnabled = e.target.checked;
-        if (harmonyGroup) harmonyGroup.style.display = theoryEnabled ? 'block' : 'none';
+        if (harmonyGroup) harmonyGroup.style.display = (theoryEnabled || currentMode === 'dissonance') ? 'block' : 'none';
         if (circleGroup) circleGroup.style.display = theoryEnabled ? 'block' : 'none';
 
         // Stop/Restart to switch modes cleanly
@@ -921,6 +3352,7 @@ selectType.addEventListener('change', (e) => {
 });
 
 rangeFreq.addEventListener('input', (e) => {
+    droneOnTonic = false;
     frequency = parseInt(e.target.value);
     spanFreq.textContent = frequency;
     if (isAudioActive) updateAudioState();
@@ -1003,6 +3435,14 @@ class LessonManager {
                     {
                         text: "See those extra bars? Those are Harmonics! Multiples of the base frequency.",
                         action: () => { console.log('[Lesson] L2 Step 3 Action'); }
+                    },
+                    {
+                        text: "Now a low-pass filter at 800 Hz. Harmonics past the orange curve fade away. Drag the Synth Voice Cutoff to carve the sound: that's subtractive synthesis.",
+                        action: () => {
+                            console.log('[Lesson] L2 Step 4 Action');
+                            engine.setPatch({ filterType: 'lowpass', cutoff: 800 });
+                            updateSynthControls();
+                        }
                     }
                 ]
             }
@@ -1115,15 +3555,30 @@ function initKeyboard() {
         const keyEl = document.createElement('div');
         keyEl.classList.add('key', k.color);
         keyEl.dataset.note = k.note;
+        keyEl.dataset.midi = k.midi;
 
-        // Label
+        // Label (note name is re-spelled per key by updateKeyboardLabels)
         const label = document.createElement('span');
-        const keyCharDisplay = k.key ? `\n(${k.key.toUpperCase()})` : '';
-        label.innerText = k.note + keyCharDisplay;
+        const noteLabel = document.createElement('span');
+        noteLabel.className = 'key-label';
+        noteLabel.textContent = k.note;
+        label.appendChild(noteLabel);
+        if (k.key) {
+            label.appendChild(document.createElement('br'));
+            label.appendChild(document.createTextNode(`(${k.key.toUpperCase()})`));
+        }
         keyEl.appendChild(label);
 
         // Individual Key Logic (Mouse/Touch)
-        const startKey = () => {
+        // Like a real key, pressing nearer the front edge plays louder
+        const keyVelocity = (clientY) => {
+            const rect = keyEl.getBoundingClientRect();
+            if (!rect.height) return 1;
+            return 0.35 + 0.65 * Math.min(1, Math.max(0, (clientY - rect.top) / rect.height));
+        };
+        const startKey = (velocity = 1) => {
+            if (!k.freq) return; // Unmapped in the current Scala keyboard mapping
+
             // Auto-init audio on first key press
             if (!isAudioActive) {
                 engine.init();
@@ -1137,28 +3592,30 @@ function initKeyboard() {
             if (theoryEnabled) {
                 const detuneMultiplier = Math.pow(2, detuneCents / 1200);
                 console.log(`[Keyboard] Playing ${k.note} with oscType=${oscType}`);
-                engine.playNote(k.freq, oscType, -0.5, `${k.note}_base`);
-                engine.playNote(k.freq * harmonyRatio * detuneMultiplier, oscType, 0.5, `${k.note}_harm`);
+                engine.playNote(k.freq, oscType, -0.5, `${k.note}_base`, velocity);
+                engine.playNote(k.freq * harmonyRatio * detuneMultiplier, oscType, 0.5, `${k.note}_harm`, velocity);
             } else {
                 console.log(`[Keyboard] Playing ${k.note} with oscType=${oscType}`);
-                engine.playNote(k.freq, oscType, 0, `${k.note}_base`);
+                engine.playNote(k.freq, oscType, 0, `${k.note}_base`, velocity);
             }
             keyEl.classList.add('active');
 
             // Feed note to key detection for Production mode
             const noteOnly = k.note.replace(/\d+/g, '');
-            addNoteForKeyDetection(noteOnly);
+            addNoteForKeyDetection(noteOnly, k.midi);
         };
         const stopKey = () => {
+            if (!keyEl.classList.contains('active')) return; // mouseleave without a press
+            releaseNoteForKeyDetection(k.note.replace(/\d+/g, ''));
             engine.stopNote(`${k.note}_base`);
             if (theoryEnabled) engine.stopNote(`${k.note}_harm`);
             keyEl.classList.remove('active');
         };
 
-        keyEl.addEventListener('mousedown', (e) => { e.preventDefault(); startKey(); });
+        keyEl.addEventListener('mousedown', (e) => { e.preventDefault(); startKey(keyVelocity(e.clientY)); });
         keyEl.addEventListener('mouseup', stopKey);
         keyEl.addEventListener('mouseleave', stopKey);
-        keyEl.addEventListener('touchstart', (e) => { e.preventDefault(); startKey(); });
+        keyEl.addEventListener('touchstart', (e) => { e.preventDefault(); startKey(keyVelocity(e.touches[0].clientY)); });
         keyEl.addEventListener('touchend', (e) => { e.preventDefault(); stopKey(); });
 
         kbContainer.appendChild(keyEl);
@@ -1173,7 +3630,7 @@ document.addEventListener('keydown', (e) => {
     if (e.repeat) return;
 
     const map = pianoKeys.find(k => k.key === e.key.toLowerCase());
-    if (map) {
+    if (map && map.freq) {
         // Auto-init audio on first key press
         if (!isAudioActive) {
             engine.init();
@@ -1186,24 +3643,25 @@ document.addEventListener('keydown', (e) => {
         if (theoryEnabled) {
             const detuneMultiplier = Math.pow(2, detuneCents / 1200);
             console.log(`[PhysicalKey] ${map.note} with oscType=${oscType}`);
-            engine.playNote(map.freq, oscType, -0.5, `${map.note}_base`);
-            engine.playNote(map.freq * harmonyRatio * detuneMultiplier, oscType, 0.5, `${map.note}_harm`);
+            engine.playNote(map.freq, oscType, -0.5, `${map.note}_base`, engine.patch.keyVelocity);
+            engine.playNote(map.freq * harmonyRatio * detuneMultiplier, oscType, 0.5, `${map.note}_harm`, engine.patch.keyVelocity);
         } else {
             console.log(`[PhysicalKey] ${map.note} with oscType=${oscType}`);
-            engine.playNote(map.freq, oscType, 0, `${map.note}_base`);
+            engine.playNote(map.freq, oscType, 0, `${map.note}_base`, engine.patch.keyVelocity);
         }
         const el = document.querySelector(`.key[data-note="${map.note}"]`);
         if (el) el.classList.add('active');
 
         // Feed note to key detection for Production mode
         const noteOnly = map.note.replace(/\d+/g, '');
-        addNoteForKeyDetection(noteOnly);
+        addNoteForKeyDetection(noteOnly, map.midi);
     }
 });
 
 document.addEventListener('keyup', (e) => {
     const map = pianoKeys.find(k => k.key === e.key.toLowerCase());
     if (map) {
+        releaseNoteForKeyDetection(map.note.replace(/\d+/g, ''));
         engine.stopNote(`${map.note}_base`);
         engine.stopNote(`${map.note}_harm`);
         const el = document.querySelector(`.key[data-note="${map.note}"]`);
@@ -1272,9 +3730,14 @@ function drawCircleOfFifths() {
     ctx.lineWidth = 2;
     ctx.stroke();
 
-    // Notes of the Circle
-    // C, G, D, A, E, B, F#, Db, Ab, Eb, Bb, F
-    const notes = ["C", "G", "D", "A", "E", "B", "F#", "Db", "Ab", "Eb", "Bb", "F"];
+    // Notes of the Circle, spelled like the keys: C, G, D ... F#, Db, Ab ... F
+    const notes = CIRCLE_OF_FIFTHS.map(k => k.major);
+
+    // Highlight logic (based on circleSteps % 12)
+    // Correct modulo for negative numbers: ((n % m) + m) % m
+    const currentIndex = ((circleSteps % 12) + 12) % 12;
+    // The note reached is spelled by the walk: 7 fifths up is C#, 5 down is Db, 12 up is B#
+    const walked = theoryEngine.spellNote(4 * circleSteps, (7 * currentIndex) % 12) || notes[currentIndex];
 
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
@@ -1286,10 +3749,6 @@ function drawCircleOfFifths() {
         const x = cx + Math.cos(angle) * radius;
         const y = cy + Math.sin(angle) * radius;
 
-        // Highlight logic (based on circleSteps % 12)
-        // Correct modulo for negative numbers: ((n % m) + m) % m
-        const currentIndex = ((circleSteps % 12) + 12) % 12;
-
         if (i === currentIndex) {
             ctx.fillStyle = '#00ff88';
             ctx.font = 'bold 16px Outfit';
@@ -1306,12 +3765,18 @@ function drawCircleOfFifths() {
             ctx.font = 'bold 12px Outfit';
         }
 
-        ctx.fillText(note, x, y);
+        ctx.fillText(i === currentIndex ? walked : note, x, y);
     });
 
     // Label
     ctx.fillStyle = '#fff';
+    ctx.font = 'bold 12px Outfit';
     ctx.fillText("Circle of Fifths", cx, cy + radius + 35);
+    if (walked !== notes[currentIndex]) {
+        ctx.fillStyle = '#aaa';
+        ctx.font = '11px Outfit';
+        ctx.fillText(`${walked} = ${notes[currentIndex]} (enharmonic)`, cx, cy + radius + 50);
+    }
 }
 
 
@@ -1340,6 +3805,8 @@ function draw(timestamp) {
     // --- HARMONY ANALYSIS (Throttled to ~10fps) ---
     if (timestamp - lastAnalysisTime > 100) {
         lastAnalysisTime = timestamp;
+        drawEnvelopePreview(); // Moves the sounding-note markers along
+        updateVoiceStatus();
 
         const activeNotes = engine.getActiveNotes();
 
@@ -1347,18 +3814,40 @@ function draw(timestamp) {
         const nameEl = document.getElementById('chord-name');
         const ratioEl = document.getElementById('chord-ratios');
         const stabEl = document.getElementById('chord-stability');
+        const invEl = document.getElementById('chord-inversion');
+        const confEl = document.getElementById('chord-confidence');
 
         if (panel && nameEl && ratioEl && stabEl) {
             if (activeNotes.length >= 2) {
-                const result = analyzer.identify(activeNotes);
-                console.log('[Chord] Detected:', result ? result.chordName : 'null', 'Notes:', activeNotes.length);
+                const result = theoryEngine.analyzeFrequencies(activeNotes, {
+                    toleranceCents: CHORD_TOLERANCE_CENTS,
+                    spelling: theoryEngine.getKeySpelling(keyRootName(), currentScaleType),
+                    timbre: getTimbre()
+                });
+                if (currentAppMode === MODES.PRODUCTION) captureProgressionChord(result);
+                if (result) updatePitchClassSet(result.pitches.map(p => p.index));
                 if (result) {
+                    const chord = result.chord;
                     panel.style.display = 'block';
-                    nameEl.textContent = result.chordName;
+                    nameEl.textContent = chord ? chord.fullName : result.name;
                     const ratioStr = result.ratios.join(' : ');
                     ratioEl.textContent = ratioStr;
-                    stabEl.textContent = result.stability;
-                    stabEl.className = result.stability === 'Consonant' ? 'tag-consonant' : 'tag-dissonant';
+                    updateConsonanceMeter(stabEl, result);
+                    if (invEl) {
+                        // e.g. "First inversion · bass E"
+                        invEl.textContent = chord && chord.inversion !== 0
+                            ? `${chord.inversionName.charAt(0).toUpperCase()}${chord.inversionName.slice(1)} · bass ${chord.bass}`
+                            : '';
+                    }
+                    if (confEl) {
+                        // Other readings that are nearly as likely (C-E-G-A: Am7/C)
+                        const others = result.candidates.slice(1)
+                            .filter(c => c.extra.length === 0 && c.confidence >= result.confidence * 0.9)
+                            .map(c => `${c.name} ${Math.round(c.confidence * 100)}%`);
+                        confEl.textContent = chord
+                            ? `${Math.round(result.confidence * 100)}%${others.length ? ` · or ${others.join(', ')}` : ''}`
+                            : '';
+                    }
                 }
             } else {
                 panel.style.display = 'none';
@@ -1388,6 +3877,8 @@ function draw(timestamp) {
     if (currentMode === 'lissajous') drawLissajous();
     if (currentMode === 'interference') drawTheory();
     if (currentMode === 'circleOfFifths') drawCircleOfFifths();
+    if (currentMode === 'tonnetz') drawTonnetz();
+    if (currentMode === 'dissonance') drawDissonanceCurve();
 }
 
 function drawOscilloscope() {
@@ -1424,6 +3915,184 @@ function drawSpectrum() {
         ctx.fillRect(x, height - scaled, barWidth, scaled);
         x += barWidth + 1;
     }
+
+    const filterShown = drawSpectrumFilterOverlay(barWidth + 1);
+    drawSidebandOverlay(barWidth + 1, data, filterShown ? 40 : 20);
+}
+
+// The synth filter's response over the bars, with the lowest note's harmonics
+// ticked along the bottom: a sawtooth's 1/n series visibly falls away past the cutoff.
+function drawSpectrumFilterOverlay(binWidth) {
+    const { filterType, cutoff, resonance, filterEnvAmount } = engine.patch;
+    const active = filterType !== 'lowpass' || cutoff < 19000 || resonance > 1 || filterEnvAmount !== 0;
+    if (!active) return false;
+
+    const binHz = engine.ctx.sampleRate / engine.masterAnalyser.fftSize;
+    const toX = f => (f / binHz) * binWidth;
+    const dbRange = (engine.masterAnalyser.maxDecibels - engine.masterAnalyser.minDecibels) || 70;
+    const zeroDb = height * 0.25; // Room above for a resonant peak
+    const toY = db => Math.min(height, zeroDb - (db / dbRange) * height);
+
+    const points = Math.ceil(width / 2);
+    const frequencies = new Float32Array(points);
+    for (let i = 0; i < points; i++) frequencies[i] = Math.max(1, ((i * 2) / binWidth) * binHz);
+    const magnitude = engine.getFilterResponse(frequencies);
+
+    if (magnitude) {
+        ctx.strokeStyle = '#ff8800';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        magnitude.forEach((m, i) => {
+            const y = toY(20 * Math.log10(Math.max(m, 1e-6)));
+            if (i === 0) ctx.moveTo(i * 2, y); else ctx.lineTo(i * 2, y);
+        });
+        ctx.stroke();
+    }
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, zeroDb);
+    ctx.lineTo(width, zeroDb);
+    ctx.moveTo(toX(cutoff), 0);
+    ctx.lineTo(toX(cutoff), height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const notes = engine.getActiveNotes();
+    if (notes.length) {
+        const f0 = Math.min(...notes.map(n => n.freq));
+        ctx.fillStyle = '#00ccff';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        for (let n = 1; n <= 32 && toX(n * f0) < width; n++) {
+            const x = toX(n * f0);
+            ctx.fillRect(x - 1, height - 8, 2, 8);
+            if (n <= 8) ctx.fillText(n, x, height - 12);
+        }
+    }
+
+    ctx.fillStyle = '#ff8800';
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(
+        `${FILTER_TYPES[filterType].name} ${formatHz(cutoff)} Hz · Q ${resonance.toFixed(1)}` +
+        (filterEnvAmount ? ` · env ${filterEnvAmount > 0 ? '+' : ''}${filterEnvAmount} oct` : '') +
+        ' · harmonics past the cutoff fall away',
+        10, 20
+    );
+    return true;
+}
+
+// The most recent FM / AM / ring voice (or the drone), whose sidebands we predict
+function getSidebandVoice() {
+    const voices = Object.values(engine.voices).sort((a, b) => b.order - a.order);
+    return [...voices, engine.droneVoice].find(v => v && v.patch.synthMode !== 'subtractive' && SYNTH_MODES[v.patch.synthMode]);
+}
+
+// "+2", "−1", "fc"; several modulators name the operator ("+1·op3"). Far orders go unlabelled.
+function sidebandLabel(orders, operatorNumbers) {
+    const moved = orders.map((n, i) => [n, operatorNumbers[i]]).filter(([n]) => n !== 0);
+    if (!moved.length) return 'fc';
+    if (moved.length > 1 || Math.abs(moved[0][0]) > 3) return '';
+    const [n, op] = moved[0];
+    return `${n > 0 ? '+' : '−'}${Math.abs(n)}${operatorNumbers.length > 1 ? `·op${op}` : ''}`;
+}
+
+/**
+ * Predicted sidebands for a voice's operator settings.
+ * @returns {{ components: array|null, caption: string }} components as
+ *          theoryEngine.getFmSpectrum() plus a label; null when there is no closed form
+ */
+function getSidebandPrediction(voice) {
+    const { synthMode, operators, fmAlgorithm, amDepth } = voice.patch;
+    const op = n => ({ frequency: voice.frequency * operators[n - 1].ratio, index: operators[n - 1].index });
+    const label = (components, operatorNumbers, scale = 1) => components.map(c => ({
+        ...c, amplitude: c.amplitude * scale, label: sidebandLabel(c.orders, operatorNumbers)
+    }));
+    // Carrier n modulated by operator n + 1: fc ± k·fm at |Jk(β)|
+    const pair = (n, scale) => label(theoryEngine.getFmSpectrum(op(n).frequency, [op(n + 1)]), [n + 1], scale);
+    const pairCaption = n => {
+        const { frequency, index } = op(n + 1);
+        return `${formatRatio(operators[n - 1].ratio)}:${formatRatio(operators[n].ratio)} β ${formatIndex(index)}` +
+            ` · Carson ${formatHz(theoryEngine.getCarsonBandwidth(frequency, index))} Hz`;
+    };
+
+    if (synthMode === 'am' || synthMode === 'ring') {
+        const ring = synthMode === 'ring';
+        const components = theoryEngine.getAmSpectrum(op(1).frequency, op(2).frequency, amDepth, ring);
+        return {
+            components: label(components, [2]),
+            caption: `${SYNTH_MODES[synthMode].name} · fc ± fm` +
+                (ring ? ' · the carrier cancels' : ` · sidebands at m/2 = ${Math.round(amDepth * 50)}%`)
+        };
+    }
+
+    const algorithm = synthMode === 'fm4' ? fmAlgorithm : 'pair';
+    // A stack whose op 3 is silent is just op 2 -> op 1
+    if (algorithm === 'pair' || (algorithm === 'stack' && operators[2].index === 0)) {
+        return { components: pair(1), caption: `FM ${pairCaption(1)} · fc ± n·fm at |Jn(β)|` };
+    }
+    if (algorithm === 'branch') {
+        const components = theoryEngine.getFmSpectrum(op(1).frequency, [op(2), op(3), op(4)]);
+        return { components: label(components, [2, 3, 4]), caption: 'FM 2+3+4 → 1 · fc + Σ nᵢ·fmᵢ at Π|Jnᵢ(βᵢ)|' };
+    }
+    if (algorithm === 'twoStacks') {
+        return {
+            components: [...pair(1, Math.SQRT1_2), ...pair(3, Math.SQRT1_2)],
+            caption: `FM 2→1 ${pairCaption(1)} · 4→3 ${pairCaption(3)}`
+        };
+    }
+    return { components: null, caption: 'FM stack: op 2 is itself modulated, so its sidebands have no closed form (set op 3 β to 0)' };
+}
+
+// Predicted sideband lines over the measured bars. The strongest prediction is
+// pinned to the measured peak near it; the rest sit at their dB below it.
+function drawSidebandOverlay(binWidth, data, captionY) {
+    const voice = getSidebandVoice();
+    if (!voice) return;
+    const { components, caption } = getSidebandPrediction(voice);
+
+    ctx.fillStyle = '#00ff88';
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(caption, 10, captionY);
+    if (!components || !components.length) return;
+
+    const binHz = engine.ctx.sampleRate / engine.masterAnalyser.fftSize;
+    const toX = f => (f / binHz) * binWidth;
+    const dbRange = (engine.masterAnalyser.maxDecibels - engine.masterAnalyser.minDecibels) || 70;
+
+    const strongest = components.reduce((a, b) => (b.amplitude > a.amplitude ? b : a));
+    const bin = Math.round(strongest.frequency / binHz);
+    const peakByte = Math.max(...data.slice(Math.max(0, bin - 2), bin + 3));
+    if (!peakByte) return; // Still silent: nothing to align to
+
+    ctx.strokeStyle = 'rgba(0, 255, 136, 0.7)';
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'center';
+    let lastLabelX = -Infinity;
+    components.forEach(c => {
+        const x = toX(c.frequency);
+        const db = 20 * Math.log10(c.amplitude / strongest.amplitude);
+        const byte = peakByte + (db / dbRange) * 255;
+        if (x > width || byte <= 0) return;
+        const y = height - (byte / 255) * height;
+
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, height);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillRect(x - 4, y - 1, 8, 2);
+
+        if (c.label && x - lastLabelX > 24) {
+            ctx.fillText(c.label, x, y - 5);
+            lastLabelX = x;
+        }
+    });
 }
 
 function drawLissajous() {
@@ -1851,6 +4520,11 @@ const eduData = {
         desc: "Mellow and soft, like a muted flute. Like square, it has only ODD harmonics, but they fade away much faster.",
         math: "Math: Decays as 1/n² (very smooth)"
     },
+    'custom': {
+        title: "Custom Harmonics (Additive)",
+        desc: "Build your own wave from its harmonics. Load the Square, Sawtooth or Triangle preset to see their recipes, then remove the even harmonics or change a phase and listen.",
+        math: "Math: y = Σ aₙ · sin(n·x + φₙ)"
+    },
 
     // Intervals (Ratios)
     '1': {
@@ -2008,6 +4682,13 @@ class MIDIHandler {
         const velocity = msg.data[2];
         const volume = velocity / 127;
 
+        if (command === 176) {
+            // Control change: data[1] is the controller, data[2] its value
+            engine.setControlChange(note, velocity / 127);
+            if (note === 1) showModWheel(velocity / 127);
+            return;
+        }
+
         if (command === 144 && velocity > 0) {
             this.playMidiNote(note, volume);
             this.flashStatus();
@@ -2028,8 +4709,9 @@ class MIDIHandler {
     }
 
     playMidiNote(note, volume) {
-        const freq = 440 * Math.pow(2, (note - 69) / 12);
+        const freq = keyFrequency(note);
         const noteName = this.getNoteName(note);
+        if (!freq) return; // Unmapped in the current Scala keyboard mapping
 
         if (engine && engine.ctx && engine.ctx.state === 'suspended') {
             engine.ctx.resume();
@@ -2037,13 +4719,17 @@ class MIDIHandler {
 
         if (engine) {
             console.log(`[MIDI] Playing ${noteName} freq=${freq.toFixed(1)} with oscType=${oscType}`);
-            engine.playNote(freq, oscType, (volume - 0.5) * 0.4, `${noteName}_midi`);
+            engine.playNote(freq, oscType, 0, `${noteName}_midi`, volume);
         }
         this.highlightKey(noteName, true);
+
+        // Feed note to key detection for Production mode (louder notes weigh more)
+        addNoteForKeyDetection(noteName.replace(/-?\d+/g, ''), note, volume);
     }
 
     stopMidiNote(note) {
         const noteName = this.getNoteName(note);
+        releaseNoteForKeyDetection(noteName.replace(/-?\d+/g, ''));
         if (engine) engine.stopNote(`${noteName}_midi`);
         this.highlightKey(noteName, false);
     }
@@ -0,0 +1,56 @@
+/**
+ * SONIC GEOMETRY - CONSONANCE ORDER CHECK
+ *
+ * Development check for getConsonance: in every oscillator timbre, in low,
+ * middle and high registers, and in both equal temperament and just ratios,
+ * the scores must rank tritone < major 3rd < major triad < perfect 5th.
+ *
+ * Run from the repository root:
+ *   node scripts/check-consonance.js
+ * Exits with status 1 if any ranking is out of order.
+ */
+
+const { MusicTheoryEngine } = require('../theory-engine.js');
+
+/**
+ * Ranking to keep, least consonant first: semitones above the root for
+ * equal temperament, frequency ratios for just intonation
+ */
+const CONSONANCE_ORDER = [
+    { name: 'Tritone', semitones: [0, 6], ratios: [1, 45 / 32] },
+    { name: 'Major 3rd', semitones: [0, 4], ratios: [1, 5 / 4] },
+    { name: 'Major triad', semitones: [0, 4, 7], ratios: [1, 5 / 4, 3 / 2] },
+    { name: 'Perfect 5th', semitones: [0, 7], ratios: [1, 3 / 2] }
+];
+
+const TIMBRES = ['sine', 'square', 'sawtooth', 'triangle'];
+const ROOTS = { C3: 130.81, C4: 261.63, C5: 523.25 };
+const TUNINGS = {
+    equal: (root, entry) => entry.semitones.map(s => root * Math.pow(2, s / 12)),
+    just: (root, entry) => entry.ratios.map(r => root * r)
+};
+
+const engine = new MusicTheoryEngine();
+let failures = 0;
+
+TIMBRES.forEach(timbre => {
+    Object.entries(ROOTS).forEach(([rootName, root]) => {
+        Object.entries(TUNINGS).forEach(([tuning, toFreqs]) => {
+            const scores = CONSONANCE_ORDER.map(entry => {
+                const { score, label } = engine.getConsonance(toFreqs(root, entry), { timbre });
+                return { name: entry.name, score, label };
+            });
+            const ok = scores.every((s, i) => i === 0 || s.score > scores[i - 1].score);
+            if (!ok) failures++;
+
+            const summary = scores.map(s => `${s.name} ${s.score.toFixed(3)} (${s.label})`).join(' < ');
+            console.log(`${ok ? 'ok  ' : 'FAIL'} ${timbre} ${rootName} ${tuning}: ${summary}`);
+        });
+    });
+});
+
+if (failures) {
+    console.error(`\n${failures} ranking(s) out of order`);
+    process.exit(1);
+}
+console.log('\nAll rankings in order');
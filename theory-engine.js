@@ -23,6 +23,25 @@ const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#',
  */
 const NOTE_NAMES_FLAT = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
 
+/**
+ * Common mixed spelling for keys without sharps or flats (C major / A minor)
+ */
+const NOTE_NAMES_COMMON = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * The 7 letter names and their semitone positions
+ * 
+ * SPELLING RULE: In a 7-note scale every degree gets its own letter.
+ * That is why F major has Bb (not A#): the 4th degree must be a "B".
+ */
+const LETTER_NAMES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_INDICES = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * Accidentals by semitone offset from the natural letter
+ */
+const ACCIDENTALS = { '-2': 'bb', '-1': 'b', '0': '', '1': '#', '2': '##' };
+
 /**
  * A4 = 440 Hz (concert pitch standard)
  * 
@@ -71,6 +90,9 @@ const INTERVALS = {
 /**
  * Scale definitions as arrays of semitones from the root
  * 
+ * Scales without 7 notes list their "degrees" (1, b3, #4...) so each note
+ * can still be spelled with the right letter (blues b5 = Eb in A, not D#).
+ * 
  * NAMING RATIONALE:
  * - "Major" = bright, happy sound (from Latin "major" = greater)
  * - "Minor" = darker, sadder sound (from Latin "minor" = lesser)
@@ -129,21 +151,21 @@ const SCALES = {
 
     // Pentatonic (5-note scales)
     majorPentatonic: {
-        intervals: [0, 2, 4, 7, 9], name: 'Major Pentatonic',
+        intervals: [0, 2, 4, 7, 9], name: 'Major Pentatonic', degrees: ['1', '2', '3', '5', '6'],
         description: 'Major without 4th and 7th. Universal "safe" scale.'
     },
     minorPentatonic: {
-        intervals: [0, 3, 5, 7, 10], name: 'Minor Pentatonic',
+        intervals: [0, 3, 5, 7, 10], name: 'Minor Pentatonic', degrees: ['1', 'b3', '4', '5', 'b7'],
         description: 'Minor without 2nd and 6th. Blues/rock foundation.'
     },
 
     // Blues
     blues: {
-        intervals: [0, 3, 5, 6, 7, 10], name: 'Blues Scale',
+        intervals: [0, 3, 5, 6, 7, 10], name: 'Blues Scale', degrees: ['1', 'b3', '4', 'b5', '5', 'b7'],
         description: 'Minor pentatonic + blue note (flat 5th).'
     },
     majorBlues: {
-        intervals: [0, 2, 3, 4, 7, 9], name: 'Major Blues',
+        intervals: [0, 2, 3, 4, 7, 9], name: 'Major Blues', degrees: ['1', '2', 'b3', '3', '5', '6'],
         description: 'Major pentatonic + blue note (flat 3rd).'
     },
 
@@ -153,15 +175,193 @@ const SCALES = {
         description: 'All 12 semitones. No "wrong" notes, no "right" ones.'
     },
     wholeNote: {
-        intervals: [0, 2, 4, 6, 8, 10], name: 'Whole Tone',
+        intervals: [0, 2, 4, 6, 8, 10], name: 'Whole Tone', degrees: ['1', '2', '3', '#4', '#5', 'b7'],
         description: 'All whole steps. Dreamy, ambiguous sound.'
     },
     diminished: {
         intervals: [0, 2, 3, 5, 6, 8, 9, 11], name: 'Diminished (Half-Whole)',
+        degrees: ['1', '2', 'b3', '4', 'b5', 'b6', '6', '7'],
         description: 'Alternating H-W pattern. Tension and mystery.'
     }
 };
 
+/**
+ * Extra modes for chord-scale suggestions (getChordScales)
+ * The modes of melodic and harmonic minor are the jazz improviser's
+ * staples over altered dominants and half-diminished chords.
+ */
+const CHORD_SCALE_MODES = {
+    // Melodic minor modes
+    dorianFlat2: {
+        intervals: [0, 1, 3, 5, 7, 9, 10], name: 'Dorian b2',
+        description: 'Melodic minor mode II. Phrygian with a natural 6th, for sus(b9) chords.'
+    },
+    lydianAugmented: {
+        intervals: [0, 2, 4, 6, 8, 9, 11], name: 'Lydian Augmented',
+        description: 'Melodic minor mode III. For maj7#5 chords.'
+    },
+    lydianDominant: {
+        intervals: [0, 2, 4, 6, 7, 9, 10], name: 'Lydian Dominant',
+        description: 'Melodic minor mode IV. Dominant 7th with a #11.'
+    },
+    mixolydianFlat6: {
+        intervals: [0, 2, 4, 5, 7, 8, 10], name: 'Mixolydian b6',
+        description: 'Melodic minor mode V. Dominant 7th resolving to minor.'
+    },
+    locrianNatural2: {
+        intervals: [0, 2, 3, 5, 6, 8, 10], name: 'Locrian #2',
+        description: 'Melodic minor mode VI. The smoother scale for m7b5 chords.'
+    },
+    altered: {
+        intervals: [0, 1, 3, 4, 6, 8, 10], name: 'Altered', degrees: ['1', 'b2', '#2', '3', 'b5', 'b6', 'b7'],
+        description: 'Melodic minor mode VII. Every tension altered: b9 #9 #11 b13.'
+    },
+
+    // Harmonic minor modes
+    phrygianDominant: {
+        intervals: [0, 1, 4, 5, 7, 8, 10], name: 'Phrygian Dominant',
+        description: 'Harmonic minor mode V. The V7 of a minor key.'
+    },
+    lydianSharp2: {
+        intervals: [0, 3, 4, 6, 7, 9, 11], name: 'Lydian #2',
+        description: 'Harmonic minor mode VI. Exotic major colour.'
+    },
+
+    // Symmetric
+    halfWholeDiminished: {
+        intervals: [0, 1, 3, 4, 6, 7, 9, 10], name: 'Half-Whole Diminished',
+        degrees: ['1', 'b2', '#2', '3', '#4', '5', '6', 'b7'],
+        description: 'H-W pattern. For 7b9 chords.'
+    }
+};
+
+// =============================================================================
+// WORLD & MICROTONAL SCALES
+// =============================================================================
+
+/**
+ * Scales outside 12-TET, each from its own tradition
+ * 
+ * Pitches are given the way the tradition thinks of them:
+ * - `cents`: pitch set above the root (maqam quarter tones are 50-cent steps);
+ *   `descending` is the set used on the way down, if it differs
+ * - `ratios`: just intervals, with a `period` other than the octave (Bohlen-Pierce: 3:1)
+ * - `aroha`/`avaroha`: Hindustani swaras in playing order (see SWARA_RATIOS);
+ *   ragas may skip notes or turn back (vakra) on the way
+ * 
+ * `labels` name the degrees where letter names don't apply.
+ */
+const WORLD_SCALES = {
+    // Arabic maqamat (24-tone equal temperament approximations)
+    rast: {
+        name: 'Maqam Rast', tradition: 'Arabic maqam',
+        cents: [0, 200, 350, 500, 700, 900, 1050],
+        descending: [0, 200, 350, 500, 700, 900, 1000],
+        description: 'The "mother" maqam. Neutral 3rd and 7th; the 7th falls to a flat 7th coming down.'
+    },
+    bayati: {
+        name: 'Maqam Bayati', tradition: 'Arabic maqam',
+        cents: [0, 150, 300, 500, 700, 800, 1000],
+        description: 'Neutral 2nd over a minor feel. The most common maqam in folk song.'
+    },
+    saba: {
+        name: 'Maqam Saba', tradition: 'Arabic maqam',
+        cents: [0, 150, 300, 400, 700, 800, 1000],
+        description: 'Bayati with a flattened 4th. Heard as sorrowful.'
+    },
+    hijaz: {
+        name: 'Maqam Hijaz', tradition: 'Arabic maqam',
+        cents: [0, 100, 400, 500, 700, 800, 1000],
+        descending: [0, 100, 400, 500, 700, 850, 1000],
+        description: 'Augmented 2nd between degrees 2 and 3. Its 6th softens to a neutral 6th coming down.'
+    },
+    sikah: {
+        name: 'Maqam Sikah', tradition: 'Arabic maqam',
+        cents: [0, 150, 350, 550, 700, 850, 1050],
+        description: 'Starts on a neutral note (E half-flat in its home position).'
+    },
+    nahawand: {
+        name: 'Maqam Nahawand', tradition: 'Arabic maqam',
+        cents: [0, 200, 300, 500, 700, 800, 1100],
+        descending: [0, 200, 300, 500, 700, 800, 1000],
+        description: 'Harmonic minor going up, natural minor coming down.'
+    },
+    kurd: {
+        name: 'Maqam Kurd', tradition: 'Arabic maqam',
+        cents: [0, 100, 300, 500, 700, 800, 1000],
+        description: 'All whole and half steps, like Phrygian.'
+    },
+
+    // Hindustani thaats: the ten parent scales (Bhatkhande)
+    bilawal: { name: 'Bilawal Thaat', tradition: 'Hindustani thaat', aroha: "S R G m P D N S'", description: 'All shuddha (natural) swaras. Like Major.' },
+    khamaj: { name: 'Khamaj Thaat', tradition: 'Hindustani thaat', aroha: "S R G m P D n S'", description: 'Komal Ni. Like Mixolydian.' },
+    kafi: { name: 'Kafi Thaat', tradition: 'Hindustani thaat', aroha: "S R g m P D n S'", description: 'Komal Ga and Ni. Like Dorian.' },
+    asavari: { name: 'Asavari Thaat', tradition: 'Hindustani thaat', aroha: "S R g m P d n S'", description: 'Komal Ga, Dha and Ni. Like natural minor.' },
+    bhairavi: { name: 'Bhairavi Thaat', tradition: 'Hindustani thaat', aroha: "S r g m P d n S'", description: 'Every variable swara komal. Like Phrygian.' },
+    bhairav: { name: 'Bhairav Thaat', tradition: 'Hindustani thaat', aroha: "S r G m P d N S'", description: 'Komal Re and Dha. A morning scale.' },
+    kalyan: { name: 'Kalyan Thaat', tradition: 'Hindustani thaat', aroha: "S R G M P D N S'", description: 'Tivra (sharp) Ma. Like Lydian.' },
+    marwa: { name: 'Marwa Thaat', tradition: 'Hindustani thaat', aroha: "S r G M P D N S'", description: 'Komal Re and tivra Ma. A sunset scale.' },
+    purvi: { name: 'Purvi Thaat', tradition: 'Hindustani thaat', aroha: "S r G M P d N S'", description: 'Komal Re and Dha, tivra Ma.' },
+    todi: { name: 'Todi Thaat', tradition: 'Hindustani thaat', aroha: "S r g M P d N S'", description: 'Komal Re, Ga and Dha, tivra Ma.' },
+
+    // Hindustani ragas: aroha (ascent) and avaroha (descent) differ
+    yaman: {
+        name: 'Raga Yaman', tradition: 'Hindustani raga',
+        aroha: "N. R G M D N S'", avaroha: "S' N D P M G R S",
+        description: 'Kalyan thaat, evening. Ascends from Ni and skips Sa and Pa on the way up.'
+    },
+    bhupali: {
+        name: 'Raga Bhupali', tradition: 'Hindustani raga',
+        aroha: "S R G P D S'", avaroha: "S' D P G R S",
+        description: 'Kalyan thaat, pentatonic: no Ma or Ni.'
+    },
+    bhimpalasi: {
+        name: 'Raga Bhimpalasi', tradition: 'Hindustani raga',
+        aroha: "n. S g m P n S'", avaroha: "S' n D P m g R S",
+        description: 'Kafi thaat, afternoon. Re and Dha only on the way down.'
+    },
+    malkauns: {
+        name: 'Raga Malkauns', tradition: 'Hindustani raga',
+        aroha: "S g m d n S'", avaroha: "S' n d m g S",
+        description: 'Bhairavi thaat, late night. Pentatonic without Re or Pa.'
+    },
+    desh: {
+        name: 'Raga Desh', tradition: 'Hindustani raga',
+        aroha: "S R m P N S'", avaroha: "S' n D P D m G R G N. S",
+        description: 'Khamaj thaat, monsoon. Shuddha Ni going up, komal Ni and a winding (vakra) descent.'
+    },
+
+    // Javanese gamelan (tunings vary by ensemble; these are typical measurements)
+    slendro: {
+        name: 'Slendro', tradition: 'Javanese gamelan',
+        cents: [0, 231, 474, 717, 955], labels: ['ji', 'ro', 'lu', 'mo', 'nem'],
+        description: 'Five nearly equal steps of about 240 cents.'
+    },
+    pelog: {
+        name: 'Pelog', tradition: 'Javanese gamelan',
+        cents: [0, 120, 270, 540, 670, 785, 950], labels: ['ji', 'ro', 'lu', 'pat', 'mo', 'nem', 'pi'],
+        description: 'Seven unequal steps, played five at a time (pathet).'
+    },
+
+    // Bohlen-Pierce: repeats at the tritave (3:1), not the octave
+    bohlenPierce: {
+        name: 'Bohlen–Pierce (Lambda)', tradition: 'Bohlen–Pierce',
+        ratios: ['1/1', '25/21', '9/7', '7/5', '5/3', '9/5', '15/7', '7/3', '25/9'], period: '3/1',
+        labels: ['C', 'D', 'E', 'F', 'G', 'H', 'J', 'A', 'B'],
+        description: 'Odd harmonics only (3:5:7). Nine notes in a 3:1 tritave; the octave is out of tune on purpose.'
+    }
+};
+
+/**
+ * Just intonation of the Hindustani swaras
+ * Lowercase r g d n are komal (flat); uppercase M is tivra (sharp) Ma, m is shuddha Ma.
+ * A trailing ' raises a swara an octave (tar saptak), a trailing . lowers it (mandra saptak).
+ */
+const SWARA_RATIOS = {
+    S: '1/1', r: '16/15', R: '9/8', g: '6/5', G: '5/4', m: '4/3', M: '45/32',
+    P: '3/2', d: '8/5', D: '5/3', n: '9/5', N: '15/8'
+};
+
 // =============================================================================
 // CHORDS: Stacked Intervals
 // =============================================================================
@@ -250,36 +450,106 @@ const CHORD_TYPES = {
 };
 
 /**
- * Diatonic chord patterns for common scales
- * Each degree of the scale gets a chord quality
+ * Chord tones by degree, as written in chord symbols and formulas
+ * 
+ * Degrees above 7 are "extensions" stacked past the octave:
+ * 9 = 2nd + octave, 11 = 4th + octave, 13 = 6th + octave
+ */
+const CHORD_DEGREES = {
+    '1': { semitones: 0, abbrev: 'R' },
+    'b2': { semitones: 1, abbrev: 'm2' },
+    '2': { semitones: 2, abbrev: 'M2' },
+    'b3': { semitones: 3, abbrev: 'm3' },
+    '3': { semitones: 4, abbrev: 'M3' },
+    '4': { semitones: 5, abbrev: 'P4' },
+    '#4': { semitones: 6, abbrev: 'A4' },
+    'b5': { semitones: 6, abbrev: 'd5' },
+    '5': { semitones: 7, abbrev: 'P5' },
+    '#5': { semitones: 8, abbrev: 'A5' },
+    'b6': { semitones: 8, abbrev: 'm6' },
+    '6': { semitones: 9, abbrev: 'M6' },
+    'bb7': { semitones: 9, abbrev: 'd7' },
+    'b7': { semitones: 10, abbrev: 'm7' },
+    '7': { semitones: 11, abbrev: 'M7' },
+    'b9': { semitones: 13, abbrev: 'm9' },
+    '9': { semitones: 14, abbrev: 'M9' },
+    '#9': { semitones: 15, abbrev: 'A9' },
+    '11': { semitones: 17, abbrev: 'P11' },
+    '#11': { semitones: 18, abbrev: 'A11' },
+    'b13': { semitones: 20, abbrev: 'm13' },
+    '13': { semitones: 21, abbrev: 'M13' }
+};
+
+/**
+ * Inversion names, indexed by which chord tone is in the bass
+ * (0 = root, 1 = third, 2 = fifth, 3 = seventh, 4 = ninth)
+ */
+const INVERSION_NAMES = ['root position', 'first inversion', 'second inversion', 'third inversion', 'fourth inversion'];
+
+/**
+ * Ways to lay out chord tones across octaves
+ * 
+ * Drop voicings start from close position and move one inner voice down
+ * an octave, counted from the top: drop 2 on C-E-G-B gives G-C-E-B.
+ */
+const CHORD_VOICINGS = {
+    close: { name: 'Close', description: 'All tones packed within one octave above the bass' },
+    open: { name: 'Open', description: 'Every other tone raised an octave (C-G-E)' },
+    drop2: { name: 'Drop 2', description: '2nd voice from the top dropped an octave', drop: 2 },
+    drop3: { name: 'Drop 3', description: '3rd voice from the top dropped an octave', drop: 3 },
+    spread: { name: 'Spread', description: 'Bass an octave below a close-position stack' }
+};
+
+/**
+ * Roman numerals for scale degrees 1-7
  * 
  * Roman numeral notation:
  * - Uppercase = Major
- * - Lowercase = minor
- * - ° = diminished
+ * - lowercase = minor
+ * - ° = diminished, ø = half-diminished
  * - + = augmented
  */
-const DIATONIC_PATTERNS = {
-    major: {
-        triads: ['major', 'minor', 'minor', 'major', 'major', 'minor', 'diminished'],
-        numerals: ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°'],
-        sevenths: ['major7', 'minor7', 'minor7', 'major7', 'dominant7', 'minor7', 'halfDiminished']
-    },
-    naturalMinor: {
-        triads: ['minor', 'diminished', 'major', 'minor', 'minor', 'major', 'major'],
-        numerals: ['i', 'ii°', 'III', 'iv', 'v', 'VI', 'VII'],
-        sevenths: ['minor7', 'halfDiminished', 'major7', 'minor7', 'minor7', 'major7', 'dominant7']
-    },
-    harmonicMinor: {
-        triads: ['minor', 'diminished', 'augmented', 'minor', 'major', 'major', 'diminished'],
-        numerals: ['i', 'ii°', 'III+', 'iv', 'V', 'VI', 'vii°'],
-        sevenths: ['minorMajor7', 'halfDiminished', 'augmented7', 'minor7', 'dominant7', 'major7', 'diminished7']
-    },
-    dorian: {
-        triads: ['minor', 'minor', 'major', 'major', 'minor', 'diminished', 'major'],
-        numerals: ['i', 'ii', 'III', 'IV', 'v', 'vi°', 'VII'],
-        sevenths: ['minor7', 'minor7', 'major7', 'dominant7', 'minor7', 'halfDiminished', 'major7']
-    }
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+/**
+ * Figures written after a Roman numeral for each chord type
+ * (the numeral's case already says major or minor: ii7 = minor 7th)
+ */
+const NUMERAL_FIGURES = {
+    major: '', minor: '', diminished: '°', augmented: '+', sus2: 'sus2', sus4: 'sus4',
+    major7: 'maj7', minor7: '7', dominant7: '7', diminished7: '°7', halfDiminished: 'ø7',
+    minorMajor7: '(maj7)', augmented7: '+7', add9: 'add9', minor9: '9', major9: 'maj9'
+};
+
+/**
+ * Augmented sixth chords, as semitones above the key's tonic
+ * All contain b6 and #4 (an augmented 6th apart) resolving outward to the dominant
+ */
+const AUGMENTED_SIXTHS = {
+    italian: { numeral: 'It+6', name: 'Italian 6th', pitches: [8, 0, 6] },
+    french: { numeral: 'Fr+6', name: 'French 6th', pitches: [8, 0, 2, 6] },
+    german: { numeral: 'Ger+6', name: 'German 6th', pitches: [8, 0, 3, 6] }
+};
+
+/**
+ * Cadences: two-chord endings of a phrase
+ */
+const CADENCE_TYPES = {
+    authentic: { name: 'Authentic', degrees: [5, 1], description: 'V → I. The strongest ending ("perfect" if both chords are in root position).' },
+    plagal: { name: 'Plagal', degrees: [4, 1], description: 'IV → I. The "Amen" ending.' },
+    deceptive: { name: 'Deceptive', degrees: [5, 6], description: 'V → vi. Sets up an ending, then dodges it.' },
+    half: { name: 'Half', degrees: [5], description: 'Ends on V. A question waiting for an answer.' }
+};
+
+/**
+ * Chord sizes for getDiatonicChords (tones stacked in thirds)
+ */
+const DIATONIC_CHORD_SIZES = {
+    3: 'Triads',
+    4: '7th Chords',
+    5: '9th Chords',
+    6: '11th Chords',
+    7: '13th Chords'
 };
 
 // =============================================================================
@@ -334,6 +604,228 @@ const PROGRESSIONS = {
     }
 };
 
+/**
+ * How often one diatonic root moves to another in common-practice music
+ * (after Piston's table of usual root progressions): 4 = usual, 2 = sometimes, 1 = rare.
+ * These are the Markov chain weights used by generateProgression.
+ */
+const ROOT_MOTION_WEIGHTS = {
+    1: { 4: 4, 5: 4, 6: 2, 2: 1, 3: 1 },
+    2: { 5: 4, 4: 2, 6: 2, 1: 1, 3: 1, 7: 1 },
+    3: { 6: 4, 4: 2, 2: 1, 5: 1 },
+    4: { 5: 4, 1: 2, 2: 2, 7: 2, 3: 1, 6: 1 },
+    5: { 1: 4, 6: 2, 4: 1, 3: 1 },
+    6: { 2: 4, 5: 4, 4: 2, 3: 2, 1: 1, 7: 1 },
+    7: { 1: 4, 3: 2, 6: 1 }
+};
+
+// =============================================================================
+// PITCH-CLASS SET CLASSES
+// =============================================================================
+
+/**
+ * Forte names of the set classes of 3 to 6 notes, with their prime forms
+ * (T = 10, E = 11). Prime forms follow Rahn, so 5-20 is (01568) rather than
+ * Forte's (01378). Classes of 7-9 notes take the number of their complement
+ * (7-35, the diatonic scale, is the complement of 5-35); 2-n and 10-n are
+ * named by interval class. Z = same interval vector as another class.
+ */
+const FORTE_SET_CLASSES = {
+    3: [
+        ['3-1', '012'], ['3-2', '013'], ['3-3', '014'], ['3-4', '015'], ['3-5', '016'], ['3-6', '024'],
+        ['3-7', '025'], ['3-8', '026'], ['3-9', '027'], ['3-10', '036'], ['3-11', '037'], ['3-12', '048']
+    ],
+    4: [
+        ['4-1', '0123'], ['4-2', '0124'], ['4-3', '0134'], ['4-4', '0125'], ['4-5', '0126'],
+        ['4-6', '0127'], ['4-7', '0145'], ['4-8', '0156'], ['4-9', '0167'], ['4-10', '0235'],
+        ['4-11', '0135'], ['4-12', '0236'], ['4-13', '0136'], ['4-14', '0237'], ['4-Z15', '0146'],
+        ['4-16', '0157'], ['4-17', '0347'], ['4-18', '0147'], ['4-19', '0148'], ['4-20', '0158'],
+        ['4-21', '0246'], ['4-22', '0247'], ['4-23', '0257'], ['4-24', '0248'], ['4-25', '0268'],
+        ['4-26', '0358'], ['4-27', '0258'], ['4-28', '0369'], ['4-Z29', '0137']
+    ],
+    5: [
+        ['5-1', '01234'], ['5-2', '01235'], ['5-3', '01245'], ['5-4', '01236'], ['5-5', '01237'],
+        ['5-6', '01256'], ['5-7', '01267'], ['5-8', '02346'], ['5-9', '01246'], ['5-10', '01346'],
+        ['5-11', '02347'], ['5-Z12', '01356'], ['5-13', '01248'], ['5-14', '01257'], ['5-15', '01268'],
+        ['5-16', '01347'], ['5-Z17', '01348'], ['5-Z18', '01457'], ['5-19', '01367'], ['5-20', '01568'],
+        ['5-21', '01458'], ['5-22', '01478'], ['5-23', '02357'], ['5-24', '01357'], ['5-25', '02358'],
+        ['5-26', '02458'], ['5-27', '01358'], ['5-28', '02368'], ['5-29', '01368'], ['5-30', '01468'],
+        ['5-31', '01369'], ['5-32', '01469'], ['5-33', '02468'], ['5-34', '02469'], ['5-35', '02479'],
+        ['5-Z36', '01247'], ['5-Z37', '03458'], ['5-Z38', '01258']
+    ],
+    6: [
+        ['6-1', '012345'], ['6-2', '012346'], ['6-Z3', '012356'], ['6-Z4', '012456'], ['6-5', '012367'],
+        ['6-Z6', '012567'], ['6-7', '012678'], ['6-8', '023457'], ['6-9', '012357'], ['6-Z10', '013457'],
+        ['6-Z11', '012457'], ['6-Z12', '012467'], ['6-Z13', '013467'], ['6-14', '013458'], ['6-15', '012458'],
+        ['6-16', '014568'], ['6-Z17', '012478'], ['6-18', '012578'], ['6-Z19', '013478'], ['6-20', '014589'],
+        ['6-21', '023468'], ['6-22', '012468'], ['6-Z23', '023568'], ['6-Z24', '013468'], ['6-Z25', '013568'],
+        ['6-Z26', '013578'], ['6-27', '013469'], ['6-Z28', '013569'], ['6-Z29', '023679'], ['6-30', '013679'],
+        ['6-31', '014579'], ['6-32', '024579'], ['6-33', '023579'], ['6-34', '013579'], ['6-35', '02468T'],
+        ['6-Z36', '012347'], ['6-Z37', '012348'], ['6-Z38', '012378'], ['6-Z39', '023458'], ['6-Z40', '012358'],
+        ['6-Z41', '012368'], ['6-Z42', '012369'], ['6-Z43', '012568'], ['6-Z44', '012569'], ['6-Z45', '023469'],
+        ['6-Z46', '012469'], ['6-Z47', '012479'], ['6-Z48', '012579'], ['6-Z49', '013479'], ['6-Z50', '014679']
+    ]
+};
+
+// =============================================================================
+// NEO-RIEMANNIAN OPERATIONS
+// =============================================================================
+
+/**
+ * Moves between major and minor triads that keep two common tones (P, L, R)
+ * and the compound moves built from them (applied left to right)
+ */
+const NEO_RIEMANNIAN_OPERATIONS = {
+    P: { name: 'Parallel', description: 'Root and 5th stay, the 3rd moves a half step: C <-> Cm.' },
+    L: { name: 'Leading-tone exchange', description: '3rd and 5th of the major triad stay, its root moves down a half step: C <-> Em.' },
+    R: { name: 'Relative', description: 'Root and 3rd of the major triad stay, its 5th moves up a whole step: C <-> Am.' },
+    N: { name: 'Nebenverwandt', sequence: 'RLP', description: 'Major to the minor iv: C <-> Fm.' },
+    S: { name: 'Slide', sequence: 'LPR', description: 'The shared 3rd stays, root and 5th slide a half step: C <-> C#m.' },
+    H: { name: 'Hexatonic pole', sequence: 'LPL', description: 'The opposite triad of a hexatonic cycle: C <-> Abm.' }
+};
+
+// =============================================================================
+// PSYCHOACOUSTICS
+// =============================================================================
+
+/**
+ * Plomp-Levelt dissonance curve as fitted by Sethares ("Tuning, Timbre,
+ * Spectrum, Scale"): two sine partials are roughest about a quarter of a
+ * critical band apart, and the critical band widens with frequency.
+ */
+const ROUGHNESS_MODEL = {
+    b1: 3.5,
+    b2: 5.75,
+    dStar: 0.24, // Point of maximum roughness
+    s1: 0.0207, // Critical band slope
+    s2: 18.96 // Critical band offset (Hz)
+};
+
+/**
+ * How getConsonance mixes its two measures. Harmonicity leads: sines a tritone
+ * apart barely beat, yet the interval still sounds unresolved. At 70% the gap
+ * between 5:4 and 45:32 (0.61 vs 0.09) outweighs any difference in smoothness,
+ * so no register or timbre can rank a just tritone above a major 3rd.
+ */
+const CONSONANCE_WEIGHTS = {
+    smoothness: 0.3, // 1 - roughness
+    harmonicity: 0.7
+};
+
+/**
+ * Grades of the consonance score (0 = harsh, 1 = smooth), lowest score first
+ */
+const CONSONANCE_LABELS = [
+    { min: 0, label: 'Dissonant' },
+    { min: 0.3, label: 'Tense' },
+    { min: 0.5, label: 'Mild' },
+    { min: 0.6, label: 'Consonant' }
+];
+
+// =============================================================================
+// TIMBRES (Additive Synthesis)
+// =============================================================================
+
+/**
+ * Starting points for the harmonic editor. The waveform presets come from
+ * their Fourier series (getFourierSeries), so they sound exactly like the
+ * built-in oscillator types; the others list harmonic amplitudes from the 1st up.
+ */
+const TIMBRE_PRESETS = {
+    sine: { name: 'Sine', series: 'sine' },
+    square: { name: 'Square (odd, 1/n)', series: 'square' },
+    sawtooth: { name: 'Sawtooth (all, 1/n)', series: 'sawtooth' },
+    triangle: { name: 'Triangle (odd, 1/n²)', series: 'triangle' },
+    organ: { name: 'Organ (drawbars 8\' 4\' 2⅔\' 2\')', amplitudes: [1, 0.8, 0.6, 0.7, 0, 0.4, 0, 0.3] },
+    clarinet: { name: 'Clarinet (mostly odd)', amplitudes: [1, 0.04, 0.75, 0.02, 0.5, 0.03, 0.14, 0.02, 0.12, 0, 0.06] },
+    evenOnly: { name: 'Octave-heavy (1 + even)', amplitudes: [1, 0.7, 0, 0.5, 0, 0.35, 0, 0.25] }
+};
+
+// =============================================================================
+// KEY PROFILES
+// =============================================================================
+
+/**
+ * How strongly each scale degree (0 = tonic ... 11 = major 7th) suggests a key
+ * 
+ * MATH EXPLANATION (Krumhansl-Schmuckler):
+ * - Count how long each pitch class sounds -> a 12-number "pitch-class profile"
+ * - Correlate it with the profile rotated to each of the 12 tonics, major and minor
+ * - The highest Pearson correlation (-1..1) is the most likely key
+ * 
+ * Krumhansl-Kessler values come from listener ratings (1982), Temperley's
+ * from counts in a textbook corpus (1999). Temperley's rates the leading
+ * tone and minor 6th higher, so it hears harmonic minor more readily.
+ */
+const KEY_PROFILES = {
+    krumhansl: {
+        name: 'Krumhansl-Kessler',
+        major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+        minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    },
+    temperley: {
+        name: 'Temperley (Kostka-Payne)',
+        major: [5.0, 2.0, 3.5, 2.0, 4.5, 4.0, 2.0, 4.5, 2.0, 3.5, 1.5, 4.0],
+        minor: [5.0, 2.0, 3.5, 4.5, 2.0, 4.0, 2.0, 4.5, 3.5, 2.0, 1.5, 4.0]
+    }
+};
+
+// =============================================================================
+// TUNING SYSTEMS
+// =============================================================================
+
+/**
+ * Temperaments and tunings, expressed as 12 pitch-class offsets from the tonic
+ *
+ * MATH EXPLANATION:
+ * - Equal temperament splits the octave into 12 identical steps of 100 cents
+ * - Just intonation uses the simple whole-number ratios (same as INTERVALS.justRatio)
+ * - Pythagorean and meantone tunings stack one size of fifth 12 times (Eb..G#)
+ * - Well-temperaments (Werckmeister III) shade the fifths so every key is usable
+ *   but each key keeps a different "colour"
+ * - N-EDO divides the octave into N equal steps; each note snaps to the nearest step
+ *
+ * Cents: 1200 * log2(ratio). 100 cents = one equal-tempered semitone.
+ */
+const TUNING_SYSTEMS = {
+    equal: {
+        name: '12-TET (Equal)',
+        description: 'Modern piano tuning. Every semitone is exactly 2^(1/12).',
+        cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+    },
+    just: {
+        name: 'Just Intonation (5-limit)',
+        description: 'Pure ratios on the tonic. 5:4 thirds and 3:2 fifths beat-free.',
+        ratios: [[1, 1], [16, 15], [9, 8], [6, 5], [5, 4], [4, 3], [45, 32], [3, 2], [8, 5], [5, 3], [9, 5], [15, 8]]
+    },
+    pythagorean: {
+        name: 'Pythagorean',
+        description: 'Pure 3:2 fifths stacked. Bright, wide thirds (81:64).',
+        fifth: 1200 * Math.log2(3 / 2)
+    },
+    meantone: {
+        name: 'Quarter-Comma Meantone',
+        description: 'Fifths narrowed so four of them make a pure 5:4 third.',
+        fifth: 1200 * Math.log2(5) / 4
+    },
+    werckmeister3: {
+        name: 'Werckmeister III',
+        description: 'Baroque well-temperament. All keys playable, each with its own colour.',
+        cents: [0, 90.225, 192.18, 294.135, 390.225, 498.045, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18],
+        anchor: 'C' // Historically defined on C, so it does not follow the tonic
+    },
+    edo: {
+        name: 'N-EDO (Equal Divisions)',
+        description: 'Octave split into N equal steps. Try 19, 31 or 53.',
+        divisions: 19
+    },
+    scala: {
+        name: 'Scala File',
+        description: 'Imported .scl scale, optionally mapped to keys by a .kbm file.',
+        custom: true // Pitches come from loadScalaTuning(), not from this table
+    }
+};
+
 // =============================================================================
 // MUSIC THEORY ENGINE CLASS
 // =============================================================================
@@ -342,6 +834,14 @@ class MusicTheoryEngine {
     constructor() {
         this.currentKey = 'C';
         this.currentScale = 'major';
+        this.tuning = {
+            system: 'equal',
+            tonic: 'C',
+            referenceFrequency: A4_FREQUENCY,
+            edo: TUNING_SYSTEMS.edo.divisions
+        };
+        this.tuningCents = this.getTuningCents();
+        this.scala = null; // { scale, mapping } once a Scala file is loaded
     }
 
     // =========================================================================
@@ -354,10 +854,31 @@ class MusicTheoryEngine {
      * @returns {number} Semitone index (0 = C)
      */
     noteToIndex(note) {
-        // Handle flats by converting to sharps
-        const flatToSharp = { 'Db': 'C#', 'Eb': 'D#', 'Fb': 'E', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#', 'Cb': 'B' };
-        const normalized = flatToSharp[note] || note;
-        return NOTE_NAMES.indexOf(normalized);
+        const parsed = this.parseNote(note);
+        return parsed ? parsed.index : -1;
+    }
+
+    /**
+     * Split a note name into letter and accidental
+     * @param {string} note - 'C', 'F#', 'Bb', 'G##', 'Fx', 'Ebb' (also ♯/♭)
+     * @returns {object} { letter, letterIndex, accidental, index } or null
+     */
+    parseNote(note) {
+        if (typeof note !== 'string') return null;
+        const normalized = note.trim().replace(/♯/g, '#').replace(/♭/g, 'b').replace(/𝄪/g, '##');
+        const match = normalized.match(/^([A-G])(bb|b|##|#|x)?$/);
+        if (!match) return null;
+
+        const letter = match[1];
+        const accidental = { bb: -2, b: -1, '#': 1, '##': 2, x: 2 }[match[2]] || 0;
+        const letterIndex = LETTER_NAMES.indexOf(letter);
+
+        return {
+            letter,
+            letterIndex,
+            accidental,
+            index: (((LETTER_INDICES[letterIndex] + accidental) % 12) + 12) % 12
+        };
     }
 
     /**
@@ -372,9 +893,9 @@ class MusicTheoryEngine {
     }
 
     /**
-     * Calculate frequency for a note
+     * Calculate frequency for a note in the current tuning
      * 
-     * MATH: f = 440 * 2^((midiNote - 69) / 12)
+     * MATH (12-TET): f = 440 * 2^((midiNote - 69) / 12)
      * 
      * @param {string} note - Note name (e.g., 'A')
      * @param {number} octave - Octave number (4 = middle octave)
@@ -383,7 +904,30 @@ class MusicTheoryEngine {
     noteToFrequency(note, octave = 4) {
         const noteIndex = this.noteToIndex(note);
         const midiNote = (octave + 1) * 12 + noteIndex;
-        return A4_FREQUENCY * Math.pow(2, (midiNote - A4_MIDI_NUMBER) / 12);
+        return this.midiToFrequency(midiNote);
+    }
+
+    /**
+     * Calculate frequency for a MIDI note number in the current tuning
+     * 
+     * The tonic keeps its equal-tempered pitch relative to the reference (A4),
+     * every other degree is placed by the temperament's cents offset.
+     * 
+     * MATH: f = ref * 2^((tonicMidi - 69) / 12) * 2^(cents / 1200)
+     * 
+     * @param {number} midiNote - MIDI note number (A4 = 69)
+     * @returns {number} Frequency in Hz
+     */
+    midiToFrequency(midiNote) {
+        if (this.tuning.system === 'scala') return this.scalaMidiToFrequency(midiNote);
+
+        const { system, tonic, referenceFrequency } = this.tuning;
+        const anchorIndex = this.noteToIndex(TUNING_SYSTEMS[system].anchor || tonic);
+        const degree = (((midiNote - anchorIndex) % 12) + 12) % 12;
+        const tonicMidi = midiNote - degree;
+
+        return referenceFrequency * Math.pow(2,
+            (tonicMidi - A4_MIDI_NUMBER) / 12 + this.tuningCents[degree] / 1200);
     }
 
     /**
@@ -417,208 +961,2873 @@ class MusicTheoryEngine {
     }
 
     // =========================================================================
-    // SCALE OPERATIONS
+    // SPELLING & KEY SIGNATURES
     // =========================================================================
 
     /**
-     * Get all notes in a scale
-     * @param {string} root - Root note (e.g., 'A')
-     * @param {string} scaleType - Scale type from SCALES
-     * @returns {object} { notes, intervals, description }
+     * Spell a pitch class on a given letter
+     * @param {number} letterIndex - 0-6 (C..B), wraps
+     * @param {number} pitchIndex - Semitone index (0-11)
+     * @returns {string} e.g. spellNote(6, 10) = 'Bb', or null if it needs a triple accidental
      */
-    getScaleNotes(root, scaleType = 'major') {
-        const scale = SCALES[scaleType];
-        if (!scale) return null;
+    spellNote(letterIndex, pitchIndex) {
+        const letter = ((letterIndex % 7) + 7) % 7;
+        const offset = ((((pitchIndex - LETTER_INDICES[letter]) % 12) + 18) % 12) - 6;
+        if (Math.abs(offset) > 2) return null;
+        return LETTER_NAMES[letter] + ACCIDENTALS[offset];
+    }
 
-        const rootIndex = this.noteToIndex(root);
-        const notes = scale.intervals.map(interval =>
-            this.indexToNote((rootIndex + interval) % 12)
-        );
+    /**
+     * Spell notes above a root, one letter per generic degree
+     * @param {string} root - Root note
+     * @param {array} intervals - Semitones above the root
+     * @param {array} steps - Letter steps above the root letter (0 = same letter, 2 = a "third")
+     * @returns {array} Note names (falls back to sharps if a spelling is impossible)
+     */
+    spellIntervals(root, intervals, steps) {
+        const parsed = this.parseNote(root);
+        if (!parsed) return intervals.map(() => null);
 
-        return {
-            root,
-            type: scaleType,
-            name: `${root} ${scale.name}`,
-            notes,
-            intervals: scale.intervals,
-            description: scale.description,
-            // Include which keys are "in" this scale (for keyboard overlay)
-            noteIndices: scale.intervals.map(i => (rootIndex + i) % 12)
-        };
+        return intervals.map((interval, i) => {
+            const index = (parsed.index + interval) % 12;
+            return this.spellNote(parsed.letterIndex + steps[i], index) || this.indexToNote(index);
+        });
     }
 
     /**
-     * Check if a note is in a scale
-     * @param {string} note - Note to check
-     * @param {string} root - Scale root
-     * @param {string} scaleType - Scale type
-     * @returns {boolean}
+     * Letter steps for a list of degree labels ('1', 'b3', '#11' -> 0, 2, 3)
      */
-    isNoteInScale(note, root, scaleType) {
-        const scale = this.getScaleNotes(root, scaleType);
-        return scale?.notes.includes(note) || false;
+    degreesToSteps(degrees) {
+        return degrees.map(d => (parseInt(d.replace(/^[^\d]*/, ''), 10) - 1) % 7);
     }
 
     /**
-     * Get all available scale types
-     * @returns {array} Array of { key, name, description }
+     * Guess letter steps from semitones (used when no degree labels exist)
+     * 1=b2, 3=b3, 6=#4, 8=b6, 10=b7
      */
-    getAvailableScales() {
-        return Object.entries(SCALES).map(([key, data]) => ({
-            key,
-            name: data.name,
-            description: data.description
-        }));
+    intervalsToSteps(intervals) {
+        const STEPS = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6];
+        return intervals.map(i => STEPS[((i % 12) + 12) % 12] + 7 * Math.floor(i / 12));
     }
 
-    // =========================================================================
-    // CHORD OPERATIONS  
-    // =========================================================================
-
     /**
-     * Build a chord from root and type
-     * @param {string} root - Chord root note
-     * @param {string} chordType - Chord type from CHORD_TYPES
-     * @returns {object} Chord data with notes, frequencies, formula
+     * Key signature implied by a key
+     * 
+     * Modes use their own notes (D Dorian = no accidentals). Other scales use
+     * the signature of the major or natural minor with the same third, so
+     * A harmonic minor shows no sharps and its G# is an accidental.
+     * 
+     * @param {string} root - Key root (spelling matters: 'Db' vs 'C#')
+     * @param {string} scaleType - Scale type from SCALES
+     * @returns {object} { count, sharps, flats, accidentals } (count > 0 = sharps)
      */
-    buildChord(root, chordType = 'major') {
-        const chord = CHORD_TYPES[chordType];
-        if (!chord) return null;
+    getKeySignature(root, scaleType = 'major') {
+        const MODES = ['major', 'naturalMinor', 'ionian', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'aeolian', 'locrian'];
+        const scale = SCALES[scaleType];
+        if (!scale || !this.parseNote(root)) return null;
 
-        const rootIndex = this.noteToIndex(root);
-        const notes = chord.intervals.map(interval =>
-            this.indexToNote((rootIndex + interval) % 12)
-        );
+        let parent = scaleType;
+        if (!MODES.includes(scaleType)) {
+            parent = scale.intervals.includes(3) && !scale.intervals.includes(4) ? 'naturalMinor' : 'major';
+        }
+
+        const intervals = SCALES[parent].intervals;
+        const notes = this.spellIntervals(root, intervals, intervals.map((_, i) => i));
+        const accidentals = notes.filter(n => n.length > 1);
+        const count = accidentals.reduce((sum, n) => sum + this.parseNote(n).accidental, 0);
 
         return {
-            root,
-            type: chordType,
-            name: `${root}${chord.symbol}`,
-            fullName: `${root} ${chord.name}`,
-            notes,
-            intervals: chord.intervals,
-            formula: chord.formula,
-            quality: chord.quality,
-            frequencies: notes.map((n, i) => ({
-                note: n,
-                octave: 4 + Math.floor((rootIndex + chord.intervals[i]) / 12),
-                frequency: this.noteToFrequency(n, 4 + Math.floor((rootIndex + chord.intervals[i]) / 12))
-            }))
+            count,
+            sharps: accidentals.filter(n => n.includes('#')),
+            flats: accidentals.filter(n => n.includes('b')),
+            accidentals
         };
     }
 
     /**
-     * Get diatonic chords for a key
-     * @param {string} root - Key root
+     * Choose the enharmonic root with the simplest key signature
+     * e.g. ('A#', 'major') -> 'Bb' (2 flats instead of 10 sharps)
+     * Ties keep the given spelling (F# major and Gb major both have 6).
+     * 
+     * @param {string} root - Root in any spelling
      * @param {string} scaleType - Scale type
-     * @param {boolean} useSevenths - Include 7th chords
-     * @returns {array} Array of chord objects for each scale degree
+     * @returns {string} Preferred root spelling
      */
-    getDiatonicChords(root, scaleType = 'major', useSevenths = false) {
-        const pattern = DIATONIC_PATTERNS[scaleType];
-        if (!pattern) return null;
+    getPreferredRootSpelling(root, scaleType = 'major') {
+        const parsed = this.parseNote(root);
+        if (!parsed || !SCALES[scaleType]) return root;
 
-        const scale = this.getScaleNotes(root, scaleType);
-        const chordTypes = useSevenths ? pattern.sevenths : pattern.triads;
-
-        return scale.notes.map((note, i) => ({
-            degree: i + 1,
-            numeral: pattern.numerals[i],
-            root: note,
-            chord: this.buildChord(note, chordTypes[i]),
-            chordType: chordTypes[i]
-        }));
+        const size = name => Math.abs(this.getKeySignature(name, scaleType).count);
+        const candidates = [-1, 0, 1]
+            .map(step => this.spellNote(parsed.letterIndex + step, parsed.index))
+            .filter(name => name && Math.abs(this.parseNote(name).accidental) <= 1);
+
+        return candidates.reduce((best, name) => (size(name) < size(best) ? name : best), root);
     }
 
     /**
-     * Identify a chord from a set of notes
-     * @param {array} notes - Array of note names or { note, freq } objects
-     * @returns {object} Identified chord or null
+     * Name for every pitch class in a key
+     * Scale notes use the scale spelling; other notes follow the key signature
+     * 
+     * @param {string} root - Key root
+     * @param {string} scaleType - Scale type
+     * @returns {array} 12 names indexed by semitone (0 = C)
      */
-    identifyChord(notes) {
-        // Normalize input
-        const noteNames = notes.map(n => typeof n === 'string' ? n : n.note);
-        const uniqueNotes = [...new Set(noteNames.map(n => this.indexToNote(this.noteToIndex(n))))];
+    getKeySpelling(root, scaleType = 'major') {
+        const signature = this.getKeySignature(root, scaleType);
+        const scale = this.getScaleNotes(root, scaleType);
+        if (!signature || !scale) return [...NOTE_NAMES];
 
-        if (uniqueNotes.length < 2) return null;
+        const spelling = signature.count > 0 ? [...NOTE_NAMES]
+            : signature.count < 0 ? [...NOTE_NAMES_FLAT]
+                : [...NOTE_NAMES_COMMON];
 
-        // Try each note as potential root
-        for (const potentialRoot of uniqueNotes) {
-            const rootIndex = this.noteToIndex(potentialRoot);
-            const intervals = uniqueNotes.map(n =>
-                ((this.noteToIndex(n) - rootIndex) + 12) % 12
-            ).sort((a, b) => a - b);
+        scale.notes.forEach((note, i) => {
+            spelling[scale.noteIndices[i]] = note;
+        });
 
-            // Match against known chord types
-            for (const [type, data] of Object.entries(CHORD_TYPES)) {
-                const chordIntervals = [...data.intervals].sort((a, b) => a - b);
-                if (JSON.stringify(intervals) === JSON.stringify(chordIntervals)) {
-                    return {
-                        ...this.buildChord(potentialRoot, type),
-                        confidence: 1.0
-                    };
-                }
-            }
+        return spelling;
+    }
+
+    /**
+     * The circle of fifths with conventional key names
+     * @returns {array} 12 entries { major, minor, majorIndex, minorIndex, signature }
+     */
+    getCircleOfFifths() {
+        return Array.from({ length: 12 }, (_, i) => {
+            const majorIndex = (i * 7) % 12;
+            const minorIndex = (majorIndex + 9) % 12;
+            const major = this.getPreferredRootSpelling(NOTE_NAMES[majorIndex], 'major');
+            const minor = this.getPreferredRootSpelling(NOTE_NAMES[minorIndex], 'naturalMinor');
+
+            return {
+                major,
+                minor,
+                majorIndex,
+                minorIndex,
+                signature: this.getKeySignature(major, 'major').count
+            };
+        });
+    }
+
+    // =========================================================================
+    // TUNING
+    // =========================================================================
+
+    /**
+     * Change the tuning system, tonic, reference pitch or EDO size
+     * @param {object} options - { system, tonic, referenceFrequency, edo }
+     * @returns {object} The active tuning, or null (and nothing changes) for an unknown
+     *   system or tonic, Scala before any import, a reference pitch <= 0 or an EDO that
+     *   isn't a whole number >= 1
+     */
+    setTuning(options = {}) {
+        const { system, tonic, referenceFrequency, edo } = options;
+        if (system !== undefined && !TUNING_SYSTEMS[system]) return null;
+        if (system === 'scala' && !this.scala) return null;
+        if (tonic !== undefined && this.noteToIndex(tonic) === -1) return null;
+        if (referenceFrequency !== undefined && !(referenceFrequency > 0)) return null;
+        if (edo !== undefined && !(Number.isInteger(edo) && edo >= 1)) return null;
+
+        if (system !== undefined) this.tuning.system = system;
+        if (tonic !== undefined) this.tuning.tonic = tonic;
+        if (referenceFrequency !== undefined) this.tuning.referenceFrequency = referenceFrequency;
+        if (edo !== undefined) this.tuning.edo = edo;
+
+        this.tuningCents = this.getTuningCents();
+        return this.getTuning();
+    }
+
+    /**
+     * Get the active tuning
+     * @returns {object} { system, name, tonic, referenceFrequency, edo, cents, shared, pinned }
+     *   shared: groups of degrees (semitones above the tonic) tuned to the same pitch,
+     *   e.g. [[1, 2], ...] in 5-EDO where 12 keys share 5 steps; empty when all differ
+     *   pinned: { midi, frequency } of the key the tuning is hung from. Only 12-TET
+     *   pins A4 to referenceFrequency; the others keep their anchor (usually the
+     *   tonic) at its 12-TET pitch, and Scala mappings name their own reference key
+     */
+    getTuning() {
+        const byPitch = new Map();
+        this.tuningCents.forEach((cents, degree) => {
+            const key = cents.toFixed(3);
+            byPitch.set(key, [...(byPitch.get(key) || []), degree]);
+        });
+
+        const { system, tonic } = this.tuning;
+        let pinned;
+        if (system === 'scala') {
+            const kbm = this.getScalaKeyboardMapping();
+            pinned = { midi: kbm.referenceNote, frequency: kbm.referenceFrequency };
+        } else {
+            const midi = system === 'equal' ? A4_MIDI_NUMBER : 60 + this.noteToIndex(TUNING_SYSTEMS[system].anchor || tonic);
+            pinned = { midi, frequency: this.midiToFrequency(midi) };
+        }
+
+        return {
+            ...this.tuning,
+            name: TUNING_SYSTEMS[system].name,
+            cents: [...this.tuningCents],
+            shared: [...byPitch.values()].filter(degrees => degrees.length > 1),
+            pinned
+        };
+    }
+
+    /**
+     * Cents offsets of the 12 scale degrees above the tonic
+     * 
+     * N-EDO gives each key the nearest step. From 12-EDO up every key gets its own
+     * step; below that keys have to share (getTuning().shared lists which), and
+     * the top keys stop at step N-1 rather than landing on the octave.
+     * 
+     * @param {string} system - Tuning system from TUNING_SYSTEMS
+     * @param {number} edo - Steps per octave (only used by 'edo')
+     * @returns {array} 12 cents values (index 0 = tonic = 0 cents)
+     */
+    getTuningCents(system = this.tuning.system, edo = this.tuning.edo) {
+        const data = TUNING_SYSTEMS[system];
+        if (!data) return null;
+
+        if (data.custom) {
+            // Scala scales may have any number of notes, so return their own degrees
+            return this.scala ? [0, ...this.scala.scale.pitches.slice(0, -1).map(p => p.cents)] : null;
+        }
+
+        if (data.cents) return [...data.cents];
+
+        if (data.ratios) {
+            return data.ratios.map(([num, den]) => 1200 * Math.log2(num / den));
+        }
+
+        if (data.fifth) {
+            // Stack fifths from Eb (-3) to G# (+8), folding each into one octave
+            const cents = new Array(12);
+            for (let k = -3; k <= 8; k++) {
+                const degree = (((k * 7) % 12) + 12) % 12;
+                cents[degree] = (((k * data.fifth) % 1200) + 1200) % 1200;
+            }
+            return cents;
+        }
+
+        // N-EDO: snap each semitone to the nearest step of 1200/N cents, below the octave
+        const step = 1200 / edo;
+        return Array.from({ length: 12 }, (_, i) => Math.min(Math.round(i * 100 / step), edo - 1) * step);
+    }
+
+    /**
+     * How far a note sits from its 12-TET pitch in the current tuning
+     * @param {string} note - Note name
+     * @returns {number} Deviation in cents (positive = sharper than piano)
+     */
+    getCentsDeviation(note) {
+        const midiNote = 60 + this.noteToIndex(note);
+        const freq = this.midiToFrequency(midiNote);
+        if (!freq) return null; // Unmapped key in a Scala keyboard mapping
+
+        const equal = this.tuning.referenceFrequency * Math.pow(2, (midiNote - A4_MIDI_NUMBER) / 12);
+        return 1200 * Math.log2(freq / equal);
+    }
+
+    // =========================================================================
+    // SCALA FILES (.scl / .kbm)
+    // =========================================================================
+
+    /**
+     * Parse a Scala scale file (.scl)
+     * 
+     * FORMAT: '!' lines are comments. First line = description, second = note
+     * count, then one pitch per line. A pitch containing '.' is in cents,
+     * otherwise it is a ratio ('3/2') or an integer ('2' = 2/1).
+     * The last pitch is the period (usually 2/1, the octave).
+     * 
+     * @param {string} text - File contents
+     * @returns {object} { description, pitches: [{ cents, ratio, text }], errors: [{ line, message }] }
+     */
+    parseScalaScale(text) {
+        const result = { description: '', pitches: [], errors: [] };
+
+        // The description may be blank, every other line may not
+        const [descriptionLine, ...rest] = this.getScalaLines(text);
+        const lines = [descriptionLine, ...rest.filter(({ text: line }) => line.trim())].filter(Boolean);
+
+        if (lines.length < 2) {
+            result.errors.push({ line: lines.length ? lines[0].line : 1, message: 'Missing description or note count' });
+            return result;
+        }
+
+        result.description = lines[0].text.trim();
+
+        const countLine = lines[1];
+        const countToken = countLine.text.trim().split(/\s+/)[0];
+        const count = parseInt(countToken, 10);
+        if (!/^\d+$/.test(countToken) || count < 1) {
+            result.errors.push({ line: countLine.line, message: `Invalid note count "${countToken}"` });
+            return result;
+        }
+
+        const pitchLines = lines.slice(2, 2 + count);
+        if (pitchLines.length < count) {
+            result.errors.push({
+                line: lines[lines.length - 1].line,
+                message: `Expected ${count} pitches, found ${pitchLines.length}`
+            });
+        }
+
+        pitchLines.forEach(({ line, text: raw }) => {
+            const token = raw.trim().split(/\s+/)[0] || '';
+            const pitch = this.parseScalaPitch(token);
+            if (pitch) {
+                result.pitches.push(pitch);
+            } else {
+                result.errors.push({ line, message: `Invalid pitch "${token}" (use cents like 701.955 or a ratio like 3/2)` });
+            }
+        });
+
+        const period = result.pitches[result.pitches.length - 1];
+        if (!result.errors.length && period.cents <= 0) {
+            result.errors.push({ line: pitchLines[pitchLines.length - 1].line, message: 'The last pitch (period) must be above 1/1' });
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a single Scala pitch token
+     * @param {string} token - '701.955', '3/2' or '2'
+     * @returns {object} { cents, ratio, text } or null if malformed
+     */
+    parseScalaPitch(token) {
+        if (/^[-+]?\d*\.\d*$/.test(token) && /\d/.test(token)) {
+            return { cents: parseFloat(token), ratio: null, text: token };
+        }
+
+        const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+        if (!match) return null;
+
+        const num = parseInt(match[1], 10);
+        const den = match[2] === undefined ? 1 : parseInt(match[2], 10);
+        if (num <= 0 || den <= 0) return null;
+
+        return { cents: 1200 * Math.log2(num / den), ratio: `${num}/${den}`, text: token };
+    }
+
+    /**
+     * Parse a Scala keyboard mapping file (.kbm)
+     * 
+     * FORMAT (one value per non-comment line):
+     * map size, first MIDI note, last MIDI note, middle note (degree 0),
+     * reference note, reference frequency, formal octave (in scale degrees),
+     * then one scale degree per key of the pattern ('x' = unmapped).
+     * A map size of 0 means a linear mapping (every key = next degree).
+     * 
+     * @param {string} text - File contents
+     * @returns {object} Mapping fields plus errors: [{ line, message }]
+     */
+    parseScalaKeyboardMapping(text) {
+        const lines = this.getScalaLines(text).filter(({ text: line }) => line.trim());
+        const fields = [
+            { key: 'size', min: 0, max: 128 },
+            { key: 'firstNote', min: 0, max: 127 },
+            { key: 'lastNote', min: 0, max: 127 },
+            { key: 'middleNote', min: 0, max: 127 },
+            { key: 'referenceNote', min: 0, max: 127 },
+            { key: 'referenceFrequency', float: true },
+            { key: 'octaveDegree', min: 0, max: 1024 }
+        ];
+        const result = { mapping: [], errors: [] };
+
+        if (lines.length < fields.length) {
+            result.errors.push({ line: lines.length ? lines[lines.length - 1].line : 1, message: `Expected ${fields.length} header values, found ${lines.length}` });
+            return result;
+        }
+
+        fields.forEach((field, i) => {
+            const { line, text: raw } = lines[i];
+            const token = raw.trim().split(/\s+/)[0];
+            const value = field.float ? parseFloat(token) : parseInt(token, 10);
+            const valid = field.float
+                ? value > 0 && /^\d*\.?\d*$/.test(token)
+                : /^\d+$/.test(token) && value >= field.min && value <= field.max;
+
+            if (valid) {
+                result[field.key] = value;
+            } else {
+                result.errors.push({ line, message: `Invalid ${field.key} "${token}"` });
+            }
+        });
+
+        if (result.errors.length) return result;
+
+        if (result.firstNote > result.lastNote) {
+            result.errors.push({ line: lines[1].line, message: 'First note is above last note' });
+        }
+
+        lines.slice(fields.length, fields.length + result.size).forEach(({ line, text: raw }) => {
+            const token = raw.trim().split(/\s+/)[0];
+            if (token.toLowerCase() === 'x') {
+                result.mapping.push(null);
+            } else if (/^\d+$/.test(token)) {
+                result.mapping.push(parseInt(token, 10));
+            } else {
+                result.errors.push({ line, message: `Invalid mapping entry "${token}" (use a degree or x)` });
+            }
+        });
+
+        // Entries missing at the end of the file are unmapped
+        while (result.mapping.length < result.size) result.mapping.push(null);
+
+        return result;
+    }
+
+    /**
+     * Split Scala file text into non-comment lines, keeping line numbers
+     */
+    getScalaLines(text) {
+        return String(text)
+            .split(/\r?\n/)
+            .map((line, i) => ({ line: i + 1, text: line }))
+            .filter(({ text: line }) => !line.startsWith('!'));
+    }
+
+    /**
+     * Serialize a scale to Scala .scl text
+     * @param {object} scale - { description, pitches: [{ cents, ratio }] }
+     * @param {string} filename - Shown in the header comment
+     * @returns {string} File contents
+     */
+    formatScalaScale(scale, filename = 'tuning.scl') {
+        const lines = [
+            `! ${filename}`,
+            '!',
+            scale.description || '',
+            ` ${scale.pitches.length}`,
+            '!'
+        ];
+
+        scale.pitches.forEach(pitch => {
+            lines.push(` ${pitch.ratio || pitch.cents.toFixed(6)}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Serialize a keyboard mapping to Scala .kbm text
+     * @param {object} mapping - Fields as returned by parseScalaKeyboardMapping
+     * @returns {string} File contents
+     */
+    formatScalaKeyboardMapping(mapping) {
+        const lines = [
+            '! Keyboard mapping',
+            '! Size of map:', String(mapping.size),
+            '! First MIDI note number to retune:', String(mapping.firstNote),
+            '! Last MIDI note number to retune:', String(mapping.lastNote),
+            '! Middle note where the first entry of the mapping is mapped to:', String(mapping.middleNote),
+            '! Reference note for which frequency is given:', String(mapping.referenceNote),
+            '! Frequency to tune the above note to:', mapping.referenceFrequency.toFixed(6),
+            '! Scale degree to consider as formal octave:', String(mapping.octaveDegree),
+            '! Mapping.'
+        ];
+
+        mapping.mapping.forEach(degree => lines.push(degree === null ? 'x' : String(degree)));
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Use a parsed Scala scale (and optional keyboard mapping) as the tuning
+     * @param {object} scale - Result of parseScalaScale
+     * @param {object} mapping - Result of parseScalaKeyboardMapping (optional)
+     * @returns {object} The active tuning, or null if either file had errors
+     */
+    loadScalaTuning(scale, mapping = null) {
+        if (!scale || scale.errors.length || !scale.pitches.length) return null;
+        if (mapping && mapping.errors.length) return null;
+
+        this.scala = { scale, mapping };
+        return this.setTuning({ system: 'scala' });
+    }
+
+    /**
+     * Keyboard mapping in use: the loaded .kbm, or a linear one with degree 0
+     * on the tonic (tonic keeps its 12-TET pitch, like the built-in tunings)
+     */
+    getScalaKeyboardMapping() {
+        if (this.scala?.mapping) return this.scala.mapping;
+
+        const middleNote = 60 + this.noteToIndex(this.tuning.tonic);
+        return {
+            size: 0,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote,
+            referenceNote: middleNote,
+            referenceFrequency: this.tuning.referenceFrequency * Math.pow(2, (middleNote - A4_MIDI_NUMBER) / 12),
+            octaveDegree: this.scala ? this.scala.scale.pitches.length : 12,
+            mapping: [],
+            errors: []
+        };
+    }
+
+    /**
+     * Scale degree a MIDI key plays in the loaded Scala tuning
+     * @param {number} midiNote - MIDI note number
+     * @param {boolean} ignoreRange - Skip the first/last note check
+     * @returns {number} Degree (may be negative or beyond one period), or null if unmapped
+     */
+    getScalaDegree(midiNote, ignoreRange = false) {
+        if (!this.scala) return null;
+        const kbm = this.getScalaKeyboardMapping();
+
+        if (!ignoreRange && (midiNote < kbm.firstNote || midiNote > kbm.lastNote)) return null;
+
+        const offset = midiNote - kbm.middleNote;
+        if (kbm.size === 0) return offset;
+
+        const patterns = Math.floor(offset / kbm.size);
+        const degree = kbm.mapping[offset - patterns * kbm.size];
+        return degree === null ? null : degree + patterns * kbm.octaveDegree;
+    }
+
+    /**
+     * Cents above degree 0 for any (possibly multi-period) Scala degree
+     */
+    getScalaDegreeCents(degree) {
+        const { pitches } = this.scala.scale;
+        const count = pitches.length;
+        const period = pitches[count - 1].cents;
+        const periods = Math.floor(degree / count);
+        const step = degree - periods * count;
+
+        return periods * period + (step === 0 ? 0 : pitches[step - 1].cents);
+    }
+
+    /**
+     * MATH: f = refFreq * 2^((cents(key) - cents(referenceNote)) / 1200)
+     */
+    scalaMidiToFrequency(midiNote) {
+        const degree = this.getScalaDegree(midiNote);
+        if (degree === null) return null;
+
+        const kbm = this.getScalaKeyboardMapping();
+        const referenceDegree = this.getScalaDegree(kbm.referenceNote, true) ?? kbm.referenceNote - kbm.middleNote;
+        const cents = this.getScalaDegreeCents(degree) - this.getScalaDegreeCents(referenceDegree);
+
+        return kbm.referenceFrequency * Math.pow(2, cents / 1200);
+    }
+
+    /**
+     * Export the current tuning as Scala files
+     * Built-in tunings export the 12 pitches the keyboard plays (ratios for just intonation)
+     * @returns {object} { scl, kbm, filename }
+     */
+    exportScalaTuning() {
+        const { system, tonic, edo } = this.tuning;
+        let scale;
+
+        if (system === 'scala') {
+            scale = this.scala.scale;
+        } else {
+            const data = TUNING_SYSTEMS[system];
+            const label = system === 'edo' ? `${edo}-EDO (12-note subset)` : data.name;
+            const pitches = this.tuningCents.slice(1).map((cents, i) => ({
+                cents,
+                ratio: data.ratios ? data.ratios[i + 1].join('/') : null
+            }));
+            pitches.push({ cents: 1200, ratio: '2/1' });
+            scale = { description: `${label} on ${data.anchor || tonic}`, pitches };
+        }
+
+        const filename = `${system === 'scala' ? 'imported' : system}.scl`;
+        const kbm = system === 'scala' ? this.getScalaKeyboardMapping() : this.getBuiltInKeyboardMapping();
+
+        return {
+            filename,
+            scl: this.formatScalaScale(scale, filename),
+            kbm: this.formatScalaKeyboardMapping(kbm)
+        };
+    }
+
+    /**
+     * 12-key mapping that reproduces the built-in tuning's anchor and reference
+     */
+    getBuiltInKeyboardMapping() {
+        const anchor = TUNING_SYSTEMS[this.tuning.system].anchor || this.tuning.tonic;
+        const middleNote = 60 + this.noteToIndex(anchor);
+
+        return {
+            size: 12,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote,
+            referenceNote: middleNote,
+            referenceFrequency: this.midiToFrequency(middleNote),
+            octaveDegree: 12,
+            mapping: Array.from({ length: 12 }, (_, i) => i)
+        };
+    }
+
+    /**
+     * Get all available tuning systems
+     * @returns {array} Array of { key, name, description }
+     */
+    getAvailableTunings() {
+        return Object.entries(TUNING_SYSTEMS).map(([key, data]) => ({
+            key,
+            name: data.name,
+            description: data.description
+        }));
+    }
+
+    // =========================================================================
+    // SCALE OPERATIONS
+    // =========================================================================
+
+    /**
+     * Get all notes in a scale
+     * @param {string} root - Root note (e.g., 'A')
+     * @param {string} scaleType - Scale type from SCALES
+     * @returns {object} { notes, intervals, description }
+     */
+    getScaleNotes(root, scaleType = 'major') {
+        const scale = SCALES[scaleType];
+        if (!scale) return null;
+
+        const rootIndex = this.noteToIndex(root);
+        if (rootIndex === -1) return null;
+
+        let notes;
+        if (scale.intervals.length === 12) {
+            // Chromatic: follow the major key signature on this root
+            const spelling = this.getKeySpelling(root, 'major');
+            notes = scale.intervals.map(interval => spelling[(rootIndex + interval) % 12]);
+        } else {
+            const steps = scale.degrees
+                ? this.degreesToSteps(scale.degrees)
+                : scale.intervals.length === 7
+                    ? scale.intervals.map((_, i) => i)
+                    : this.intervalsToSteps(scale.intervals);
+            notes = this.spellIntervals(root, scale.intervals, steps);
+        }
+
+        return {
+            root,
+            type: scaleType,
+            name: `${root} ${scale.name}`,
+            notes,
+            intervals: scale.intervals,
+            description: scale.description,
+            // Include which keys are "in" this scale (for keyboard overlay)
+            noteIndices: scale.intervals.map(i => (rootIndex + i) % 12)
+        };
+    }
+
+    // =========================================================================
+    // WORLD & MICROTONAL SCALES
+    // =========================================================================
+
+    /**
+     * A scale from WORLD_SCALES on a root, with its pitches in cents
+     * 
+     * Maqam degrees are spelled from the root with quarter-tone accidentals
+     * (E𝄳 = E half-flat, F𝄲 = F half-sharp); other traditions use their own labels.
+     * 
+     * @param {string} scaleKey - Key from WORLD_SCALES
+     * @param {string} root - Root note
+     * @returns {object} { key, root, name, tradition, description, period (cents),
+     *   degrees: [{ cents, label }] (every pitch used, within one period),
+     *   ascending, descending: [{ cents, label }] in playing order, root to root } or null
+     */
+    getWorldScale(scaleKey, root) {
+        const scale = WORLD_SCALES[scaleKey];
+        if (!scale || this.noteToIndex(root) === -1) return null;
+
+        const period = scale.period ? this.parseScalaPitch(scale.period).cents : 1200;
+        let ascending;
+        let descending;
+
+        if (scale.aroha) {
+            ascending = this.parseSwaras(scale.aroha);
+            descending = scale.avaroha ? this.parseSwaras(scale.avaroha) : [...ascending].reverse();
+        } else {
+            const up = scale.ratios ? scale.ratios.map(r => this.parseScalaPitch(r).cents) : scale.cents;
+            const down = scale.descending || up;
+            const label = (cents, i) => (scale.labels ? scale.labels[i] : this.spellMicrotone(root, cents, i));
+            ascending = [...up.map((cents, i) => ({ cents, label: label(cents, i) })), { cents: period, label: label(0, 0) }];
+            descending = [{ cents: period, label: label(0, 0) }, ...down.map((cents, i) => ({ cents, label: label(cents, i) })).reverse()];
+        }
+
+        // Pitch set: every pitch heard either way, folded into one period
+        const degrees = [];
+        [...ascending, ...descending].forEach(p => {
+            const cents = ((p.cents % period) + period) % period;
+            if (!degrees.some(d => Math.abs(d.cents - cents) < 0.5)) {
+                degrees.push({ cents, label: p.label.replace(/['.]+$/, '') });
+            }
+        });
+        degrees.sort((a, b) => a.cents - b.cents);
+
+        return {
+            key: scaleKey,
+            root,
+            name: `${root} ${scale.name}`,
+            tradition: scale.tradition,
+            description: scale.description,
+            period,
+            degrees,
+            ascending,
+            descending
+        };
+    }
+
+    /**
+     * Hindustani swaras -> [{ cents, label }], e.g. "N. R G M D N S'"
+     * @returns {array} Pitches in order (mandra saptak negative, tar saptak above 1200)
+     */
+    parseSwaras(text) {
+        return String(text).trim().split(/\s+/).map(token => {
+            const match = token.match(/^([SrRgGmMPdDnN])(['.]*)$/);
+            if (!match) return null;
+            const octave = (match[2].match(/'/g) || []).length - (match[2].match(/\./g) || []).length;
+            return { cents: this.parseScalaPitch(SWARA_RATIOS[match[1]]).cents + 1200 * octave, label: token };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Spell a pitch `cents` above the root on the letter `step` letters higher
+     * Quarter tones get half-flat (𝄳) or half-sharp (𝄲) signs; anything else
+     * that isn't on a 50-cent step shows its offset: 'E+14¢'.
+     */
+    spellMicrotone(root, cents, step) {
+        const parsed = this.parseNote(root);
+        if (!parsed) return '';
+        const letterIndex = (parsed.letterIndex + step) % 7;
+        const letter = LETTER_NAMES[letterIndex];
+        const natural = ((LETTER_INDICES[letterIndex] - parsed.index + 12) % 12) * 100;
+        let offset = ((cents % 1200) + 1200) % 1200 - natural;
+        if (offset > 600) offset -= 1200;
+        if (offset < -600) offset += 1200;
+
+        const signs = { '-200': 'bb', '-150': 'b𝄳', '-100': 'b', '-50': '𝄳', 0: '', 50: '𝄲', 100: '#', 150: '#𝄲', 200: '##' };
+        const quarter = Math.round(offset / 50) * 50;
+        const name = letter + (signs[quarter] !== undefined ? signs[quarter] : '');
+        const rest = Math.round(offset - quarter);
+        return rest ? `${name}${rest > 0 ? '+' : ''}${rest}¢` : name;
+    }
+
+    /**
+     * Put a world scale on the piano keys
+     * Each pitch goes to its nearest key (the next free key if that one is
+     * taken), so playing the key sounds the real pitch.
+     * 
+     * @param {object} scale - From getWorldScale
+     * @param {number} rootMidi - MIDI note of the root
+     * @param {number} low - Lowest MIDI note
+     * @param {number} high - Highest MIDI note
+     * @returns {array} [{ midi, degree, label, cents (from the root), offset (cents from the key), frequency }]
+     */
+    mapWorldScaleToKeys(scale, rootMidi, low, high) {
+        const rootFrequency = this.midiToFrequency(rootMidi);
+        const mapped = [];
+        const taken = new Set();
+
+        const firstPeriod = Math.floor(((low - rootMidi) * 100) / scale.period) - 1;
+        const lastPeriod = Math.ceil(((high - rootMidi) * 100) / scale.period) + 1;
+        for (let k = firstPeriod; k <= lastPeriod; k++) {
+            scale.degrees.forEach((degree, i) => {
+                const cents = degree.cents + k * scale.period;
+                const exact = rootMidi + cents / 100;
+                let midi = Math.round(exact);
+                if (taken.has(midi)) midi += exact > midi ? 1 : -1;
+                if (midi < low || midi > high || taken.has(midi)) return;
+
+                taken.add(midi);
+                mapped.push({
+                    midi,
+                    degree: i,
+                    label: degree.label,
+                    cents,
+                    offset: Math.round((exact - midi) * 100),
+                    frequency: rootFrequency * Math.pow(2, cents / 1200)
+                });
+            });
+        }
+        return mapped.sort((a, b) => a.midi - b.midi);
+    }
+
+    /**
+     * Check if a note is in a scale
+     * @param {string} note - Note to check
+     * @param {string} root - Scale root
+     * @param {string} scaleType - Scale type
+     * @returns {boolean}
+     */
+    isNoteInScale(note, root, scaleType) {
+        const scale = this.getScaleNotes(root, scaleType);
+        return scale?.noteIndices.includes(this.noteToIndex(note)) || false;
+    }
+
+    /**
+     * Get all available scale types
+     * @returns {array} Array of { key, name, description }
+     */
+    getAvailableScales() {
+        return Object.entries(SCALES).map(([key, data]) => ({
+            key,
+            name: data.name,
+            description: data.description
+        }));
+    }
+
+    // =========================================================================
+    // CHORD OPERATIONS  
+    // =========================================================================
+
+    /**
+     * Build a chord from root and type
+     * 
+     * VOICING: tones are stacked from `octave` upward. An inversion puts
+     * another chord tone in the bass (C/E = 1st inversion), a bass note
+     * outside the chord is added underneath (C/D).
+     * 
+     * @param {string} root - Chord root note
+     * @param {string} chordType - Chord type from CHORD_TYPES
+     * @param {object} options - { inversion = 0, bass, octave = 4, voicing = 'close' }
+     * @returns {object} Chord data with notes, frequencies, formula, bass, inversion and voicing
+     */
+    buildChord(root, chordType = 'major', options = {}) {
+        const chord = CHORD_TYPES[chordType];
+        if (!chord) return null;
+
+        const rootIndex = this.noteToIndex(root);
+        if (rootIndex === -1) return null;
+
+        // Letters come from the formula: R-m3-d5-d7 -> root, 3rd, 5th, 7th (C Eb Gb Bbb)
+        const degrees = chord.formula.split('-').map(d => (d === 'R' ? '1' : d));
+        const steps = degrees.length === chord.intervals.length
+            ? this.degreesToSteps(degrees)
+            : this.intervalsToSteps(chord.intervals);
+        const notes = this.spellIntervals(root, chord.intervals, steps);
+
+        return this.voiceChord({
+            root,
+            type: chordType,
+            name: `${root}${chord.symbol}`,
+            fullName: `${root} ${chord.name}`,
+            notes,
+            intervals: chord.intervals,
+            formula: chord.formula,
+            quality: chord.quality
+        }, options);
+    }
+
+    /**
+     * Lay out a chord's tones as concrete pitches and label the inversion
+     * 
+     * @param {object} chord - { root, notes, intervals, name, fullName } (tones in stacking order)
+     * @param {object} options - { inversion = 0, bass, octave = 4, voicing = 'close' }
+     * @returns {object} chord plus { bass, inversion, inversionName, label, voicingType, voicing, frequencies }
+     */
+    voiceChord(chord, options = {}) {
+        const { octave = 4, voicing = 'close' } = options;
+        const rootIndex = this.noteToIndex(chord.root);
+        const count = chord.notes.length;
+
+        // A bass that is a chord tone is just an inversion
+        let inversion = ((options.inversion || 0) % count + count) % count;
+        let extraBass = null;
+        if (options.bass) {
+            const bassIndex = this.noteToIndex(options.bass);
+            const tone = chord.notes.findIndex(n => this.noteToIndex(n) === bassIndex);
+            if (tone !== -1) {
+                inversion = tone;
+            } else if (bassIndex !== -1) {
+                extraBass = options.bass;
+            }
+        }
+
+        // Close position: bass tone first, each following tone the next pitch above
+        const order = [...chord.notes.keys()].slice(inversion).concat([...chord.notes.keys()].slice(0, inversion));
+        const bassMidi = (octave + 1) * 12 + (rootIndex + chord.intervals[order[0]]) % 12;
+        const midis = [];
+        order.forEach((toneIndex, i) => {
+            if (inversion === 0) {
+                // Root position keeps extensions above the octave (C9 = C E G Bb D)
+                midis.push(bassMidi + chord.intervals[toneIndex]);
+                return;
+            }
+            const pitch = (rootIndex + chord.intervals[toneIndex]) % 12;
+            const prev = i === 0 ? bassMidi - 12 : midis[i - 1];
+            midis.push(prev + ((((pitch - prev) % 12) + 12) % 12 || 12));
+        });
+
+        let tones = order.map((toneIndex, i) => ({ note: chord.notes[toneIndex], midi: midis[i] }));
+        const voicingData = CHORD_VOICINGS[voicing] ? voicing : 'close';
+
+        if (voicingData === 'open' && tones.length >= 3) {
+            tones = tones.map((t, i) => (i % 2 === 1 ? { ...t, midi: t.midi + 12 } : t));
+        } else if (CHORD_VOICINGS[voicingData].drop && tones.length > CHORD_VOICINGS[voicingData].drop) {
+            const dropIndex = tones.length - CHORD_VOICINGS[voicingData].drop;
+            tones[dropIndex] = { ...tones[dropIndex], midi: tones[dropIndex].midi - 12 };
+        } else if (voicingData === 'spread' && tones.length >= 3) {
+            tones[0] = { ...tones[0], midi: tones[0].midi - 12 };
+        }
+
+        if (extraBass) {
+            const pitch = this.noteToIndex(extraBass);
+            const lowest = Math.min(...tones.map(t => t.midi));
+            tones.push({ note: extraBass, midi: lowest - ((((lowest - pitch) % 12) + 12) % 12 || 12) });
+        }
+
+        tones.sort((a, b) => a.midi - b.midi);
+
+        const voiced = tones.map(t => ({
+            note: t.note,
+            octave: this.getNoteOctave(t.note, t.midi),
+            midi: t.midi,
+            frequency: this.midiToFrequency(t.midi)
+        }));
+
+        // Inversion is whatever chord tone ended up lowest (drop voicings can change it)
+        const bass = voiced[0].note;
+        const bassTone = chord.notes.findIndex(n => this.noteToIndex(n) === this.noteToIndex(bass));
+        const slashBass = this.noteToIndex(bass) !== rootIndex ? bass : null;
+        // Only a trailing note is a slash bass: the '/9' in C6/9 is part of the symbol
+        const symbol = chord.name.replace(/\/[A-G](?:##|bb|#|b)?$/, '');
+        const name = slashBass ? `${symbol}/${slashBass}` : symbol;
+        const inversionName = bassTone === -1
+            ? `over ${bass}`
+            : INVERSION_NAMES[bassTone] || `${bassTone}th inversion`;
+
+        return {
+            ...chord,
+            name,
+            bass,
+            inversion: bassTone === -1 ? null : bassTone, // null = bass outside the chord
+            inversionName,
+            label: slashBass ? `${name} (${inversionName})` : name,
+            voicingType: voicingData,
+            voicing: voiced,
+            frequencies: voiced.map(({ note, octave: o, frequency }) => ({ note, octave: o, frequency }))
+        };
+    }
+
+    /**
+     * Octave number of a spelled note at a MIDI pitch (B#3 and C4 are both MIDI 60)
+     * @param {string} note - Spelled note name
+     * @param {number} midi - MIDI note number
+     * @returns {number}
+     */
+    getNoteOctave(note, midi) {
+        const parsed = this.parseNote(note);
+        return Math.floor((midi - (parsed ? parsed.accidental : 0)) / 12) - 1;
+    }
+
+    /**
+     * Build a chord from degree labels ('1', 'b3', '5', 'b7', '9')
+     * Used for chords outside CHORD_TYPES (extended, altered, quartal)
+     * 
+     * @param {string} root - Chord root note
+     * @param {array} degrees - Degree labels; unknown labels are ignored
+     * @param {object} options - voiceChord options ({ inversion, bass, octave, voicing })
+     * @returns {object} Same shape as buildChord (type = CHORD_TYPES key or 'custom')
+     */
+    buildChordFromDegrees(root, degrees, options = {}) {
+        if (this.noteToIndex(root) === -1) return null;
+
+        const tones = [...new Set(degrees)]
+            .map(degree => ({ degree, semitones: this.degreeToSemitones(degree) }))
+            .filter(t => t.semitones !== null)
+            .sort((a, b) => a.semitones - b.semitones);
+        const labels = tones.map(t => t.degree);
+        const intervals = tones.map(t => t.semitones);
+
+        const typeEntry = Object.entries(CHORD_TYPES).find(([_, data]) =>
+            data.intervals.length === intervals.length && data.intervals.every((v, i) => v === intervals[i])
+        );
+        const [type, typeData] = typeEntry || ['custom', null];
+        const bass = options.bass || null;
+
+        const chord = {
+            root,
+            type,
+            notes: this.spellIntervals(root, intervals, this.degreesToSteps(labels)),
+            intervals,
+            degrees: labels,
+            formula: labels.map(d => (CHORD_DEGREES[d] ? CHORD_DEGREES[d].abbrev : d)).join('-'),
+            quality: typeData ? typeData.quality : 'extended',
+            bass
+        };
+
+        chord.name = this.formatChordSymbol(chord);
+        chord.fullName = typeData ? `${root} ${typeData.name}${bass ? ` over ${bass}` : ''}` : chord.name;
+
+        return this.voiceChord(chord, options);
+    }
+
+    /**
+     * Semitones above the root for a degree label ('b3' = 3, '#11' = 18, 'bb7' = 9)
+     * @returns {number} or null if the label isn't a degree
+     */
+    degreeToSemitones(degree) {
+        const match = String(degree).match(/^(bb|b|##|#)?(\d+)$/);
+        if (!match || match[2] === '0') return null;
+        const generic = parseInt(match[2], 10) - 1;
+        const accidental = { bb: -2, b: -1, '#': 1, '##': 2 }[match[1]] || 0;
+        return LETTER_INDICES[generic % 7] + 12 * Math.floor(generic / 7) + accidental;
+    }
+
+    /**
+     * Degree label for an interval on a given letter step (4 semitones, step 2 = '3')
+     * @param {number} semitones - Interval above the root
+     * @param {number} step - Letter steps above the root (0 = same letter, 2 = a third)
+     * @returns {string} e.g. 'b3', '#11', or null if it needs a triple accidental
+     */
+    intervalToDegree(semitones, step) {
+        const natural = LETTER_INDICES[step % 7] + 12 * Math.floor(step / 7);
+        const accidental = ACCIDENTALS[semitones - natural];
+        return accidental === undefined ? null : `${accidental}${step + 1}`;
+    }
+
+    /**
+     * Get diatonic chords for a key
+     * 
+     * Chords are built by stacking every other scale note on each degree:
+     * thirds in 7-note scales (C-E-G-B-D-F-A), 4ths/sus colours in pentatonics,
+     * augmented triads in whole tone, diminished 7ths in the octatonic scale.
+     * Pentatonic and blues tonics are the exception: they take the scale's own
+     * 3rd, 5th and 7th (see getTonicChordDegrees), so major blues is C, not Cm.
+     * Non-heptatonic scales also list every CHORD_TYPES chord that fits
+     * (`available`). Chromatic returns null: every chord fits.
+     * 
+     * @param {string} root - Key root
+     * @param {string} scaleType - Scale type
+     * @param {boolean|number} size - 3 = triads, 4 = sevenths (true), 5/6/7 = 9th/11th/13th chords
+     * @returns {array} Array of chord objects for each scale degree
+     */
+    getDiatonicChords(root, scaleType = 'major', size = 3) {
+        const scale = this.getScaleNotes(root, scaleType);
+        if (!scale || scale.intervals.length === 12) return null;
+
+        const count = size === true ? 4 : Math.min(Math.max(Number(size) || 3, 3), 7);
+        const n = scale.intervals.length;
+        const isHeptatonic = n === 7;
+        const letters = scale.notes.map(note => this.parseNote(note).letterIndex);
+        const labels = SCALES[scaleType].degrees || [];
+        const tertianTonic = !isHeptatonic && labels.includes('5') && (labels.includes('3') || labels.includes('b3'));
+
+        return scale.notes.map((note, i) => {
+            const tonic = i === 0 && tertianTonic;
+            const degrees = tonic ? this.getTonicChordDegrees(labels, count) : [];
+            const used = new Set();
+            for (let k = 0; k < count && !tonic; k++) {
+                const index = i + k * 2;
+                if (used.has(index % n)) break; // 6- and 8-note scales cycle back after half their notes
+                used.add(index % n);
+
+                const octaves = Math.floor(index / n);
+                const interval = scale.intervals[index % n] + 12 * octaves - scale.intervals[i];
+                const step = ((letters[index % n] - letters[i] + 7) % 7) + 7 * Math.floor(interval / 12);
+                const degree = this.intervalToDegree(interval, step);
+                if (degree) degrees.push(degree);
+            }
+
+            const chord = this.buildChordFromDegrees(note, degrees);
+
+            // 7-note scales count degrees in order; others use the scale's own degree labels (b3, #4)
+            const label = isHeptatonic ? String(i + 1) : labels[i] || String(i + 1);
+            const [, accidental, generic] = label.match(/^([b#]*)(\d+)$/);
+            // 7-note scales mark roots against the major scale: minor's bIII, Phrygian's bII, Lydian's #iv°
+            const shift = isHeptatonic ? ACCIDENTALS[scale.intervals[i] - LETTER_INDICES[i]] : '';
+
+            const item = {
+                degree: i + 1,
+                numeral: this.getRomanNumeral(parseInt(generic, 10), chord, isHeptatonic ? shift || '' : accidental),
+                root: note,
+                chord,
+                chordType: chord.type
+            };
+
+            if (!isHeptatonic) {
+                const rootIndex = scale.noteIndices[i];
+                item.available = Object.entries(CHORD_TYPES)
+                    .filter(([_, data]) => data.intervals.every(iv => scale.noteIndices.includes((rootIndex + iv) % 12)))
+                    .map(([type]) => this.buildChord(note, type).name);
+            }
+
+            return item;
+        });
+    }
+
+    /**
+     * Tonic chord of a pentatonic or blues scale from its degree labels:
+     * 3rd, 5th, 7th (the 6th when there's none), then 9th, 11th and 13th.
+     * Where a blue note shares a number with a natural one the natural wins
+     * (3 over b3, 5 over b5), so the blues' own tonic is Cm7 and major blues' is C6.
+     * 
+     * @param {array} labels - Scale degree labels ('1', 'b3', ...)
+     * @param {number} count - Chord tones wanted (3-7)
+     * @returns {array} Degree labels for buildChordFromDegrees, e.g. ['1', '3', '5', '6']
+     */
+    getTonicChordDegrees(labels, count) {
+        const pick = generic => {
+            const matches = labels.filter(l => l.replace(/^[b#]+/, '') === String(generic));
+            return matches.includes(String(generic)) ? String(generic) : matches[0];
+        };
+        const up = label => label && label.replace(/\d+$/, d => String(Number(d) + 7));
+        const seventh = pick(7) || pick(6);
+        const extensions = [up(pick(2)), up(pick(4)), seventh === pick(6) ? null : up(pick(6))];
+        return ['1', pick(3), pick(5), seventh, ...extensions].filter(Boolean).slice(0, count);
+    }
+
+    /**
+     * Roman numeral for a chord on a scale degree
+     * @param {number} degree - 1-7
+     * @param {object} chord - { type, intervals }
+     * @param {string} accidental - Prefix for chromatic roots ('b' in bVI)
+     * @returns {string} e.g. 'V7', 'viiø7', 'III+', 'bVImaj7'
+     */
+    getRomanNumeral(degree, chord, accidental = '') {
+        const base = ROMAN_NUMERALS[(degree - 1) % 7];
+        const inOctave = chord.intervals.filter(i => i < 12);
+        const isMinor = inOctave.includes(3) && !inOctave.includes(4);
+        const numeral = isMinor ? base.toLowerCase() : base;
+
+        let figure = NUMERAL_FIGURES[chord.type];
+        if (figure === undefined) {
+            // Custom chords: the symbol's suffix, minus the 'm' the lowercase numeral already shows
+            figure = this.getChordSuffix(chord.intervals)
+                .replace(/^m(?!aj)/, '')
+                .replace(/^7b5/, 'ø7')
+                .replace(/^dim/, '°')
+                .replace(/^aug/, '+')
+                .replace('Maj', 'maj');
+        }
+
+        return `${accidental}${numeral}${figure}`;
+    }
+
+    /**
+     * Identify a chord from a set of notes, including its inversion
+     * 
+     * The lowest note is the bass: by frequency, MIDI number or octave when
+     * given, otherwise the first note in the list. E-G-C is C/E (first inversion).
+     * 
+     * @param {array} notes - Note names, or { note, freq | midi | octave } objects
+     * @returns {object} buildChord result plus { confidence }, or null
+     */
+    identifyChord(notes) {
+        // Normalize input and sort low to high (names alone keep their order)
+        const played = notes.map((n, i) => {
+            const note = typeof n === 'string' ? n : n.note;
+            const index = this.noteToIndex(note);
+            let pitch = i;
+            if (typeof n === 'object' && n !== null) {
+                if (n.freq) pitch = Math.log2(n.freq) * 12;
+                else if (Number.isFinite(n.midi)) pitch = n.midi;
+                else if (Number.isFinite(n.octave)) pitch = (n.octave + 1) * 12 + index;
+            }
+            return { note, index, pitch, source: n };
+        }).filter(n => n.index !== -1).sort((a, b) => a.pitch - b.pitch);
+
+        // Keep the first spelling given for each pitch class
+        const uniqueNotes = played.filter((n, i) => played.findIndex(m => m.index === n.index) === i).map(n => n.note);
+
+        if (uniqueNotes.length < 2) return null;
+
+        // Exact matches only; root position ranks above an inversion (C6 vs Am7/C)
+        const indices = uniqueNotes.map(n => this.noteToIndex(n));
+        const exact = this.rankChordCandidates(indices, indices[0])
+            .find(c => c.missing.length === 0 && c.extra.length === 0);
+
+        if (exact) {
+            const root = uniqueNotes[indices.indexOf(exact.rootIndex)];
+            const chord = this.buildChord(root, exact.type, { bass: uniqueNotes[0] });
+            return {
+                ...chord,
+                voicing: this.getPlayedVoicing(played, chord) || chord.voicing,
+                confidence: 1.0
+            };
+        }
+
+        // No exact match found
+        return {
+            notes: uniqueNotes,
+            bass: uniqueNotes[0],
+            name: 'Unknown',
+            label: 'Unknown',
+            confidence: 0
+        };
+    }
+
+    /**
+     * Voicing of the notes actually played, spelled like the identified chord
+     * @param {array} played - Sorted { note, index, source } from identifyChord
+     * @param {object} chord - Identified chord
+     * @returns {array} [{ note, octave, midi, frequency }] or null when no octaves were given
+     */
+    getPlayedVoicing(played, chord) {
+        const hasPitch = played.every(p => typeof p.source === 'object' && p.source !== null &&
+            (p.source.freq || Number.isFinite(p.source.midi) || Number.isFinite(p.source.octave)));
+        if (!hasPitch) return null;
+
+        return played.map(({ index, source }) => {
+            const note = chord.notes.find(n => this.noteToIndex(n) === index) || source.note;
+            const midi = Number.isFinite(source.midi) ? source.midi
+                : Number.isFinite(source.octave) ? (source.octave + 1) * 12 + index
+                    : Math.round(12 * Math.log2(source.freq / this.tuning.referenceFrequency) + A4_MIDI_NUMBER);
+            return {
+                note,
+                octave: this.getNoteOctave(note, midi),
+                midi,
+                frequency: source.freq || this.midiToFrequency(midi)
+            };
+        });
+    }
+
+    /**
+     * Score every root/chord-type reading of a set of pitch classes
+     * 
+     * SCORE = matched / (chord size + extra tones). A missing 5th only costs
+     * half a tone (C-E-Bb is still C7), and the bass as root breaks ties.
+     * 
+     * @param {array} pitchClasses - Unique semitone indices (0-11)
+     * @param {number} bassIndex - Pitch class of the lowest note
+     * @returns {array} [{ rootIndex, type, score, missing, extra }] best first
+     */
+    rankChordCandidates(pitchClasses, bassIndex) {
+        const present = new Set(pitchClasses);
+        const candidates = [];
+
+        for (const rootIndex of present) {
+            const played = [...present].map(pc => (pc - rootIndex + 12) % 12);
+
+            // Extensions fold into the octave: 9th = 2nd
+            for (const [type, data] of Object.entries(CHORD_TYPES)) {
+                const template = [...new Set(data.intervals.map(i => i % 12))];
+                const missing = template.filter(i => !played.includes(i));
+                const extra = played.filter(i => !template.includes(i));
+                const missingWeight = missing.reduce((sum, i) => sum + (i === 7 ? 0.5 : 1), 0);
+                const matched = template.length - missing.length;
+                if (matched < 2 || missing.includes(0)) continue;
+
+                candidates.push({
+                    rootIndex,
+                    type,
+                    score: (template.length - missingWeight) / (template.length + extra.length),
+                    missing,
+                    extra,
+                    isRootPosition: rootIndex === bassIndex
+                });
+            }
+        }
+
+        return candidates.sort((a, b) =>
+            (b.score - a.score) ||
+            (b.isRootPosition - a.isRootPosition) ||
+            (CHORD_TYPES[a.type].intervals.length - CHORD_TYPES[b.type].intervals.length)
+        );
+    }
+
+    // =========================================================================
+    // CHORD RECOGNITION (Frequencies)
+    // =========================================================================
+
+    /**
+     * Snap a frequency to the nearest of the 12 pitches in the current tuning
+     * 
+     * A just major third (386 cents) is "E" in just intonation with 0 cents
+     * error, and "E" in 12-TET with -14 cents error.
+     * 
+     * @param {number} freq - Frequency in Hz
+     * @returns {object} { index, midi, cents } (cents = distance from the tuned pitch)
+     */
+    getNearestPitch(freq) {
+        const { system, tonic, referenceFrequency } = this.tuning;
+        const grid = system !== 'scala' && this.tuningCents.length === 12
+            ? this.tuningCents
+            : Array.from({ length: 12 }, (_, i) => i * 100);
+        const anchorIndex = this.noteToIndex(TUNING_SYSTEMS[system].anchor || tonic);
+
+        // Cents above the anchor pitch class in MIDI octave 0
+        const cents = 1200 * Math.log2(freq / referenceFrequency) + (A4_MIDI_NUMBER - anchorIndex) * 100;
+        const octave = Math.floor(cents / 1200);
+        const within = cents - octave * 1200;
+
+        let best = { degree: 0, octave, cents: Infinity };
+        grid.forEach((degreeCents, degree) => {
+            // Compare with the same degree in the neighbouring octaves too (B vs next C)
+            [-1, 0, 1].forEach(shift => {
+                const diff = within - (degreeCents + shift * 1200);
+                if (Math.abs(diff) < Math.abs(best.cents)) {
+                    best = { degree, octave: octave + shift, cents: diff };
+                }
+            });
+        });
+
+        const midi = anchorIndex + best.octave * 12 + best.degree;
+        return { index: ((midi % 12) + 12) % 12, midi, cents: best.cents };
+    }
+
+    /**
+     * Recognize a chord from sounding frequencies
+     * 
+     * Voices are folded into pitch classes (C3 + C4 is one C), matched
+     * against CHORD_TYPES in every inversion and ranked. Voices further than
+     * `toleranceCents` from the tuning lower the confidence of every reading.
+     * `stability` is the consonance grade of the real frequencies (getConsonance).
+     * 
+     * @param {array} voices - [{ freq }] or frequencies in Hz
+     * @param {object} options - { toleranceCents = 35, maxCandidates = 3, spelling = NOTE_NAMES_COMMON,
+     *   timbre = 'sine' (oscillator type or partials) }
+     * @returns {object} { name, chord, candidates, confidence, bass, semitones, ratios, stability,
+     *   consonance, pitches } or null
+     */
+    analyzeFrequencies(voices, options = {}) {
+        const { toleranceCents = 35, maxCandidates = 3, spelling = NOTE_NAMES_COMMON, timbre = 'sine' } = options;
+
+        const freqs = voices
+            .map(v => (typeof v === 'number' ? v : v && v.freq))
+            .filter(f => Number.isFinite(f) && f > 0)
+            .sort((a, b) => a - b);
+
+        if (freqs.length < 2) return null;
+
+        const pitches = freqs.map(freq => {
+            const nearest = this.getNearestPitch(freq);
+            return {
+                freq,
+                note: spelling[nearest.index],
+                ...nearest,
+                inTune: Math.abs(nearest.cents) <= toleranceCents
+            };
+        });
+
+        // Each voice: 1 at the tuned pitch, 0.5 at the edge of the window, 0 outside it
+        const tuningFit = pitches.reduce((sum, p) =>
+            sum + (p.inTune ? 1 - Math.abs(p.cents) / (2 * Math.max(toleranceCents, 1)) : 0), 0
+        ) / pitches.length;
+
+        const bass = pitches[0];
+        const pitchClasses = [...new Set(pitches.map(p => p.index))];
+        const semitones = [...new Set(pitches.map(p => (p.midi - bass.midi) % 12))];
+        const ratios = freqs.map(f => (f / bass.freq).toFixed(2));
+
+        // Heard roughness and harmonicity of the actual frequencies and timbre
+        const consonance = this.getConsonance(freqs, { timbre });
+
+        const result = {
+            name: 'Unknown',
+            chord: null,
+            candidates: [],
+            confidence: 0,
+            bass: bass.note,
+            semitones,
+            ratios,
+            stability: consonance.label,
+            consonance,
+            pitches
+        };
+
+        // Two pitch classes (or one doubled) name an interval, not a chord
+        if (pitchClasses.length < 3) {
+            const top = pitches[pitches.length - 1];
+            const span = top.midi - bass.midi;
+            const folded = span > 0 && span % 12 === 0 ? 12 : span % 12;
+            const interval = Object.values(INTERVALS).find(i => i.semitones === folded);
+            result.name = interval ? interval.name : 'Interval';
+            result.confidence = tuningFit;
+            return result;
+        }
+
+        result.candidates = this.rankChordCandidates(pitchClasses, bass.index)
+            .filter(c => c.score >= 0.6)
+            .slice(0, maxCandidates)
+            .map(c => {
+                const chord = this.buildChord(spelling[c.rootIndex], c.type, { bass: bass.note });
+                return {
+                    ...chord,
+                    missing: c.missing.map(i => spelling[(c.rootIndex + i) % 12]),
+                    extra: c.extra.map(i => spelling[(c.rootIndex + i) % 12]),
+                    confidence: c.score * tuningFit
+                };
+            });
+
+        if (result.candidates.length) {
+            result.chord = result.candidates[0];
+            result.name = result.chord.name;
+            result.confidence = result.chord.confidence;
+        }
+
+        return result;
+    }
+
+    // =========================================================================
+    // PSYCHOACOUSTICS (Roughness & Consonance)
+    // =========================================================================
+
+    /**
+     * Consonance of sounding frequencies, 0 (harsh) to 1 (smooth)
+     * 
+     * ROUGHNESS: every partial of every voice beats against the partials of
+     * the others (Plomp-Levelt/Sethares), so timbre, register and detuning
+     * all count. It is scaled against a minor 2nd at middle C in the same timbre.
+     * HARMONICITY: how low in one harmonic series all voices fit (4:5:6 beats 10:12:15).
+     * The score mixes them by CONSONANCE_WEIGHTS (30% smoothness, 70% harmonicity).
+     * 
+     * @param {array} freqs - Frequencies in Hz
+     * @param {object} options - { timbre = 'sine' (oscillator type or [{ ratio, amplitude }]), partials = 8 }
+     * @returns {object} { score, label, roughness, harmonicity, fundamental, harmonics, pairs }
+     *   pairs: [{ voices: [i, j], roughness, harmonicity, score }] indexed low to high
+     */
+    getConsonance(freqs, options = {}) {
+        const sorted = freqs.filter(f => Number.isFinite(f) && f > 0).sort((a, b) => a - b);
+        const partials = this.getTimbrePartials(options.timbre || 'sine', options.partials || 8);
+        const reference = this.getPairRoughness(261.63, 277.18, partials);
+
+        const score = (roughness, harmonicity) =>
+            CONSONANCE_WEIGHTS.smoothness * (1 - Math.min(roughness / reference, 1)) +
+            CONSONANCE_WEIGHTS.harmonicity * harmonicity;
+
+        const pairs = [];
+        sorted.forEach((a, i) => {
+            sorted.slice(i + 1).forEach((b, k) => {
+                const roughness = this.getPairRoughness(a, b, partials);
+                const harmonicity = this.getHarmonicity([a, b]).harmonicity;
+                pairs.push({ voices: [i, i + k + 1], roughness, harmonicity, score: score(roughness, harmonicity) });
+            });
+        });
+
+        // Average pair, so a 4-note chord isn't rougher just for having more pairs
+        const roughness = pairs.length ? pairs.reduce((sum, p) => sum + p.roughness, 0) / pairs.length : 0;
+        const { harmonicity, fundamental, harmonics } = this.getHarmonicity(sorted);
+        // Each extra voice that lands in the same series reinforces its fundamental, so a
+        // fitting chord gains on its highest harmonic (4:5:6 over its own 5:4)
+        const fused = harmonicity ? Math.min(1, harmonicity + Math.log2(sorted.length - 1) / 12) : 0;
+        // Blend in the average pair, so one clashing interval still pulls a chord down
+        const pairHarmonicity = pairs.length ? pairs.reduce((sum, p) => sum + p.harmonicity, 0) / pairs.length : 1;
+        const total = sorted.length > 1 ? score(roughness, (fused + pairHarmonicity) / 2) : 1;
+        const grade = CONSONANCE_LABELS.filter(g => total >= g.min).pop();
+
+        return {
+            score: total,
+            label: grade.label,
+            roughness,
+            harmonicity,
+            fundamental,
+            harmonics,
+            pairs
+        };
+    }
+
+    /**
+     * Partials of an oscillator waveform (Web Audio's built-in shapes)
+     * @param {string|array} timbre - 'sine', 'square', 'sawtooth', 'triangle', or [{ ratio, amplitude }]
+     * @param {number} count - Number of harmonics to consider
+     * @returns {array} [{ ratio, amplitude }] with the fundamental at amplitude 1
+     */
+    getTimbrePartials(timbre, count = 8) {
+        if (Array.isArray(timbre)) return timbre;
+
+        const partials = [];
+        for (let n = 1; n <= count; n++) {
+            if (timbre === 'sawtooth') partials.push({ ratio: n, amplitude: 1 / n });
+            else if (timbre === 'square' && n % 2 === 1) partials.push({ ratio: n, amplitude: 1 / n });
+            else if (timbre === 'triangle' && n % 2 === 1) partials.push({ ratio: n, amplitude: 1 / (n * n) });
+            else if (n === 1) partials.push({ ratio: 1, amplitude: 1 });
+        }
+        return partials;
+    }
+
+    /**
+     * Roughness between two complex tones: the sum over all their partial pairs
+     */
+    getPairRoughness(f1, f2, partials) {
+        let total = 0;
+        partials.forEach(p => {
+            partials.forEach(q => {
+                total += this.getPartialRoughness(f1 * p.ratio, p.amplitude, f2 * q.ratio, q.amplitude);
+            });
+        });
+        return total;
+    }
+
+    /**
+     * Roughness of two sine partials (Sethares' fit of the Plomp-Levelt curve)
+     * ROUGHNESS = min(a1, a2) * (e^(-b1 * s * df) - e^(-b2 * s * df)), s = d* / (s1 * fmin + s2)
+     */
+    getPartialRoughness(f1, a1, f2, a2) {
+        const { b1, b2, dStar, s1, s2 } = ROUGHNESS_MODEL;
+        const s = dStar / (s1 * Math.min(f1, f2) + s2);
+        const df = Math.abs(f2 - f1);
+        return Math.min(a1, a2) * (Math.exp(-b1 * s * df) - Math.exp(-b2 * s * df));
+    }
+
+    /**
+     * Harmonicity: the lowest common fundamental all frequencies are harmonics of
+     * C-E-G fits harmonics 4:5:6 (high), a tritone needs 32:45 (low).
+     * 
+     * Harmonics are limited to primes up to `primeLimit`. With 7 allowed, a just
+     * 45:32 tritone sits 8 cents from 7:5 and would pass for a simpler interval
+     * than the major 3rd; 5-limit is the tuning Western harmony is built on.
+     * 
+     * @param {array} freqs - Frequencies in Hz
+     * @param {object} options - { toleranceCents = 16 (admits equal-tempered 3rds and 6ths),
+     *   maxHarmonic = 64, primeLimit = 5 }
+     * @returns {object} { harmonicity (0-1), fundamental (Hz or null), harmonics: [n per frequency] }
+     */
+    getHarmonicity(freqs, options = {}) {
+        const { toleranceCents = 16, maxHarmonic = 64, primeLimit = 5 } = options;
+        const sorted = freqs.filter(f => Number.isFinite(f) && f > 0).sort((a, b) => a - b);
+        if (sorted.length === 0) return { harmonicity: 0, fundamental: null, harmonics: [] };
+
+        const withinLimit = n => {
+            let rest = n;
+            for (let p = 2; p <= primeLimit; p++) {
+                while (rest % p === 0) rest /= p;
+            }
+            return rest === 1;
+        };
+
+        for (let k = 1; k <= maxHarmonic; k++) {
+            const fundamental = sorted[0] / k;
+            const harmonics = sorted.map(f => Math.round(f / fundamental));
+            const fits = harmonics.every((n, i) => n >= 1 && n <= maxHarmonic && withinLimit(n) &&
+                Math.abs(1200 * Math.log2(sorted[i] / (n * fundamental))) <= toleranceCents);
+            if (fits) {
+                const highest = Math.max(...harmonics);
+                return {
+                    harmonicity: 1 - Math.log2(highest) / Math.log2(maxHarmonic),
+                    fundamental,
+                    harmonics
+                };
+            }
+        }
+        return { harmonicity: 0, fundamental: null, harmonics: [] };
+    }
+
+    /**
+     * Sethares dissonance curve: roughness of a timbre against itself, swept
+     * over interval ratios
+     * 
+     * With harmonic partials the dips fall on simple ratios (6:5, 5:4, 4:3,
+     * 3:2, 5:3, 2:1), where partials coincide instead of beating. Inharmonic
+     * partials (bells, bars) move the dips, so their "consonant" intervals differ.
+     * 
+     * @param {string|array} timbre - Oscillator type or [{ ratio, amplitude }]
+     * @param {object} options - { baseFrequency = 261.63, maxRatio = 2.3, steps = 600, partials = 8 }
+     * @returns {object} { points: [{ ratio, cents, dissonance }], minima: [{ ratio, cents, dissonance, nearest }] }
+     *   nearest: getNearestSimpleRatio() of the dip
+     */
+    getDissonanceCurve(timbre, options = {}) {
+        const { baseFrequency = 261.63, maxRatio = 2.3, steps = 600 } = options;
+        const partials = this.getTimbrePartials(timbre, options.partials || 8);
+        const maxCents = 1200 * Math.log2(maxRatio);
+
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const cents = (i / steps) * maxCents;
+            const ratio = Math.pow(2, cents / 1200);
+            points.push({ ratio, cents, dissonance: this.getPairRoughness(baseFrequency, baseFrequency * ratio, partials) });
+        }
+
+        // Dips that stand out from the peaks either side of them, not ripples
+        const minima = [];
+        points.forEach((p, i) => {
+            const prev = points[i - 1];
+            const next = points[i + 1];
+            // The sweep's top end isn't a dip, just where the plot stops
+            if (!next || (prev && prev.dissonance <= p.dissonance) || next.dissonance < p.dissonance) return;
+
+            const peak = side => {
+                let best = p.dissonance;
+                for (let j = i + side; j >= 0 && j < points.length && points[j].dissonance >= p.dissonance; j += side) {
+                    best = Math.max(best, points[j].dissonance);
+                }
+                return best;
+            };
+            const depth = Math.min(prev ? peak(-1) : Infinity, peak(1)) - p.dissonance;
+            if (depth < 0.01 * points.reduce((max, q) => Math.max(max, q.dissonance), 0)) return;
+            minima.push({ ...p, nearest: this.getNearestSimpleRatio(p.ratio) });
+        });
+
+        return { points, minima };
+    }
+
+    /**
+     * The simplest whole-number ratio near a decimal ratio
+     * Each candidate costs its distance in cents plus `complexityCents` per
+     * doubling of numerator x denominator, so 3:2 beats 22:15 unless it's far off.
+     * 
+     * @param {number} ratio - e.g. 1.4983
+     * @param {object} options - { complexityCents = 3, maxTerm = 16 }
+     * @returns {object} { numerator, denominator, text: '3:2', cents (ratio minus the simple one), name } or null
+     */
+    getNearestSimpleRatio(ratio, options = {}) {
+        const { complexityCents = 3, maxTerm = 16 } = options;
+        if (!Number.isFinite(ratio) || ratio <= 0) return null;
+
+        const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+        let best = null;
+        for (let denominator = 1; denominator <= maxTerm; denominator++) {
+            const numerator = Math.round(ratio * denominator);
+            if (numerator < 1 || gcd(numerator, denominator) !== 1) continue;
+
+            const cents = 1200 * Math.log2(ratio / (numerator / denominator));
+            const cost = Math.abs(cents) + complexityCents * Math.log2(numerator * denominator);
+            if (!best || cost < best.cost) best = { numerator, denominator, cents, cost };
+        }
+
+        const text = `${best.numerator}:${best.denominator}`;
+        const interval = Object.values(INTERVALS).find(i => i.justRatio === text);
+        return {
+            numerator: best.numerator,
+            denominator: best.denominator,
+            text,
+            cents: best.cents,
+            name: interval ? interval.name : null
+        };
+    }
+
+    /**
+     * Parse a custom spectrum: "1, 2.76:0.5, 5.4:0.25" = ratio[:amplitude] per partial
+     * @returns {array} [{ ratio, amplitude }] or null if any entry is invalid
+     */
+    parsePartials(text) {
+        const entries = String(text).split(/[,\s]+/).filter(Boolean);
+        if (entries.length === 0) return null;
+
+        const partials = entries.map(entry => {
+            const [ratio, amplitude = 1] = entry.split(':').map(Number);
+            return { ratio, amplitude };
+        });
+        return partials.every(p => p.ratio > 0 && p.amplitude > 0 && Number.isFinite(p.ratio) && Number.isFinite(p.amplitude))
+            ? partials
+            : null;
+    }
+
+    // =========================================================================
+    // TIMBRE (Additive Synthesis)
+    // =========================================================================
+
+    /**
+     * Fourier series of a built-in waveform as harmonic amplitudes and phases
+     * 
+     * Each harmonic n is amplitude * sin(n·x + phase), fundamental at 1:
+     * square = odd n at 1/n; sawtooth = every n at 1/n, even ones inverted;
+     * triangle = odd n at 1/n², every other one inverted.
+     * 
+     * @param {string} shape - 'sine', 'square', 'sawtooth' or 'triangle'
+     * @param {number} count - Number of harmonics
+     * @returns {object} { amplitudes, phases } (phases in degrees), index 0 = fundamental
+     */
+    getFourierSeries(shape, count = 32) {
+        const amplitudes = [];
+        const phases = [];
+        for (let n = 1; n <= count; n++) {
+            let amplitude = 0;
+            let phase = 0;
+            if (shape === 'sawtooth') {
+                amplitude = 1 / n;
+                phase = n % 2 === 0 ? 180 : 0;
+            } else if (shape === 'square' && n % 2 === 1) {
+                amplitude = 1 / n;
+            } else if (shape === 'triangle' && n % 2 === 1) {
+                amplitude = 1 / (n * n);
+                phase = n % 4 === 3 ? 180 : 0;
+            } else if (n === 1) {
+                amplitude = 1;
+            }
+            amplitudes.push(amplitude);
+            phases.push(phase);
+        }
+        return { amplitudes, phases };
+    }
+
+    /**
+     * Harmonics of a TIMBRE_PRESETS entry, padded or cut to `count`
+     * @returns {object} { amplitudes, phases } or null for an unknown preset
+     */
+    getTimbrePreset(key, count = 32) {
+        const preset = TIMBRE_PRESETS[key];
+        if (!preset) return null;
+        if (preset.series) return this.getFourierSeries(preset.series, count);
+
+        const amplitudes = Array.from({ length: count }, (_, i) => preset.amplitudes[i] || 0);
+        return { amplitudes, phases: amplitudes.map(() => 0) };
+    }
+
+    /**
+     * Parse typed harmonics: "1, 0.5, 0.33@180" = amplitude[@phase degrees] of
+     * harmonic 1, 2, 3... (0 skips a harmonic)
+     * @returns {object} { amplitudes, phases } or null if any entry is invalid or all are silent
+     */
+    parseHarmonics(text, count = 64) {
+        const entries = String(text).split(/[,\s]+/).filter(Boolean).slice(0, count);
+        if (entries.length === 0) return null;
+
+        const amplitudes = [];
+        const phases = [];
+        for (const entry of entries) {
+            const [amplitude, phase = 0] = entry.split('@').map(Number);
+            if (!Number.isFinite(amplitude) || amplitude < 0 || !Number.isFinite(phase)) return null;
+            amplitudes.push(amplitude);
+            phases.push(((phase % 360) + 360) % 360);
+        }
+        return amplitudes.some(a => a > 0) ? { amplitudes, phases } : null;
+    }
+
+    /**
+     * Inverse of parseHarmonics(): trailing silent harmonics are dropped
+     */
+    formatHarmonics({ amplitudes, phases }) {
+        let last = amplitudes.length - 1;
+        while (last > 0 && !(amplitudes[last] > 0)) last--;
+
+        return amplitudes.slice(0, last + 1).map((a, i) => {
+            const amplitude = String(Math.round(a * 1000) / 1000);
+            const phase = Math.round(phases[i] || 0);
+            return a > 0 && phase ? `${amplitude}@${phase}` : amplitude;
+        }).join(', ');
+    }
+
+    /**
+     * Fourier coefficients for a Web Audio PeriodicWave
+     * 
+     * a·sin(n·x + φ) = a·cos φ·sin(n·x) + a·sin φ·cos(n·x), so the sine terms
+     * (imag) take a·cos φ and the cosine terms (real) a·sin φ. Index 0 is DC.
+     * 
+     * @returns {object} { real, imag } as Float32Arrays of length harmonics + 1
+     */
+    getPeriodicWaveCoefficients({ amplitudes, phases }) {
+        const real = new Float32Array(amplitudes.length + 1);
+        const imag = new Float32Array(amplitudes.length + 1);
+        amplitudes.forEach((a, i) => {
+            const phase = ((phases[i] || 0) * Math.PI) / 180;
+            real[i + 1] = a * Math.sin(phase);
+            imag[i + 1] = a * Math.cos(phase);
+        });
+        return { real, imag };
+    }
+
+    /**
+     * Harmonics as partials for the roughness model (getConsonance, getDissonanceCurve)
+     * @returns {array} [{ ratio, amplitude }] relative to the loudest harmonic, silent ones left out
+     */
+    getHarmonicPartials({ amplitudes }) {
+        const loudest = Math.max(...amplitudes);
+        return amplitudes
+            .map((amplitude, i) => ({ ratio: i + 1, amplitude: amplitude / loudest }))
+            .filter(p => p.amplitude > 0.001);
+    }
+
+    // =========================================================================
+    // FM & AM SIDEBANDS
+    // =========================================================================
+
+    /**
+     * Bessel function of the first kind, J_n(x), by its power series
+     * (accurate to ~1e-8 for the modulation indices used here, x <= 20)
+     */
+    besselJ(n, x) {
+        if (n < 0) return (n % 2 === 0 ? 1 : -1) * this.besselJ(-n, x);
+
+        let term = Math.pow(x / 2, n);
+        for (let k = 2; k <= n; k++) term /= k; // (x/2)^n / n!
+        let sum = term;
+        for (let k = 1; k < 100; k++) {
+            term *= -(x * x) / (4 * k * (k + n));
+            sum += term;
+            if (Math.abs(term) < 1e-12) break;
+        }
+        return sum;
+    }
+
+    /**
+     * Predicted spectrum of a sine carrier frequency-modulated by sine modulators
+     * 
+     * One modulator: components at fc + n·fm with amplitude J_n(β), where
+     * β = peak deviation / fm. Several modulators into one carrier multiply:
+     * fc + Σ nᵢ·fmᵢ with amplitude Π J_nᵢ(βᵢ). Components below 0 Hz fold back
+     * with their sign flipped, so they can cancel or reinforce positive ones.
+     * 
+     * @param {number} carrier - Carrier frequency (Hz)
+     * @param {array} modulators - [{ frequency, index }] (index = β)
+     * @param {object} options - { threshold = 0.005 }: drop quieter components
+     * @returns {array} [{ frequency, amplitude, orders }] by frequency; orders = [n per modulator]
+     */
+    getFmSpectrum(carrier, modulators, options = {}) {
+        const { threshold = 0.005 } = options;
+        let components = [{ frequency: carrier, amplitude: 1, orders: [] }];
+
+        modulators.forEach(({ frequency, index }) => {
+            const maxOrder = Math.ceil(index) + 4; // Beyond Carson's bandwidth J_n is negligible
+            const next = [];
+            components.forEach(c => {
+                for (let n = -maxOrder; n <= maxOrder; n++) {
+                    const amplitude = c.amplitude * this.besselJ(n, index);
+                    if (Math.abs(amplitude) < threshold / 10) continue;
+                    next.push({ frequency: c.frequency + n * frequency, amplitude, orders: [...c.orders, n] });
+                }
+            });
+            components = next;
+        });
+
+        // Fold negative frequencies and merge components that land together
+        const merged = new Map();
+        components.forEach(c => {
+            const frequency = Math.abs(c.frequency);
+            const amplitude = c.frequency < 0 ? -c.amplitude : c.amplitude;
+            const key = frequency.toFixed(3);
+            const existing = merged.get(key);
+            if (existing) {
+                existing.amplitude += amplitude;
+                // Label with the simplest order landing here (the unfolded one)
+                const size = orders => orders.reduce((sum, n) => sum + Math.abs(n), 0);
+                if (size(c.orders) < size(existing.orders)) existing.orders = c.orders;
+            } else {
+                merged.set(key, { frequency, amplitude, orders: c.orders });
+            }
+        });
+
+        return [...merged.values()]
+            .map(c => ({ ...c, amplitude: Math.abs(c.amplitude) }))
+            .filter(c => c.amplitude >= threshold && c.frequency > 0)
+            .sort((a, b) => a.frequency - b.frequency);
+    }
+
+    /**
+     * Predicted spectrum of amplitude or ring modulation (sine carrier and modulator)
+     * 
+     * AM: (1 + m·sin(fm)) · sin(fc) = carrier plus fc ± fm at m/2, scaled by 1/(1 + m).
+     * Ring: sin(fm) · sin(fc) = only fc ± fm at 1/2 each; the carrier disappears.
+     * 
+     * @returns {array} [{ frequency, amplitude, orders }] as getFmSpectrum()
+     */
+    getAmSpectrum(carrier, modulator, depth = 1, ring = false) {
+        const sideband = ring ? 0.5 : depth / 2 / (1 + depth);
+        const components = [
+            { frequency: Math.abs(carrier - modulator), amplitude: sideband, orders: [-1] },
+            { frequency: carrier + modulator, amplitude: sideband, orders: [1] }
+        ];
+        if (!ring) components.push({ frequency: carrier, amplitude: 1 / (1 + depth), orders: [0] });
+        return components.filter(c => c.frequency > 0).sort((a, b) => a.frequency - b.frequency);
+    }
+
+    /**
+     * Carson's rule: ~98% of an FM signal's power lies within 2·(β + 1)·fm
+     */
+    getCarsonBandwidth(modulator, index) {
+        return 2 * (index + 1) * modulator;
+    }
+
+    // =========================================================================
+    // CHORD SYMBOLS (Lead Sheet Notation)
+    // =========================================================================
+
+    /**
+     * Parse a lead-sheet chord symbol
+     * 
+     * Handles qualities (m, -, maj, M, Δ, dim, °, ø, aug, +, sus), extensions
+     * (7, 9, 11, 13), alterations (b5, #5, b9, #9, #11, b13, alt), added and
+     * omitted tones (add9, omit5, no3), 6/9 and slash bass notes (C/E).
+     * 
+     * @param {string} symbol - e.g. 'F#m7b5/A', 'C13#11', 'Bbsus4add9'
+     * @returns {object} Same shape as buildChord plus { bass, degrees, symbol, errors }.
+     *                   On failure: { symbol, errors: [{ position, message }] }
+     */
+    parseChordSymbol(symbol) {
+        const text = String(symbol ?? '').trim();
+        const fail = (position, message) => ({ symbol: text, errors: [{ position, message }] });
+
+        if (!text) return fail(0, 'Empty chord symbol');
+
+        const rootMatch = text.match(/^[A-G](bb|b|##|#|x|♭|♯)?/);
+        if (!rootMatch) return fail(0, `Expected a root note A-G, found "${text[0]}"`);
+        const root = rootMatch[0].replace('♭', 'b').replace('♯', '#');
+
+        // Slash bass: the last '/' unless it belongs to 6/9
+        let body = text.slice(rootMatch[0].length);
+        let bass = null;
+        const slash = body.match(/\/([^/]*)$/);
+        const isSixNine = slash && /6$/.test(body.slice(0, slash.index)) && /^9/.test(slash[1]);
+        if (slash && !isSixNine) {
+            const bassNote = slash[1].replace('♭', 'b').replace('♯', '#');
+            if (!this.parseNote(bassNote)) {
+                return fail(rootMatch[0].length + slash.index + 1, `Invalid bass note "${slash[1]}"`);
+            }
+            bass = bassNote;
+            body = body.slice(0, slash.index);
         }
 
-        // No exact match found
+        const state = { third: '3', fifth: '5', seventh: null, sixth: false, extension: 0, sus: [], alterations: [], adds: [], omits: [] };
+        const tokens = [
+            [/^[\s(),]+/, () => { }],
+            [/^(omit|no)(3|5)/, m => state.omits.push(m[2])],
+            [/^(maj|Maj|MAJ|Δ|△|M|ma(?=\d))(7|9|11|13)?/, m => {
+                if (m[2] || m[1] === 'Δ' || m[1] === '△') {
+                    state.seventh = '7';
+                    state.extension = Math.max(state.extension, parseInt(m[2] || '7', 10));
+                }
+            }],
+            [/^(min|mi|m|-)/, () => { state.third = 'b3'; }],
+            [/^(dim|°|o)(7)?/, m => {
+                state.third = 'b3';
+                state.fifth = 'b5';
+                if (m[2]) state.seventh = 'bb7';
+            }],
+            [/^(ø|Ø)7?/, () => {
+                state.third = 'b3';
+                state.fifth = 'b5';
+                state.seventh = 'b7';
+            }],
+            [/^(aug|\+(?!\d))/, () => { state.fifth = '#5'; }],
+            [/^sus(2|4)?/, m => state.sus.push(m[1] === '2' ? '2' : '4')],
+            [/^add(b|#|♭|♯)?(2|4|6|9|11|13)/, m => state.adds.push(`${(m[1] || '').replace('♭', 'b').replace('♯', '#')}${m[2]}`)],
+            [/^6\/?9/, () => {
+                state.sixth = true;
+                state.adds.push('9');
+            }],
+            [/^alt/, () => {
+                state.seventh = state.seventh || 'b7';
+                state.alterations.push('b9', '#9', '#11', 'b13');
+                state.omits.push('5');
+            }],
+            [/^(b|#|♭|♯|\+)(5|9|11|13)/, m => {
+                const accidental = m[1] === 'b' || m[1] === '♭' ? 'b' : '#';
+                state.alterations.push(`${accidental}${m[2]}`);
+            }],
+            [/^(13|11|9|7|6|5)/, m => {
+                const n = parseInt(m[1], 10);
+                if (n === 5) {
+                    state.third = null; // Power chord: root + fifth
+                } else if (n === 6) {
+                    state.sixth = true;
+                } else {
+                    state.extension = Math.max(state.extension, n);
+                }
+            }]
+        ];
+
+        let pos = 0;
+        while (pos < body.length) {
+            const rest = body.slice(pos);
+            const entry = tokens.find(([regex]) => regex.test(rest));
+            if (!entry) {
+                return fail(rootMatch[0].length + pos, `Unexpected "${rest[0]}" in "${text}"`);
+            }
+            const match = rest.match(entry[0]);
+            entry[1](match);
+            pos += match[0].length;
+        }
+
+        // Assemble chord degrees
+        const degrees = ['1'];
+        const altered = n => state.alterations.some(a => a.slice(1) === String(n));
+
+        if (state.sus.length) {
+            degrees.push(...state.sus);
+        } else if (state.third && !state.omits.includes('3')) {
+            degrees.push(state.third);
+        }
+
+        if (altered(5)) {
+            degrees.push(...state.alterations.filter(a => /^[b#]5$/.test(a)));
+        } else if (!state.omits.includes('5')) {
+            degrees.push(state.fifth);
+        }
+
+        if (state.sixth) degrees.push('6');
+
+        if (state.extension >= 7 || state.seventh) {
+            degrees.push(state.seventh || 'b7');
+        }
+        if (state.extension >= 9 && !altered(9)) degrees.push('9');
+        if (state.extension >= 11 && !altered(11)) degrees.push('11');
+        if (state.extension >= 13 && !altered(13)) degrees.push('13');
+
+        degrees.push(...state.alterations.filter(a => !/^[b#]5$/.test(a)));
+        degrees.push(...state.adds);
+
+        const chord = this.buildChordFromDegrees(root, degrees.filter(d => CHORD_DEGREES[d]), { bass });
+        if (chord.type === 'custom' && state.alterations.length) chord.quality = 'altered';
+
+        return { ...chord, symbol: text, errors: [] };
+    }
+
+    /**
+     * Format a chord object as a lead-sheet symbol
+     * Known CHORD_TYPES keep their symbol; anything else is named from its intervals
+     * 
+     * @param {object} chord - { root, intervals, bass } (from buildChord or parseChordSymbol)
+     * @returns {string} e.g. 'C13#11', 'F#m7b5/A', 'Bbsus4add9'
+     */
+    formatChordSymbol(chord) {
+        if (!chord || !chord.root || !chord.intervals) return '';
+
+        const bass = chord.bass && this.noteToIndex(chord.bass) !== this.noteToIndex(chord.root)
+            ? `/${chord.bass}`
+            : '';
+        const sorted = [...chord.intervals].sort((a, b) => a - b);
+        const known = Object.values(CHORD_TYPES).find(data =>
+            data.intervals.length === sorted.length && data.intervals.every((v, i) => v === sorted[i])
+        );
+
+        return `${chord.root}${known ? known.symbol : this.getChordSuffix(sorted)}${bass}`;
+    }
+
+    /**
+     * Build the quality/extension part of a chord symbol from intervals
+     * @param {array} intervals - Semitones above the root
+     * @returns {string} e.g. 'm7', '13#11', 'sus4add9'
+     */
+    getChordSuffix(intervals) {
+        const set = new Set(intervals);
+        const has = n => set.has(n);
+
+        const third = has(4) ? '3' : has(3) ? 'b3' : null;
+        const fifth = has(7) ? '5' : has(6) ? 'b5' : has(8) ? '#5' : null;
+        const seventh = has(10) ? 'b7' : has(11) ? '7' : null;
+        const dim7 = third === 'b3' && fifth === 'b5' && has(9) && !seventh;
+
+        // Tones within the octave double as extensions once a 3rd/7th defines the chord
+        const tones = {
+            sus2: !third && has(2),
+            sus4: !third && has(5),
+            b9: has(13) || (has(1) && !!third),
+            9: has(14) || (has(2) && !!third),
+            '#9': has(15) || (has(3) && third === '3'),
+            11: has(17) || (has(5) && !!third),
+            '#11': has(18) || (has(6) && fifth === '5'),
+            b13: has(20) || (has(8) && fifth === '5'),
+            13: has(21) || (has(9) && !!seventh),
+            6: has(9) && !seventh && !dim7
+        };
+
+        let suffix = '';
+        const used = new Set();
+
+        if (third === 'b3' && fifth === 'b5') {
+            suffix = dim7 ? 'dim7' : seventh === 'b7' ? 'm7b5' : seventh === '7' ? 'dimMaj7' : 'dim';
+        } else if (third === '3' && fifth === '#5' && !tones.b13) {
+            suffix = seventh === 'b7' ? 'aug7' : seventh === '7' ? 'augMaj7' : 'aug';
+        } else {
+            if (third === 'b3') suffix = 'm';
+
+            if (seventh) {
+                // Highest natural extension names the chord: 9, 11 or 13
+                const extension = tones[13] ? 13 : tones[11] ? 11 : tones[9] ? 9 : 7;
+                [9, 11, 13].filter(n => n <= extension && tones[n]).forEach(n => used.add(String(n)));
+                suffix += seventh === '7' ? `${third === 'b3' ? 'Maj' : 'maj'}${extension}` : String(extension);
+            } else if (tones[6]) {
+                suffix += tones[9] ? '6/9' : '6';
+                used.add('6');
+                if (tones[9]) used.add('9');
+            } else if (!third && fifth === '5' && set.size === 2) {
+                return '5';
+            }
+
+            if (fifth === 'b5') suffix += 'b5';
+            if (fifth === '#5') suffix += '#5';
+        }
+
+        if (tones.sus4) suffix += 'sus4';
+        else if (tones.sus2) suffix += 'sus2';
+        if (tones.sus4 && tones.sus2) suffix += 'add2';
+
+        if (!seventh) {
+            ['9', '11', '13'].filter(n => tones[n] && !used.has(n)).forEach(n => {
+                suffix += `add${n}`;
+                used.add(n);
+            });
+        }
+
+        ['b9', '#9', '#11', 'b13'].filter(n => tones[n]).forEach(n => { suffix += n; });
+        ['9', '11', '13'].filter(n => tones[n] && !used.has(n)).forEach(n => { suffix += `add${n}`; });
+
+        if (!third && !tones.sus2 && !tones.sus4) suffix += 'no3';
+
+        return suffix;
+    }
+
+    /**
+     * Parse a whole progression written as chord symbols
+     * @param {string} text - e.g. 'Am7 | D9 | Gmaj7 Cmaj7/E'
+     * @returns {array} Parsed chords (failed symbols carry errors)
+     */
+    parseChordProgression(text) {
+        return String(text ?? '')
+            .split(/[\s|,]+/)
+            .filter(Boolean)
+            .map(symbol => this.parseChordSymbol(symbol));
+    }
+
+    // =========================================================================
+    // VOICE LEADING
+    // =========================================================================
+
+    /**
+     * Voice a chord sequence so each voice moves as little as possible
+     * 
+     * Every chord gets all voicings of `voices` notes in [low, high] that
+     * keep its bass note and contain its essential tones (root, 3rd, 7th,
+     * then extensions; the 5th is dropped first). A Viterbi search then picks
+     * the path with the least total motion, where parallel 5ths/octaves,
+     * big leaps in upper voices and doubled 3rds/7ths cost extra.
+     * 
+     * @param {array} chords - Chord symbols or chord objects (their bass/inversion is kept)
+     * @param {object} options - { voices = 4, low = 48 (C3), high = 76 (E5) } as MIDI numbers
+     * @returns {object} { chords, voicings, voices, motion, parallels, errors } or null if nothing fits the range
+     *   On unreadable chords: { errors: [{ index, symbol, message }] } (nothing is voiced)
+     *   chords: the input chords with voicing/frequencies replaced
+     *   voicings: MIDI numbers per chord, low to high
+     *   voices: per voice (0 = bass), one { note, octave, midi, frequency, moved } per chord
+     */
+    voiceLeadProgression(chords, options = {}) {
+        const { voices = 4, low = 48, high = 76 } = options;
+
+        const items = chords.map(c => (typeof c === 'string' ? this.parseChordSymbol(c) : c));
+        if (items.length === 0) return null;
+
+        // Dropping a bad symbol would voice-lead across the gap, so refuse the whole progression
+        const errors = items.map((chord, index) => {
+            if (chord && chord.root && !(chord.errors && chord.errors.length)) return null;
+            const symbol = typeof chords[index] === 'string' ? chords[index] : chord && chord.symbol;
+            const message = chord && chord.errors && chord.errors.length ? chord.errors[0].message : 'Not a chord';
+            return { index, symbol, message };
+        }).filter(Boolean);
+        if (errors.length) return { errors };
+
+        const candidates = items.map(chord => this.getVoicingCandidates(chord, voices, low, high));
+        if (candidates.some(list => list.length === 0)) return null;
+
+        // Viterbi: cheapest way to arrive at each voicing of each chord
+        let totals = candidates[0].map(c => c.cost);
+        const back = [];
+        for (let k = 1; k < candidates.length; k++) {
+            const pointers = [];
+            totals = candidates[k].map(candidate => {
+                let best = Infinity;
+                let from = 0;
+                candidates[k - 1].forEach((prev, j) => {
+                    const cost = totals[j] + this.getVoiceLeadingCost(prev.midis, candidate.midis);
+                    if (cost < best) {
+                        best = cost;
+                        from = j;
+                    }
+                });
+                pointers.push(from);
+                return best + candidate.cost;
+            });
+            back.push(pointers);
+        }
+
+        const path = [totals.indexOf(Math.min(...totals))];
+        for (let k = back.length - 1; k >= 0; k--) path.unshift(back[k][path[0]]);
+        const voicings = path.map((index, k) => candidates[k][index].midis);
+
+        const voicedChords = items.map((chord, k) => {
+            const voicing = voicings[k].map(midi => {
+                const note = chord.notes.find(n => this.noteToIndex(n) === midi % 12) || this.indexToNote(midi);
+                return { note, octave: this.getNoteOctave(note, midi), midi, frequency: this.midiToFrequency(midi) };
+            });
+            return {
+                ...chord,
+                voicing,
+                frequencies: voicing.map(({ note, octave, frequency }) => ({ note, octave, frequency }))
+            };
+        });
+
+        const parallels = [];
+        let motion = 0;
+        voicings.slice(1).forEach((next, k) => {
+            motion += next.reduce((sum, midi, v) => sum + Math.abs(midi - voicings[k][v]), 0);
+            this.findParallels(voicings[k], next).forEach(p => parallels.push({ ...p, chord: k + 1 }));
+        });
+
         return {
-            notes: uniqueNotes,
-            name: 'Unknown',
-            confidence: 0
+            chords: voicedChords,
+            voicings,
+            voices: Array.from({ length: voices }, (_, v) => voicedChords.map((chord, k) => ({
+                ...chord.voicing[v],
+                moved: k > 0 && voicings[k][v] !== voicings[k - 1][v]
+            }))),
+            motion,
+            parallels,
+            errors: []
+        };
+    }
+
+    /**
+     * All playable voicings of one chord, cheapest first
+     * @param {object} chord - Chord object (root, intervals, bass)
+     * @param {number} voices - Number of notes
+     * @param {number} low - Lowest MIDI note
+     * @param {number} high - Highest MIDI note
+     * @returns {array} [{ midis, cost }]
+     */
+    getVoicingCandidates(chord, voices, low, high) {
+        const rootPc = this.noteToIndex(chord.root);
+        const bassPc = this.noteToIndex(chord.bass || chord.root);
+        const pcOf = interval => (rootPc + interval) % 12;
+
+        // Essential tones in order of importance: root, 3rd, 7th, extensions (highest first), 5th
+        const role = i => {
+            const ic = i % 12;
+            if (i === 0) return 0;
+            if (i < 12 && (ic === 3 || ic === 4)) return 1;
+            if (i < 12 && (ic === 10 || ic === 11 || (ic === 9 && chord.type === 'diminished7'))) return 2;
+            if (i >= 12 || ic === 2 || ic === 5 || ic === 9) return 3;
+            return 4;
+        };
+        const tones = [...new Set(chord.intervals.map(pcOf))];
+        const ranked = [...chord.intervals]
+            .sort((a, b) => role(a) - role(b) || b - a)
+            .map(pcOf)
+            .filter((pc, i, arr) => arr.indexOf(pc) === i);
+        const required = ranked.slice(0, voices);
+        const thirdPc = chord.intervals.filter(i => role(i) === 1).map(pcOf)[0];
+        const seventhPc = chord.intervals.filter(i => role(i) === 2).map(pcOf)[0];
+
+        const pool = [];
+        for (let midi = low; midi <= high; midi++) {
+            if (tones.includes(midi % 12)) pool.push(midi);
+        }
+
+        const results = [];
+        const center = (low + high) / 2;
+        const build = (voicing, start) => {
+            if (voicing.length === voices) {
+                const pcs = voicing.map(m => m % 12);
+                if (!required.every(pc => pcs.includes(pc))) return;
+
+                const count = pc => pcs.filter(x => x === pc).length;
+                let cost = 0;
+                if (thirdPc !== undefined && count(thirdPc) > 1) cost += 3; // Doubled 3rd sounds heavy
+                if (seventhPc !== undefined && count(seventhPc) > 1) cost += 5; // Doubled 7th can't resolve both ways
+                cost += Math.abs(voicing.reduce((a, b) => a + b, 0) / voices - center) / 6; // Stay mid-register
+                results.push({ midis: [...voicing], cost });
+                return;
+            }
+
+            for (let i = start; i < pool.length; i++) {
+                const midi = pool[i];
+                const prev = voicing[voicing.length - 1];
+                if (voicing.length === 0 && midi % 12 !== bassPc) continue;
+                // Upper voices within an octave of each other; bass may be up to two octaves below
+                if (voicing.length > 1 && midi - prev > 12) break;
+                if (voicing.length === 1 && midi - prev > 24) break;
+                voicing.push(midi);
+                build(voicing, i + 1);
+                voicing.pop();
+            }
+        };
+        build([], 0);
+
+        return results.sort((a, b) => a.cost - b.cost);
+    }
+
+    /**
+     * Cost of moving from one voicing to the next (same number of voices)
+     * MOTION = total semitones moved, plus penalties for parallels and leaps
+     */
+    getVoiceLeadingCost(from, to) {
+        let cost = 0;
+        to.forEach((midi, v) => {
+            const leap = Math.abs(midi - from[v]);
+            cost += leap;
+            if (v > 0 && leap > 7) cost += leap - 7; // Upper voices prefer steps
+        });
+        return cost + this.findParallels(from, to).length * 24;
+    }
+
+    /**
+     * Parallel (or contrary) perfect 5ths and octaves between two voicings
+     * @returns {array} [{ voices: [lower, upper], interval: 'fifths' | 'octaves' }]
+     */
+    findParallels(from, to) {
+        const found = [];
+        for (let i = 0; i < from.length; i++) {
+            for (let j = i + 1; j < from.length; j++) {
+                if (from[i] === to[i] || from[j] === to[j]) continue; // Both voices must move
+                const before = (from[j] - from[i]) % 12;
+                const after = (to[j] - to[i]) % 12;
+                if (before === after && (before === 0 || before === 7)) {
+                    found.push({ voices: [i, j], interval: before === 7 ? 'fifths' : 'octaves' });
+                }
+            }
+        }
+        return found;
+    }
+
+    // =========================================================================
+    // CHORD-SCALE THEORY
+    // =========================================================================
+
+    /**
+     * Scales to improvise over a chord, best first
+     * 
+     * A scale (SCALES or CHORD_SCALE_MODES) fits when it is built on the
+     * chord root and holds every chord tone. Each of its notes is then a guide tone (3rd/7th, the sus note),
+     * another chord tone, a tension, or an avoid note (a half step above a
+     * chord tone, like F over Cmaj7). Colour tones are what sets the mode
+     * apart from plain major/minor: B in D Dorian. Scales made only of notes
+     * in the key come first, then 7-note scales, then fewer avoid notes.
+     * 
+     * @param {object|string} chord - Chord object or symbol ('Dm7')
+     * @param {object|string} key - Optional key context ('C major', { root, scale })
+     * @returns {array} [{ scale, name, description, notes, fitsKey, tones, chordTones, guideTones,
+     *   tensions, avoidNotes, colorTones }] or null for an invalid chord
+     *   tones: [{ note, interval, role }] with role 'guide' | 'chord' | 'tension' | 'avoid'
+     */
+    getChordScales(chord, key = null) {
+        const target = typeof chord === 'string' ? this.parseChordSymbol(chord) : chord;
+        if (!target || !target.root || (target.errors && target.errors.length)) return null;
+
+        // Minor keys also accept their harmonic minor (E7 in A minor)
+        const context = key ? this.parseKey(key) : null;
+        const keySets = [];
+        if (context && SCALES[context.scale]) {
+            keySets.push(this.getScaleNotes(context.root, context.scale).noteIndices);
+            const intervals = SCALES[context.scale].intervals;
+            if (intervals.length === 7 && intervals.includes(3) && !intervals.includes(4)) {
+                keySets.push(this.getScaleNotes(context.root, 'harmonicMinor').noteIndices);
+            }
+        }
+
+        const rootIndex = this.noteToIndex(target.root);
+        const chordIntervals = new Set(target.intervals.map(i => i % 12));
+        const has = ic => chordIntervals.has(ic);
+        const isMinor = has(3) && !has(4); // C7#9 has both: the b3 is a #9
+        const isSus = /sus/.test(target.type || target.name);
+        const isDominant = has(4) && has(10);
+        const guideIntervals = [...chordIntervals].filter(ic =>
+            (ic === 3 && isMinor) || ic === 4 || ic === 10 || ic === 11 ||
+            (ic === 9 && target.type === 'diminished7') ||
+            (isSus && (ic === 2 || ic === 5)));
+
+        // Colour tones are measured against the plain scale of the chord's quality
+        const referenceType = isMinor
+            ? (has(6) && !has(7) ? 'locrian' : 'naturalMinor')
+            : (has(10) ? 'mixolydian' : 'major');
+        const reference = SCALES[referenceType].intervals;
+
+        const seen = new Set();
+        const results = [];
+        [...Object.entries(SCALES), ...Object.entries(CHORD_SCALE_MODES)].forEach(([type, data]) => {
+            const signature = data.intervals.join(',');
+            if (data.intervals.length === 12 || seen.has(signature)) return; // Ionian = major, Aeolian = natural minor
+            if (![...chordIntervals].every(ic => data.intervals.includes(ic))) return;
+            seen.add(signature);
+
+            const notes = SCALES[type]
+                ? this.getScaleNotes(target.root, type).notes
+                : this.spellIntervals(target.root, data.intervals,
+                    data.degrees ? this.degreesToSteps(data.degrees) : data.intervals.map((_, i) => i));
+            const pitchClasses = data.intervals.map(i => (rootIndex + i) % 12);
+            const tones = notes.map((spelled, i) => {
+                const interval = data.intervals[i];
+                const below = (interval + 11) % 12;
+                let role = 'tension';
+                if (guideIntervals.includes(interval)) role = 'guide';
+                else if (chordIntervals.has(interval)) role = 'chord';
+                // Dominants take b9 and b13 as tensions; only the 11th is avoided
+                else if (chordIntervals.has(below) && !(isDominant && (below === 0 || below === 7))) role = 'avoid';
+
+                // Chord tones keep the chord's spelling
+                const note = target.notes.find(n => this.noteToIndex(n) === pitchClasses[i]) || spelled;
+                return { note, interval, role };
+            });
+            const withRole = (...roles) => tones.filter(t => roles.includes(t.role)).map(t => t.note);
+
+            results.push({
+                scale: type,
+                name: `${notes[0]} ${data.name}`,
+                description: data.description,
+                notes,
+                fitsKey: keySets.some(set => pitchClasses.every(pc => set.includes(pc))),
+                tones,
+                chordTones: withRole('guide', 'chord'),
+                guideTones: withRole('guide'),
+                tensions: withRole('tension'),
+                avoidNotes: withRole('avoid'),
+                colorTones: tones.filter(t => !reference.includes(t.interval)).map(t => t.note)
+            });
+        });
+
+        return results
+            .map((result, order) => ({ result, order }))
+            .sort((a, b) =>
+                (b.result.fitsKey - a.result.fitsKey) ||
+                ((b.result.notes.length === 7) - (a.result.notes.length === 7)) ||
+                (a.result.avoidNotes.length - b.result.avoidNotes.length) ||
+                (a.order - b.order))
+            .map(({ result }) => result);
+    }
+
+    // =========================================================================
+    // PITCH-CLASS SET THEORY
+    // =========================================================================
+
+    /**
+     * Full set-class analysis of some notes
+     * @param {array} notes - Note names, MIDI numbers or pitch classes
+     * @returns {object} { pitchClasses, normalForm, primeForm, forteName, intervalVector,
+     *   zPartner, complement, members, symmetry: { transpositional, inversional } }
+     */
+    analyzePitchClassSet(notes) {
+        const pitchClasses = this.toPitchClasses(notes);
+        const complement = [...Array(12).keys()].filter(pc => !pitchClasses.includes(pc));
+        const images = this.getSetImages(pitchClasses);
+
+        return {
+            pitchClasses,
+            normalForm: this.getNormalForm(pitchClasses),
+            primeForm: this.getPrimeForm(pitchClasses),
+            forteName: this.getForteName(pitchClasses),
+            intervalVector: this.getIntervalVector(pitchClasses),
+            zPartner: this.getZPartner(pitchClasses),
+            complement: this.getForteName(complement),
+            members: this.getSetClassMembers(pitchClasses).length,
+            // Operations that map the set onto itself (T0 always does)
+            symmetry: {
+                transpositional: images.filter(img => !img.inverted && img.key === images[0].key).length,
+                inversional: images.filter(img => img.inverted && img.key === images[0].key).length
+            }
+        };
+    }
+
+    /**
+     * Pitch classes (0-11, sorted, no repeats) from note names, MIDI numbers or pitch classes
+     */
+    toPitchClasses(notes) {
+        const pcs = notes
+            .map(n => (typeof n === 'number' ? ((n % 12) + 12) % 12 : this.noteToIndex(n)))
+            .filter(pc => pc >= 0);
+        return [...new Set(pcs)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Normal form: the rotation packed most tightly to the left (Rahn)
+     * Smallest span first, then the smallest interval from the first note to
+     * the next-to-last, and so on; ties go to the lowest first note.
+     * @returns {array} e.g. [7, 11, 2] for G-B-D
+     */
+    getNormalForm(notes) {
+        const pcs = this.toPitchClasses(notes);
+        let best = null;
+        pcs.forEach((_, r) => {
+            const rotation = [...pcs.slice(r), ...pcs.slice(0, r).map(pc => pc + 12)];
+            if (!best || this.comparePacking(rotation, best) < 0) best = rotation;
+        });
+        return best ? best.map(pc => pc % 12) : [];
+    }
+
+    /**
+     * Prime form: the normal form of the set or its inversion, moved to 0,
+     * whichever is packed more tightly to the left
+     * @returns {array} e.g. [0, 3, 7] for both C major and C minor
+     */
+    getPrimeForm(notes) {
+        const pcs = this.toPitchClasses(notes);
+        if (pcs.length === 0) return [];
+
+        const zero = form => form.map(pc => (pc - form[0] + 12) % 12);
+        const original = zero(this.getNormalForm(pcs));
+        const inverted = zero(this.getNormalForm(this.invertSet(pcs)));
+        return this.comparePacking(inverted, original) < 0 ? inverted : original;
+    }
+
+    /**
+     * Compare two ascending sets by packing, from the right (negative = a is tighter)
+     */
+    comparePacking(a, b) {
+        for (let i = a.length - 1; i > 0; i--) {
+            const diff = (a[i] - a[0]) - (b[i] - b[0]);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * Interval-class vector: how many of each interval class (1-6) the set holds
+     * @returns {array} e.g. [0, 0, 1, 1, 1, 0] for a major triad
+     */
+    getIntervalVector(notes) {
+        const pcs = this.toPitchClasses(notes);
+        const vector = [0, 0, 0, 0, 0, 0];
+        pcs.forEach((a, i) => {
+            pcs.slice(i + 1).forEach(b => {
+                const ic = Math.min(b - a, 12 - (b - a));
+                vector[ic - 1]++;
+            });
+        });
+        return vector;
+    }
+
+    /**
+     * Forte name of a set's class ('3-11' for any major or minor triad)
+     * @returns {string} Forte name, or null for the empty set
+     */
+    getForteName(notes) {
+        const pcs = this.toPitchClasses(notes);
+        const n = pcs.length;
+        if (n === 0) return null;
+        if (n === 1 || n === 11 || n === 12) return `${n}-1`;
+
+        if (n === 2 || n === 10) {
+            const pair = n === 2 ? pcs : [...Array(12).keys()].filter(pc => !pcs.includes(pc));
+            const ic = Math.min(pair[1] - pair[0], 12 - (pair[1] - pair[0]));
+            return `${n}-${ic}`;
+        }
+
+        if (n >= 7) {
+            const complement = this.getForteName([...Array(12).keys()].filter(pc => !pcs.includes(pc)));
+            return complement.replace(/^\d+/, String(n));
+        }
+
+        const prime = this.formatPitchClassSet(this.getPrimeForm(pcs));
+        const entry = FORTE_SET_CLASSES[n].find(([, form]) => form === prime);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * The other set class with the same interval vector (4-Z15 <-> 4-Z29)
+     * @returns {string} Forte name, or null if the set is not Z-related
+     */
+    getZPartner(notes) {
+        const pcs = this.toPitchClasses(notes);
+        const name = this.getForteName(pcs);
+        if (!name || !name.includes('Z')) return null;
+
+        const n = pcs.length;
+        if (n >= 7) {
+            const partner = this.getZPartner([...Array(12).keys()].filter(pc => !pcs.includes(pc)));
+            return partner && partner.replace(/^\d+/, String(n));
+        }
+
+        const vector = this.getIntervalVector(pcs).join();
+        const entry = FORTE_SET_CLASSES[n].find(([other, form]) =>
+            other !== name && this.getIntervalVector(this.parsePitchClassSet(form)).join() === vector);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Transpose a set: Tn adds n to every pitch class
+     */
+    transposeSet(notes, n) {
+        return this.toPitchClasses(notes.map(pc => (typeof pc === 'number' ? pc : this.noteToIndex(pc)) + n));
+    }
+
+    /**
+     * Invert a set: TnI maps every pitch class x to n - x (I = T0I)
+     */
+    invertSet(notes, n = 0) {
+        return this.toPitchClasses(this.toPitchClasses(notes).map(pc => n - pc));
+    }
+
+    /**
+     * Operations that turn one set into another
+     * @returns {array} e.g. ['T7'] or ['T4I'], empty if the sets aren't Tn/TnI-equivalent
+     */
+    getSetOperations(from, to) {
+        const target = this.toPitchClasses(to).join();
+        return this.getSetImages(this.toPitchClasses(from))
+            .filter(img => img.key === target)
+            .map(img => `T${img.n}${img.inverted ? 'I' : ''}`);
+    }
+
+    /**
+     * All 24 Tn and TnI images of a set (duplicates kept, in T0..T11, T0I..T11I order)
+     */
+    getSetImages(pcs) {
+        const images = [];
+        [false, true].forEach(inverted => {
+            for (let n = 0; n < 12; n++) {
+                const image = inverted ? this.invertSet(pcs, n) : this.transposeSet(pcs, n);
+                images.push({ n, inverted, pitchClasses: image, key: image.join() });
+            }
+        });
+        return images;
+    }
+
+    /**
+     * Every distinct set in a set class (12 transpositions and 12 inversions, minus repeats)
+     * @returns {array} Normal forms, lowest first note first
+     */
+    getSetClassMembers(notes) {
+        const seen = new Set();
+        return this.getSetImages(this.toPitchClasses(notes))
+            .filter(img => !seen.has(img.key) && seen.add(img.key))
+            .map(img => this.getNormalForm(img.pitchClasses))
+            .sort((a, b) => a[0] - b[0] || this.comparePacking(a, b));
+    }
+
+    /**
+     * Pitch classes as text, T = 10 and E = 11: [0, 4, 7, 10] -> '047T'
+     */
+    formatPitchClassSet(pcs) {
+        return pcs.map(pc => (pc === 10 ? 'T' : pc === 11 ? 'E' : String(pc))).join('');
+    }
+
+    /**
+     * Read '047T' back into [0, 4, 7, 10]
+     */
+    parsePitchClassSet(text) {
+        return [...String(text)].map(ch => (ch === 'T' || ch === 'A' ? 10 : ch === 'E' || ch === 'B' ? 11 : parseInt(ch, 10)));
+    }
+
+    // =========================================================================
+    // NEO-RIEMANNIAN TRANSFORMATIONS
+    // =========================================================================
+
+    /**
+     * Apply P, L, R (and N, S, H) to a major or minor triad, left to right
+     * 
+     * TONNETZ: on the lattice of fifths and major thirds each triad is a
+     * triangle, and P, L and R flip it across one of its three edges.
+     * 
+     * The result is spelled from the input: every move carries the root's
+     * letter along, so common tones keep their names (R of Ebm is Gb, not F#).
+     * 
+     * @param {object|string} triad - Chord object or symbol ('C', 'Am')
+     * @param {string|array} operations - e.g. 'R', 'LR', ['P', 'L']
+     * @returns {object} buildChord result, or null if the input isn't a major/minor triad
+     */
+    transformTriad(triad, operations) {
+        let current = this.parseTriad(triad);
+        if (!current) return null;
+
+        for (const op of this.expandOperations(operations)) {
+            current = this.applyTriadOperation(current, op);
+            if (!current) return null;
+        }
+        return this.buildTriad(current);
+    }
+
+    /**
+     * The three triads one P, L or R move away
+     * @returns {object} { P, L, R } chord objects, or null
+     */
+    getTriadNeighbors(triad) {
+        if (!this.parseTriad(triad)) return null;
+        return {
+            P: this.transformTriad(triad, 'P'),
+            L: this.transformTriad(triad, 'L'),
+            R: this.transformTriad(triad, 'R')
+        };
+    }
+
+    /**
+     * Shortest chain of P, L and R moves from one triad to another
+     * @returns {object} { operations: 'LR', triads: [from, ..., to] } or null
+     */
+    findTransformationPath(from, to) {
+        const start = this.parseTriad(from);
+        const goal = this.parseTriad(to);
+        if (!start || !goal) return null;
+
+        const id = t => `${t.rootIndex}:${t.quality}`;
+        const previous = new Map([[id(start), null]]);
+        const queue = [start];
+
+        // Breadth-first over the 24 triads
+        while (queue.length) {
+            const current = queue.shift();
+            if (id(current) === id(goal)) break;
+            ['P', 'L', 'R'].forEach(op => {
+                const next = this.applyTriadOperation(current, op);
+                if (previous.has(id(next))) return;
+                previous.set(id(next), { from: current, op });
+                queue.push(next);
+            });
+        }
+
+        const operations = [];
+        const triads = [goal];
+        for (let step = previous.get(id(goal)); step; step = previous.get(id(step.from))) {
+            operations.unshift(step.op);
+            triads.unshift(step.from);
+        }
+
+        return {
+            operations: operations.join(''),
+            triads: triads.map(t => this.buildTriad(t))
         };
     }
 
+    /**
+     * Pitch class at a Tonnetz point: fifths run left to right, major thirds up
+     */
+    getTonnetzPitchClass(fifths, thirds) {
+        return (((7 * fifths + 4 * thirds) % 12) + 12) % 12;
+    }
+
+    /**
+     * Read a triad as { rootIndex, quality ('major' or 'minor'), letterIndex }
+     */
+    parseTriad(triad) {
+        const chord = typeof triad === 'string' ? this.parseChordSymbol(triad) : triad;
+        if (!chord || !chord.root || (chord.errors && chord.errors.length)) return null;
+        if (chord.type !== 'major' && chord.type !== 'minor') return null;
+        const root = this.parseNote(chord.root);
+        return { rootIndex: root.index, quality: chord.type, letterIndex: root.letterIndex };
+    }
+
+    /**
+     * Compound names (N, S, H) written out as P/L/R letters
+     */
+    expandOperations(operations) {
+        return [].concat(operations).join('').toUpperCase().split('')
+            .flatMap(op => (NEO_RIEMANNIAN_OPERATIONS[op] && NEO_RIEMANNIAN_OPERATIONS[op].sequence
+                ? NEO_RIEMANNIAN_OPERATIONS[op].sequence.split('')
+                : [op]));
+    }
+
+    /**
+     * One P, L or R move; each is its own inverse
+     * The root moves by a 3rd or 6th (letters +2 or +5), or stays for P.
+     */
+    applyTriadOperation({ rootIndex, quality, letterIndex }, op) {
+        const isMajor = quality === 'major';
+        const shift = { P: 0, L: isMajor ? 4 : 8, R: isMajor ? 9 : 3 }[op];
+        if (shift === undefined) return null;
+
+        const next = { rootIndex: (rootIndex + shift) % 12, quality: isMajor ? 'minor' : 'major' };
+        if (letterIndex === undefined) return next;
+
+        // Long chains drift into double accidentals (B# → D##m): start again from the simplest spelling
+        const letter = (letterIndex + { P: 0, L: isMajor ? 2 : 5, R: isMajor ? 5 : 2 }[op]) % 7;
+        const name = this.spellNote(letter, next.rootIndex);
+        next.letterIndex = name && name.length <= 2 ? letter : this.parseNote(this.buildTriad(next).root).letterIndex;
+        return next;
+    }
+
+    /**
+     * Triad from { rootIndex, quality, letterIndex }: on that letter when given
+     * (see transformTriad), else on the spelling with the simplest key signature
+     */
+    buildTriad({ rootIndex, quality, letterIndex }) {
+        const spelled = letterIndex !== undefined ? this.spellNote(letterIndex, rootIndex) : null;
+        const root = spelled && spelled.length <= 2
+            ? spelled
+            : this.getPreferredRootSpelling(this.indexToNote(rootIndex), quality === 'minor' ? 'naturalMinor' : 'major');
+        return this.buildChord(root, quality);
+    }
+
     // =========================================================================
     // KEY DETECTION
     // =========================================================================
 
     /**
      * Detect probable key from a set of notes
-     * Uses a scoring system based on how well notes fit each key
+     * Correlates a duration- and recency-weighted pitch-class profile with
+     * major and minor key profiles (Krumhansl-Schmuckler)
      * 
-     * @param {array} notes - Array of note names or frequencies
-     * @returns {array} Array of { key, scale, score } sorted by probability
+     * @param {array} notes - Note names, frequencies, or events
+     *                        { note | midi | freq, time, duration, velocity } (ms)
+     * @param {object} options - See getKeyDistribution
+     * @returns {array} All 24 keys { key, root, scale, score, correlation }, most likely first
      */
-    detectKey(notes) {
-        // Normalize to note names
-        const noteNames = notes.map(n => {
-            if (typeof n === 'string') return n;
-            if (typeof n === 'number') return this.frequencyToNote(n);
-            return n.note || n;
-        }).filter(Boolean);
+    detectKey(notes, options = {}) {
+        const profile = this.getPitchClassProfile(notes, options);
+        if (profile.filter(w => w > 0).length < 2) return [];
+        return this.getKeyDistribution(profile, options);
+    }
 
-        const uniqueNotes = [...new Set(noteNames.map(n => this.indexToNote(this.noteToIndex(n))))];
+    /**
+     * Weighted pitch-class profile (how much each of C..B was heard)
+     * 
+     * WEIGHT = duration (s) * velocity * 0.5^(age / halfLife)
+     * Names without timing count as a half-second note played now; a note
+     * still held (no duration) counts for as long as it has sounded.
+     * 
+     * @param {array} notes - Note names, frequencies, or events (see detectKey)
+     * @param {object} options - { now = Date.now(), halfLife = 8000 } (ms)
+     * @returns {array} 12 weights, index 0 = C
+     */
+    getPitchClassProfile(notes, options = {}) {
+        const { now = Date.now(), halfLife = 8000 } = options;
+        const profile = new Array(12).fill(0);
 
-        if (uniqueNotes.length < 2) return [];
+        notes.forEach(n => {
+            const event = typeof n === 'object' && n !== null ? n : { note: n };
+            let index = -1;
+            if (typeof n === 'number') index = this.getNearestPitch(n).index;
+            else if (Number.isFinite(event.midi)) index = ((event.midi % 12) + 12) % 12;
+            else if (event.freq) index = this.getNearestPitch(event.freq).index;
+            else index = this.noteToIndex(event.note);
+            if (index === -1) return;
 
-        const results = [];
+            const time = Number.isFinite(event.time) ? event.time : now;
+            const duration = Number.isFinite(event.duration) ? event.duration
+                : Number.isFinite(event.time) ? Math.max(now - event.time, 0) : 500;
+            const velocity = Number.isFinite(event.velocity) ? event.velocity : 1;
 
-        // Test each possible root and scale combination
-        for (const root of NOTE_NAMES) {
-            for (const scaleType of ['major', 'naturalMinor', 'dorian', 'mixolydian']) {
-                const scale = this.getScaleNotes(root, scaleType);
-
-                // Score: how many played notes are in this scale
-                const inScale = uniqueNotes.filter(n => scale.notes.includes(n)).length;
-                const outOfScale = uniqueNotes.length - inScale;
-                const score = (inScale - outOfScale * 2) / uniqueNotes.length;
-
-                if (score > 0) {
-                    results.push({
-                        key: `${root} ${scale.name}`,
-                        root,
-                        scale: scaleType,
-                        score: Math.max(0, score),
-                        matchedNotes: inScale,
-                        totalNotes: uniqueNotes.length
-                    });
-                }
-            }
+            // Recency: the note's end, not its start, is what the ear last heard
+            const age = Math.max(now - (time + duration), 0);
+            const recency = halfLife > 0 ? Math.pow(0.5, age / halfLife) : 1;
+
+            profile[index] += Math.max(duration, 50) / 1000 * velocity * recency;
+        });
+
+        return profile;
+    }
+
+    /**
+     * Rank all 24 major and minor keys against a pitch-class profile
+     * 
+     * correlation: Pearson r between the profile and the key's template.
+     * score: softmax of r (sums to 1 over the 24 keys), so a clear winner
+     * scores near 1 and a tie between relatives splits the score.
+     * 
+     * @param {array} profile - 12 weights from getPitchClassProfile
+     * @param {object} options - { profile = 'krumhansl', temperature = 0.05 }
+     * @returns {array} [{ key, root, scale, score, correlation }] most likely first
+     */
+    getKeyDistribution(profile, options = {}) {
+        const { temperature = 0.05 } = options;
+        const template = KEY_PROFILES[options.profile] || KEY_PROFILES.krumhansl;
+
+        const results = [];
+        for (let tonic = 0; tonic < 12; tonic++) {
+            [['major', template.major], ['naturalMinor', template.minor]].forEach(([scaleType, weights]) => {
+                const rotated = weights.map((_, i) => weights[(i - tonic + 12) % 12]);
+                const root = this.getPreferredRootSpelling(NOTE_NAMES[tonic], scaleType);
+                results.push({
+                    key: `${root} ${SCALES[scaleType].name}`,
+                    root,
+                    scale: scaleType,
+                    correlation: this.correlate(profile, rotated)
+                });
+            });
         }
 
-        // Sort by score descending
-        return results.sort((a, b) => b.score - a.score).slice(0, 5);
+        const best = Math.max(...results.map(r => r.correlation));
+        const exps = results.map(r => Math.exp((r.correlation - best) / temperature));
+        const total = exps.reduce((a, b) => a + b, 0);
+        results.forEach((r, i) => { r.score = exps[i] / total; });
+
+        return results.sort((a, b) => b.correlation - a.correlation);
+    }
+
+    /**
+     * Pearson correlation of two equal-length arrays
+     * @returns {number} -1..1 (0 if either array is flat)
+     */
+    correlate(a, b) {
+        const mean = arr => arr.reduce((sum, v) => sum + v, 0) / arr.length;
+        const ma = mean(a);
+        const mb = mean(b);
+        let num = 0;
+        let da = 0;
+        let db = 0;
+        a.forEach((v, i) => {
+            num += (v - ma) * (b[i] - mb);
+            da += (v - ma) ** 2;
+            db += (b[i] - mb) ** 2;
+        });
+        return da && db ? num / Math.sqrt(da * db) : 0;
     }
 
     /**
@@ -627,10 +3836,173 @@ class MusicTheoryEngine {
      * @returns {string} Note name
      */
     frequencyToNote(freq) {
-        const midiNote = Math.round(12 * Math.log2(freq / A4_FREQUENCY) + A4_MIDI_NUMBER);
+        const midiNote = Math.round(12 * Math.log2(freq / this.tuning.referenceFrequency) + A4_MIDI_NUMBER);
         return this.indexToNote(midiNote % 12);
     }
 
+    // =========================================================================
+    // KEY TRACKING (Modulation Timeline)
+    // =========================================================================
+
+    /**
+     * Split a performance into key regions and find the modulations between them
+     * 
+     * 1. Every `step` ms, find the key of the last `windowSize` ms (detectKey)
+     * 2. Choose one key per step maximizing total correlation minus
+     *    `switchPenalty` per key change (Viterbi), so one odd chord
+     *    doesn't count as a modulation
+     * 3. Fold regions shorter than `minRegion` into their neighbour
+     * 4. At each boundary, pick the pivot chord (findPivotChords) whose
+     *    tones best match what was played around the change
+     * 
+     * @param {array} events - [{ note | midi | freq, time, duration, velocity }] (ms; duration null = still held)
+     * @param {object} options - { windowSize = 8000, step = 1000, switchPenalty = 0.2, minRegion = 4000, profile, now }
+     * @returns {object} { regions: [{ key, root, scale, start, end, confidence }],
+     *                     modulations: [{ time, from, to, relationship, pivot, pivotChords }] }
+     */
+    trackKeys(events, options = {}) {
+        const {
+            windowSize = 8000, step = 1000, switchPenalty = 0.2, minRegion = 4000,
+            profile, now = Date.now()
+        } = options;
+
+        const notes = events
+            .filter(e => e && Number.isFinite(e.time))
+            .map(e => ({ ...e, end: e.time + (Number.isFinite(e.duration) ? e.duration : Math.max(now - e.time, 0)) }))
+            .sort((a, b) => a.time - b.time);
+
+        if (notes.length === 0) return { regions: [], modulations: [] };
+
+        // 1. Key distribution per frame (silent frames are skipped)
+        const start = notes[0].time;
+        const end = Math.max(...notes.map(n => n.end));
+        const frames = [];
+        for (let t = start + step; t < end + step; t += step) {
+            const heard = notes
+                .filter(n => n.time <= t && n.end >= t - windowSize)
+                .map(n => ({ ...n, duration: Math.min(n.end, t) - n.time }));
+            const keys = this.detectKey(heard, { now: t, halfLife: windowSize / 2, profile });
+            if (keys.length) frames.push({ time: t, keys: new Map(keys.map(k => [k.key, k])) });
+        }
+
+        if (frames.length === 0) return { regions: [], modulations: [] };
+
+        // 2. Viterbi over the 24 keys
+        const keyNames = [...frames[0].keys.keys()];
+        let totals = keyNames.map(k => frames[0].keys.get(k).correlation);
+        const back = [];
+        frames.slice(1).forEach(frame => {
+            const bestPrev = totals.indexOf(Math.max(...totals));
+            const pointers = [];
+            totals = keyNames.map((k, i) => {
+                const stay = totals[i];
+                const move = totals[bestPrev] - switchPenalty;
+                pointers.push(stay >= move ? i : bestPrev);
+                return Math.max(stay, move) + frame.keys.get(k).correlation;
+            });
+            back.push(pointers);
+        });
+
+        const path = [totals.indexOf(Math.max(...totals))];
+        for (let i = back.length - 1; i >= 0; i--) path.unshift(back[i][path[0]]);
+
+        // Frames -> regions. A change heard at frame t happened around the window's middle
+        let regions = [];
+        frames.forEach((frame, i) => {
+            const key = frame.keys.get(keyNames[path[i]]);
+            const last = regions[regions.length - 1];
+            if (last && last.key === key.key) {
+                last.end = frame.time;
+                last.scores.push(key.score);
+            } else {
+                const boundary = last ? Math.max(frame.time - windowSize / 2, last.start + step) : start;
+                if (last) last.end = boundary;
+                regions.push({ key: key.key, root: key.root, scale: key.scale, start: boundary, end: frame.time, scores: [key.score] });
+            }
+        });
+
+        // 3. Absorb short regions (the first region is kept so the timeline starts at 0)
+        regions = regions.reduce((kept, region, i) => {
+            const isShort = region.end - region.start < minRegion && i > 0 && i < regions.length - 1;
+            const prev = kept[kept.length - 1];
+            if (isShort) {
+                prev.end = region.end;
+                prev.scores.push(...region.scores);
+            } else if (prev && prev.key === region.key) {
+                prev.end = region.end;
+                prev.scores.push(...region.scores);
+            } else {
+                kept.push(region);
+            }
+            return kept;
+        }, []);
+
+        regions.forEach(r => {
+            r.confidence = r.scores.reduce((a, b) => a + b, 0) / r.scores.length;
+            delete r.scores;
+        });
+
+        // 4. Modulations and pivot chords
+        const modulations = regions.slice(1).map((to, i) => {
+            const from = regions[i];
+            const pivotChords = this.findPivotChords(from.root, from.scale, to.root, to.scale);
+            const distance = (this.noteToIndex(to.root) - this.noteToIndex(from.root) + 12) % 12;
+            const around = notes.filter(n => n.end >= to.start - windowSize / 2 && n.time <= to.start + step);
+
+            return {
+                time: to.start,
+                from: from.key,
+                to: to.key,
+                relationship: this.getKeyRelationship(distance, from.scale, to.scale),
+                pivot: this.findPlayedPivot(pivotChords, around, to.start, windowSize),
+                pivotChords
+            };
+        });
+
+        return { regions, modulations };
+    }
+
+    /**
+     * The pivot chord played around a key change
+     * 
+     * Notes struck together (within 60 ms) form a group; a group only counts
+     * for a chord if every note in it is a chord tone, so C-E under an Am
+     * doesn't make a C major pivot. Groups nearer the change weigh more.
+     * 
+     * @param {array} pivotChords - From findPivotChords (with notes)
+     * @param {array} notes - Events near the boundary, sorted by time
+     * @param {number} time - Estimated time of the key change (ms)
+     * @param {number} span - Distance (ms) at which a group no longer counts
+     * @returns {object} Pivot chord plus { time, coverage, score } or null if none was played
+     */
+    findPlayedPivot(pivotChords, notes, time, span) {
+        const pitchClass = n => (Number.isFinite(n.midi) ? ((n.midi % 12) + 12) % 12 : this.noteToIndex(n.note));
+        const groups = [];
+        notes.forEach(n => {
+            const last = groups[groups.length - 1];
+            if (last && n.time - last.time <= 60) last.pitches.push(pitchClass(n));
+            else groups.push({ time: n.time, pitches: [pitchClass(n)] });
+        });
+
+        let best = null;
+
+        pivotChords.forEach(pivot => {
+            const tones = pivot.notes.map(n => this.noteToIndex(n));
+            const fitting = groups.filter(g => g.pitches.every(pc => tones.includes(pc)));
+            const heard = new Set(fitting.flatMap(g => g.pitches));
+            const coverage = heard.size / tones.length;
+            const score = fitting.reduce((sum, g) =>
+                sum + g.pitches.length * Math.max(0, 1 - Math.abs(g.time - time) / span), 0);
+
+            // Need most of the chord; then prefer the chord heard most
+            if (coverage >= 2 / 3 && (!best || score > best.score)) {
+                best = { ...pivot, time: fitting[0].time, coverage, score };
+            }
+        });
+
+        return best;
+    }
+
     // =========================================================================
     // MODULATION HELPERS
     // =========================================================================
@@ -653,9 +4025,14 @@ class MusicTheoryEngine {
 
         for (const chordA of chordsA) {
             for (const chordB of chordsB) {
-                if (chordA.chord.name === chordB.chord.name) {
+                // Compare by pitch so C# (in A major) matches Db (in Ab major)
+                const sameRoot = this.noteToIndex(chordA.root) === this.noteToIndex(chordB.root);
+                if (sameRoot && chordA.chordType === chordB.chordType) {
                     pivots.push({
                         chord: chordA.chord.name,
+                        notes: chordA.chord.notes,
+                        numeralA: chordA.numeral,
+                        numeralB: chordB.numeral,
                         inKeyA: `${chordA.numeral} of ${rootA} ${scaleA}`,
                         inKeyB: `${chordB.numeral} of ${rootB} ${scaleB}`,
                         suggestion: `Play ${chordA.chord.name}, then move to ${rootB} ${scaleB}`
@@ -687,10 +4064,149 @@ class MusicTheoryEngine {
             semitoneDistance: distance,
             relationship: this.getKeyRelationship(distance, fromScale, toScale),
             pivotChords: pivots.slice(0, 3),
-            techniques: this.getModulationTechniques(distance)
+            techniques: this.getModulationTechniques(distance),
+            path: this.planModulation(fromRoot, fromScale, toRoot, toScale)
+        };
+    }
+
+    /**
+     * Plan a modulation through intermediate keys
+     * 
+     * Keys are nodes of a graph; every step costs more the further it moves
+     * round the circle of fifths (squared) and the fewer chords the two keys
+     * share, plus a penalty when fewer than `minShared` chords are shared (no
+     * real pivot) and a smaller one for crossing between sharp and flat keys
+     * (E major → Eb minor needs G#m respelled as Abm). So the route heads
+     * flatwards to Eb minor and sharpwards to D# minor. The cheapest route
+     * (Dijkstra) is written out as chords: each intermediate key is tonicized
+     * with pivot → V7 → I, the pivot spelled as in the key it leads into.
+     * 
+     * e.g. C major → F# major: C → D → E → F#, each reached via a ii or vi pivot
+     * 
+     * @param {string} fromRoot - Starting key root
+     * @param {string} fromScale - Starting scale type
+     * @param {string} toRoot - Target key root
+     * @param {string} toScale - Target scale type
+     * @param {object} options - { scales = ['major', 'naturalMinor'] (keys to pass through), minShared = 2 }
+     * @returns {object} { from, to, keys: [{ root, scale, key }], steps: [{ from, to, fifths, shared, pivot }],
+     *   chords: [{ position, key, numeral, role (tonic/pivot/dominant), root, chord }], symbols, cost } or null
+     */
+    planModulation(fromRoot, fromScale, toRoot, toScale, options = {}) {
+        const { scales = ['major', 'naturalMinor'], minShared = 2 } = options;
+        if (!SCALES[fromScale] || !SCALES[toScale]) return null;
+        if (this.noteToIndex(fromRoot) === -1 || this.noteToIndex(toRoot) === -1) return null;
+
+        // One node per key; the two ends keep the spelling they were given
+        const nodes = new Map();
+        const addNode = (root, scale) => {
+            const id = `${this.noteToIndex(root)} ${scale}`;
+            if (nodes.has(id)) return id;
+            const chords = this.getDiatonicChords(root, scale);
+            const signature = this.getKeySignature(root, scale);
+            if (!chords || !signature) return null;
+            nodes.set(id, {
+                root,
+                scale,
+                key: `${root} ${SCALES[scale].name}`,
+                chords,
+                signature: signature.count,
+                // Compare chords by pitch, so C# (in A major) matches Db (in Ab major)
+                chordSet: new Set(chords.map(c => `${this.noteToIndex(c.root)} ${c.chordType}`))
+            });
+            return id;
+        };
+        const start = addNode(fromRoot, fromScale);
+        const goal = addNode(toRoot, toScale);
+        if (!start || !goal) return null;
+        scales.forEach(scale => NOTE_NAMES.forEach(name => addNode(this.getPreferredRootSpelling(name, scale), scale)));
+
+        const edge = (a, b) => {
+            const fifths = Math.abs(a.signature - b.signature) % 12;
+            const distance = Math.min(fifths, 12 - fifths);
+            const respelled = Math.abs(a.signature - b.signature) > 6;
+            const shared = [...a.chordSet].filter(c => b.chordSet.has(c)).length;
+            const closeness = shared / Math.min(a.chords.length, b.chords.length);
+            return {
+                fifths: distance,
+                shared,
+                cost: 1 + distance * distance / 2 + (1 - closeness) + (shared < minShared ? 4 : 0) + (respelled ? 1 : 0)
+            };
+        };
+
+        // Dijkstra over all keys (every pair is connected, so the goal is always reached)
+        const cost = new Map([[start, 0]]);
+        const previous = new Map();
+        const done = new Set();
+        while (!done.has(goal)) {
+            let current = null;
+            cost.forEach((c, id) => {
+                if (!done.has(id) && (current === null || c < cost.get(current))) current = id;
+            });
+            done.add(current);
+            nodes.forEach((node, id) => {
+                if (done.has(id)) return;
+                const c = cost.get(current) + edge(nodes.get(current), node).cost;
+                if (!cost.has(id) || c < cost.get(id)) {
+                    cost.set(id, c);
+                    previous.set(id, current);
+                }
+            });
+        }
+
+        const route = [goal];
+        while (route[0] !== start) route.unshift(previous.get(route[0]));
+        const keys = route.map(id => nodes.get(id));
+
+        // Chords: the home tonic, then pivot → V7 → I into every following key
+        const chords = [{ key: keys[0].key, numeral: keys[0].chords[0].numeral, role: 'tonic', root: keys[0].root, chord: keys[0].chords[0].chord }];
+        const steps = keys.slice(1).map((to, i) => {
+            const from = keys[i];
+            const pivot = this.choosePivotChord(this.findPivotChords(from.root, from.scale, to.root, to.scale));
+            const dominant = to.chords.length === 7 ? this.buildChord(to.chords[4].root, 'dominant7') : null;
+
+            if (pivot) {
+                const item = to.chords.find(c => c.numeral === pivot.numeralB);
+                chords.push({ key: to.key, numeral: `${pivot.numeralA} = ${pivot.numeralB}`, role: 'pivot', root: item.root, chord: item.chord });
+            }
+            if (dominant) {
+                chords.push({ key: to.key, numeral: 'V7', role: 'dominant', root: dominant.root, chord: dominant });
+            }
+            chords.push({ key: to.key, numeral: to.chords[0].numeral, role: 'tonic', root: to.root, chord: to.chords[0].chord });
+
+            const { fifths, shared } = edge(from, to);
+            return { from: from.key, to: to.key, fifths, shared, pivot };
+        });
+        chords.forEach((c, i) => { c.position = i + 1; });
+
+        return {
+            from: keys[0].key,
+            to: keys[keys.length - 1].key,
+            keys: keys.map(k => ({ root: k.root, scale: k.scale, key: k.key })),
+            steps,
+            chords,
+            symbols: chords.map(c => c.chord.name),
+            cost: cost.get(goal)
         };
     }
 
+    /**
+     * The best pivot for leading into a new key: a chord that is a predominant
+     * there (ii, IV, then vi, iii, a minor key's v). The new tonic and V7
+     * come next anyway, and diminished chords make weak pivots.
+     * 
+     * @param {array} pivotChords - From findPivotChords
+     * @returns {object} Pivot chord, or null for a direct modulation
+     */
+    choosePivotChord(pivotChords) {
+        const preference = [2, 4, 6, 3, 5];
+        const degree = numeral => this.getNumeralDegree(numeral);
+        const usable = numeral => !/[°ø]/.test(numeral) && (degree(numeral) !== 5 || /^[b#]*v/.test(numeral));
+
+        return pivotChords
+            .filter(p => preference.includes(degree(p.numeralB)) && usable(p.numeralB))
+            .sort((a, b) => preference.indexOf(degree(a.numeralB)) - preference.indexOf(degree(b.numeralB)))[0] || null;
+    }
+
     /**
      * Describe relationship between two keys
      */
@@ -772,6 +4288,595 @@ class MusicTheoryEngine {
             keyType: data.keyType || 'major'
         }));
     }
+
+    /**
+     * Compose a new progression in a key with a weighted Markov chain
+     * 
+     * Starts on the tonic, walks ROOT_MOTION_WEIGHTS (tonic → predominant →
+     * dominant → tonic) and ends with the requested cadence. A `style` makes
+     * its own chord moves much more likely, so 'i-iv-VII' gives deep-house
+     * loops around those chords. Minor keys get a major V for cadences.
+     * 
+     * @param {string} root - Key root
+     * @param {string} scaleType - Scale type
+     * @param {object} options - { length = 8, cadence = 'authentic' (CADENCE_TYPES key or 'none'),
+     *   size = 3 (see getDiatonicChords), chordTypes (CHORD_TYPES keys allowed; the tonic always is),
+     *   style (PROGRESSIONS key or numerals like 'i-iv-VII'), seed (number or string) }
+     * @returns {object} { key, root, scale, seed, cadence, chords, symbols, relaxed } or null when
+     *   the scale lacks the cadence chords, `length` can't hold the tonic plus the cadence,
+     *   chordTypes leaves nothing but the tonic, or `style` is unknown (see getStyleMoves)
+     *   chords: [{ position, degree, numeral, function, root, chord, chordType }]
+     *   relaxed: true if the walk hit a dead end and had to borrow a chord chordTypes excludes
+     */
+    generateProgression(root, scaleType = 'major', options = {}) {
+        const { length = 8, cadence = 'authentic', size = 3, chordTypes = null, style = null } = options;
+        const seed = options.seed !== undefined && options.seed !== '' ? options.seed : Math.floor(Math.random() * 1e6);
+
+        const diatonic = this.getDiatonicChords(root, scaleType, size);
+        if (!diatonic) return null;
+        if (cadence !== 'none' && !CADENCE_TYPES[cadence]) return null;
+
+        // Root-motion table works on generic degrees, so pentatonic bIII still counts as a III
+        const generic = item => this.getNumeralDegree(item.numeral);
+        const byDegree = degree => diatonic.find(item => generic(item) === degree);
+        const tonic = byDegree(1);
+
+        const ending = (cadence === 'none' ? [] : CADENCE_TYPES[cadence].degrees).map(degree => {
+            const item = byDegree(degree);
+            return item && degree === 5 ? this.getMajorDominant(item, size) : item;
+        });
+        if (!tonic || ending.some(item => !item)) return null;
+        if (!Number.isInteger(length) || length < ending.length + 1) return null;
+
+        const choices = diatonic.filter(item => item === tonic || !chordTypes || chordTypes.includes(item.chordType));
+        const free = length - ending.length;
+        if (free > 1 && choices.length === 1) return null;
+        const styleMoves = this.getStyleMoves(style);
+        if (!styleMoves) return null;
+        const weight = (from, to) => {
+            const a = generic(from);
+            const b = generic(to);
+            let w = (ROOT_MOTION_WEIGHTS[a] || {})[b] || 0;
+            if (styleMoves.has(`${a}>${b}`)) w = (w || 1) * 6;
+            return w;
+        };
+
+        const random = this.createRandom(seed);
+        const pick = weighted => {
+            const total = weighted.reduce((sum, [, w]) => sum + w, 0);
+            let r = random() * total;
+            return (weighted.find(([, w]) => (r -= w) < 0) || weighted[weighted.length - 1])[0];
+        };
+
+        // Free chords, then the cadence; the last free chord has to lead into
+        // the cadence (or back to the tonic when the progression loops)
+        const sequence = [tonic];
+        let relaxed = false;
+        while (sequence.length < free) {
+            const prev = sequence[sequence.length - 1];
+            const isLast = sequence.length === free - 1;
+            const target = ending[0] || tonic;
+            const moves = from => from
+                .filter(item => item !== prev)
+                .map(item => [item, weight(prev, item) * (isLast ? weight(item, target) : 1)])
+                .filter(([, w]) => w > 0);
+            let weighted = moves(choices);
+            // Dead end inside the filter: step outside it rather than stall on the tonic, and say so
+            if (!weighted.length && choices.length < diatonic.length) {
+                weighted = moves(diatonic);
+                relaxed = relaxed || weighted.length > 0;
+            }
+            sequence.push(weighted.length ? pick(weighted) : tonic);
+        }
+        sequence.push(...ending);
+
+        const chords = sequence.map((item, i) => ({
+            position: i + 1,
+            degree: item.degree,
+            numeral: item.numeral,
+            function: this.getDegreeFunction(generic(item)),
+            root: item.root,
+            chord: item.chord,
+            chordType: item.chordType
+        }));
+
+        return {
+            key: `${root} ${SCALES[scaleType].name}`,
+            root,
+            scale: scaleType,
+            seed,
+            cadence,
+            chords,
+            symbols: chords.map(c => c.chord.name),
+            relaxed
+        };
+    }
+
+    /**
+     * Degree moves of a style: 'i-iv-VII' loops 1>4, 4>7, 7>1
+     * @param {string|array} style - PROGRESSIONS key, numerals or degree numbers
+     * @returns {Set} 'from>to' pairs of generic degrees, or null if a token is
+     *   neither a PROGRESSIONS key nor a degree ('deepHouse')
+     */
+    getStyleMoves(style) {
+        const moves = new Set();
+        if (!style) return moves;
+
+        const tokens = PROGRESSIONS[style] ? PROGRESSIONS[style].degrees : [].concat(style).join(' ').split(/[\s,|–—-]+/).filter(Boolean);
+        const degrees = tokens.map(token => {
+            if (Number.isInteger(token) || /^\d+$/.test(token)) return Number(token);
+            const match = String(token).replace(/^[b#]+/, '').match(/^[ivIV]+/);
+            return match ? ROMAN_NUMERALS.indexOf(match[0].toUpperCase()) + 1 : 0;
+        });
+        if (!degrees.length || degrees.some(degree => degree < 1 || degree > 7)) return null;
+
+        degrees.forEach((degree, i) => {
+            const next = degrees[(i + 1) % degrees.length];
+            if (next !== degree) moves.add(`${degree}>${next}`);
+        });
+        return moves;
+    }
+
+    /**
+     * The V of a key as a major chord (harmonic minor's raised leading tone)
+     * @param {object} item - Diatonic chord item on degree 5
+     * @param {number} size - Chord size, 4+ gives a dominant 7th
+     */
+    getMajorDominant(item, size) {
+        const intervals = item.chord.intervals.filter(i => i < 12);
+        if (!intervals.includes(3) || intervals.includes(4)) return item;
+
+        const count = size === true ? 4 : Number(size) || 3;
+        const chord = this.buildChord(item.root, count >= 4 ? 'dominant7' : 'major');
+        return { ...item, numeral: count >= 4 ? 'V7' : 'V', chord, chordType: chord.type };
+    }
+
+    /**
+     * Seeded random numbers in [0, 1) (mulberry32), so a seed always gives the same progression
+     * @param {number|string} seed - Strings are hashed
+     * @returns {function} Random number generator
+     */
+    createRandom(seed) {
+        let state = typeof seed === 'number' ? seed >>> 0 : 0;
+        if (typeof seed !== 'number') {
+            for (const ch of String(seed)) state = Math.imul(state ^ ch.charCodeAt(0), 2654435761) >>> 0;
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Generic scale degree of a Roman numeral, ignoring accidentals and quality
+     * e.g. 'bIII+' -> 3, 'ii°7' -> 2, 'V7' -> 5 (0 if it isn't a numeral)
+     */
+    getNumeralDegree(numeral) {
+        return ROMAN_NUMERALS.indexOf(String(numeral).replace(/^[b#]+/, '').match(/^[ivIV]*/)[0].toUpperCase()) + 1;
+    }
+
+    // =========================================================================
+    // MELODY HARMONIZATION
+    // =========================================================================
+
+    /**
+     * Suggest chords under a melody
+     * 
+     * 1. Notes struck together (within 60 ms) count once, as the top note
+     * 2. The melody is cut into segments: one per note, or one per beat
+     *    (`per` in ms) with notes weighed by how long they sound in it. Beats
+     *    where nothing sounds get no chord
+     * 3. Every diatonic chord (minor keys also get a major V) is scored per
+     *    segment for COVERAGE: chord tones count fully, other scale tones
+     *    (passing notes) 0.3, chromatic notes 0; a segment's first note weighs double
+     * 4. FLOW scores each chord change with ROOT_MOTION_WEIGHTS; starting and
+     *    ending on the tonic (or a half cadence on V) score extra
+     * 5. A beam search keeps the best `count` distinct harmonizations
+     * 
+     * Score = 60% average coverage + 40% average flow.
+     * 
+     * @param {array} melody - Note names ('E4', 'E'), MIDI numbers, or events { note | midi, time, duration }
+     * @param {string} root - Key root
+     * @param {string} scaleType - Scale type
+     * @param {object} options - { per = 'note' (or beat length in ms), size = 3 (see getDiatonicChords), count = 3 }
+     * @returns {object} { key, melody: [{ note, midi, time, duration }], harmonizations } or null
+     *   harmonizations: [{ score, coverage, flow, chords, symbols }], best first
+     *   chords: [{ position, time, duration, melody (note names), numeral, function, root, chord, coverage }]
+     */
+    harmonizeMelody(melody, root, scaleType = 'major', options = {}) {
+        const { per = 'note', size = 3, count = 3 } = options;
+        const diatonic = this.getDiatonicChords(root, scaleType, size);
+        const scale = this.getScaleNotes(root, scaleType);
+        if (!diatonic || !scale) return null;
+
+        const notes = this.normalizeMelody(melody);
+        if (notes.length === 0) return null;
+
+        // Candidates: diatonic chords, plus the major V a minor key cadences with
+        const candidates = [...diatonic];
+        const fifth = diatonic.find(item => this.getNumeralDegree(item.numeral) === 5);
+        const dominant = fifth && this.getMajorDominant(fifth, size);
+        if (dominant && dominant !== fifth) candidates.push(dominant);
+        const tones = candidates.map(item => new Set(item.chord.notes.map(n => this.noteToIndex(n))));
+        const scaleTones = new Set(scale.noteIndices);
+
+        // Segments: [{ time, duration, parts: [{ note, weight }] }]
+        const segments = [];
+        if (per === 'note') {
+            notes.forEach(n => segments.push({ time: n.time, duration: n.duration, parts: [{ note: n, weight: 1 }] }));
+        } else {
+            const start = notes[0].time;
+            const end = Math.max(...notes.map(n => n.time + n.duration));
+            for (let t = start; t < end; t += per) {
+                const parts = notes
+                    .filter(n => n.time < t + per && n.time + n.duration > t)
+                    .map(n => ({ note: n, weight: Math.min(n.time + n.duration, t + per) - Math.max(n.time, t) }));
+                if (parts.length) segments.push({ time: t, duration: per, parts });
+            }
+        }
+
+        const coverage = segments.map(segment => tones.map(chordTones => {
+            let total = 0;
+            let fit = 0;
+            segment.parts.forEach(({ note, weight }, i) => {
+                const w = weight * (i === 0 ? 2 : 1);
+                total += w;
+                fit += w * (chordTones.has(note.pitchClass) ? 1 : scaleTones.has(note.pitchClass) ? 0.3 : 0);
+            });
+            return fit / total;
+        }));
+
+        const degrees = candidates.map(item => this.getNumeralDegree(item.numeral));
+        const flow = (a, b) => {
+            if (a === b) return 0.5; // Holding a chord is fine, but not interesting
+            const w = (ROOT_MOTION_WEIGHTS[degrees[a]] || {})[degrees[b]];
+            return w ? w / 4 : 0.1;
+        };
+        const startScore = c => (degrees[c] === 1 ? 1 : 0.5);
+        const endScore = c => (degrees[c] === 1 ? 1 : degrees[c] === 5 ? 0.6 : 0.2);
+
+        // Beam search over segments
+        const BEAM = 48;
+        let beam = candidates.map((_, c) => ({ path: [c], cover: coverage[0][c], flow: startScore(c) }));
+        for (let i = 1; i < segments.length; i++) {
+            const next = [];
+            beam.forEach(state => candidates.forEach((_, c) => {
+                next.push({
+                    path: [...state.path, c],
+                    cover: state.cover + coverage[i][c],
+                    flow: state.flow + flow(state.path[state.path.length - 1], c)
+                });
+            }));
+            const rank = s => 0.6 * s.cover / (i + 1) + 0.4 * s.flow / (i + 1);
+            beam = next.sort((a, b) => rank(b) - rank(a)).slice(0, BEAM);
+        }
+
+        const last = segments.length - 1;
+        const finished = beam.map(state => {
+            const cover = state.cover / segments.length;
+            const flowScore = (state.flow + endScore(state.path[last])) / (segments.length + 1);
+            return { ...state, coverage: cover, flowScore, score: 0.6 * cover + 0.4 * flowScore };
+        }).sort((a, b) => b.score - a.score);
+
+        const harmonizations = finished.slice(0, count).map(state => {
+            const chords = state.path.map((c, i) => {
+                const item = candidates[c];
+                return {
+                    position: i + 1,
+                    time: segments[i].time,
+                    duration: segments[i].duration,
+                    melody: segments[i].parts.map(p => p.note.note),
+                    numeral: item.numeral,
+                    function: this.getDegreeFunction(degrees[c]),
+                    root: item.root,
+                    chord: item.chord,
+                    coverage: coverage[i][c]
+                };
+            });
+            return {
+                score: state.score,
+                coverage: state.coverage,
+                flow: state.flowScore,
+                chords,
+                symbols: chords.map(c => c.chord.name)
+            };
+        });
+
+        return {
+            key: `${root} ${SCALES[scaleType].name}`,
+            melody: notes.map(({ note, midi, time, duration }) => ({ note, midi, time, duration })),
+            harmonizations
+        };
+    }
+
+    /**
+     * Melody input -> [{ note, pitchClass, midi, time, duration }] sorted by time
+     * Untimed notes get 500 ms each; held notes (duration null) last until the next one.
+     * Notes struck together keep only the highest, which carries the tune.
+     */
+    normalizeMelody(melody) {
+        const STEP = 500;
+        const parsed = (melody || []).map((item, i) => {
+            const event = typeof item === 'object' && item !== null ? item : { note: item };
+            let midi = Number.isFinite(event.midi) ? event.midi : typeof event.note === 'number' ? event.note : null;
+            let pitchClass = midi !== null ? ((midi % 12) + 12) % 12 : -1;
+
+            if (midi === null && typeof event.note === 'string') {
+                const match = event.note.trim().match(/^(.+?)(-?\d+)?$/);
+                const parsedNote = match && this.parseNote(match[1]);
+                if (parsedNote) {
+                    pitchClass = parsedNote.index;
+                    midi = match[2] !== undefined ? (parseInt(match[2], 10) + 1) * 12 + pitchClass : 60 + pitchClass;
+                }
+            }
+            if (pitchClass === -1) return null;
+
+            return {
+                note: typeof event.note === 'string' ? event.note.replace(/-?\d+$/, '') : NOTE_NAMES[pitchClass],
+                pitchClass,
+                midi,
+                time: Number.isFinite(event.time) ? event.time : i * STEP,
+                duration: Number.isFinite(event.duration) ? event.duration : null
+            };
+        }).filter(Boolean).sort((a, b) => a.time - b.time);
+
+        const onsets = [];
+        parsed.forEach(n => {
+            const last = onsets[onsets.length - 1];
+            if (!last || n.time - last.time > 60) onsets.push(n);
+            else if (n.midi > last.midi) onsets[onsets.length - 1] = { ...n, time: last.time };
+        });
+        return onsets.map((n, i) => {
+            const next = onsets[i + 1];
+            const duration = n.duration !== null ? n.duration : next ? next.time - n.time : STEP;
+            return { ...n, duration: Math.max(duration, 1) };
+        });
+    }
+
+    // =========================================================================
+    // ROMAN NUMERAL ANALYSIS
+    // =========================================================================
+
+    /**
+     * Label each chord of a progression with a Roman numeral in a key
+     * 
+     * Tried in order: diatonic (minor keys also get harmonic-minor V and vii°),
+     * augmented sixths, Neapolitan (bII), secondary dominants (V/x, vii°/x),
+     * modal mixture from the parallel key (bVI, iv in major), then chromatic.
+     * Inversions use figured-bass numbers: I6, I64, V65, V43, V42.
+     * 
+     * @param {array} chords - Chord symbols ('G7', 'Ab') or chord objects (buildChord/identifyChord)
+     * @param {object|string} key - { root, scale } or 'C major', 'A minor', 'F#m'
+     * @returns {object} { key, chords: [{ chord, numeral, function, degree, description }], cadences, errors }
+     *   On an unknown key: { key, errors: [{ message }] }
+     */
+    analyzeProgression(chords, key) {
+        const { root, scale } = this.parseKey(key) || {};
+        if (!root || this.noteToIndex(root) === -1 || !SCALES[scale]) {
+            const text = key && typeof key === 'object' ? [key.root, key.scale].filter(Boolean).join(' ') : String(key || '');
+            return { key: text, errors: [{ message: `Unknown key "${text}"` }] };
+        }
+
+        const items = chords.map(c => (typeof c === 'string' ? this.parseChordSymbol(c) : c));
+        const analyzed = items.map((chord, i) => (
+            chord && chord.root && !(chord.errors && chord.errors.length)
+                ? this.analyzeChordInKey(chord, root, scale, items[i + 1])
+                : { chord, numeral: '?', function: 'unknown', degree: null, description: 'Not a chord' }
+        ));
+
+        return {
+            key: `${root} ${SCALES[scale].name}`,
+            root,
+            scale,
+            chords: analyzed,
+            cadences: this.findCadences(analyzed),
+            errors: []
+        };
+    }
+
+    /**
+     * Read a key given as { root, scale } or as text ('C major', 'Am', 'Eb minor')
+     * @returns {object} { root, scale } (scale null for an unknown mode) or null
+     */
+    parseKey(key) {
+        if (key && typeof key === 'object') return { root: key.root, scale: key.scale || 'major' };
+
+        const match = String(key || '').trim().match(/^([A-G](?:bb|b|##|#)?)\s*(.*)$/);
+        if (!match) return null;
+        const mode = match[2].toLowerCase();
+        const scale = mode === 'm' || mode.startsWith('min') ? 'naturalMinor'
+            : mode === '' ? 'major'
+                : Object.keys(SCALES).find(k => k.toLowerCase() === mode) || null;
+        return { root: match[1], scale };
+    }
+
+    /**
+     * Roman numeral and harmonic function of one chord in a key
+     * @param {object} chord - Chord object with root, intervals, inversion
+     * @param {string} root - Key root
+     * @param {string} scale - Key scale type
+     * @param {object} next - The following chord (augmented sixths need to resolve to V)
+     * @returns {object} { chord, numeral, function, degree, description }
+     */
+    analyzeChordInKey(chord, root, scale, next) {
+        const tonic = this.noteToIndex(root);
+        const rel = pc => (pc - tonic + 12) % 12;
+        const chordRoot = rel(this.noteToIndex(chord.root));
+        const pitches = [...new Set(chord.intervals.map(i => (chordRoot + i) % 12))];
+        const core = this.getChordCore(chord.intervals);
+        const isMinorKey = SCALES[scale].intervals.includes(3) && !SCALES[scale].intervals.includes(4);
+        const result = (numeral, fn, degree, description) => ({
+            chord,
+            numeral: this.addInversionFigure(numeral, chord),
+            function: fn,
+            degree,
+            description
+        });
+
+        // 1. Diatonic (minor keys borrow V, V7, vii°, vii°7 from harmonic minor)
+        const size = core.length === 3 ? 3 : 4;
+        const diatonicSets = [this.getDiatonicChords(root, scale, size)];
+        if (isMinorKey && scale !== 'harmonicMinor') diatonicSets.push(this.getDiatonicChords(root, 'harmonicMinor', size));
+
+        for (const diatonic of diatonicSets) {
+            const match = diatonic && diatonic.find(d =>
+                rel(this.noteToIndex(d.root)) === chordRoot && this.sameChordCore(d.chord.intervals, core)
+            );
+            if (match && (diatonic === diatonicSets[0] || [5, 7].includes(match.degree))) {
+                const numeral = chord.intervals.length > core.length
+                    ? this.getRomanNumeral(match.degree, chord, match.numeral.match(/^[b#]*/)[0])
+                    : match.numeral;
+                const description = diatonic === diatonicSets[0]
+                    ? `Diatonic ${numeral} in ${root} ${SCALES[scale].name}`
+                    : `${numeral} from ${root} harmonic minor (raised leading tone)`;
+                return result(numeral, this.getDegreeFunction(match.degree), match.degree, description);
+            }
+        }
+
+        // 2. Augmented sixths (German only when it resolves to V, otherwise it is a plain dominant 7th)
+        const nextRoot = next && next.root ? rel(this.noteToIndex(next.root)) : null;
+        for (const [type, data] of Object.entries(AUGMENTED_SIXTHS)) {
+            const same = data.pitches.length === pitches.length && data.pitches.every(p => pitches.includes(p));
+            if (same && (type !== 'german' || nextRoot === 7)) {
+                return { chord, numeral: data.numeral, function: 'predominant', degree: 6, description: `${data.name}: b6 and #4 resolve outward to V` };
+            }
+        }
+
+        // 3. Neapolitan: major triad on b2
+        if (chordRoot === 1 && this.sameChordCore([0, 4, 7], core)) {
+            return { chord, numeral: chord.inversion === 1 ? 'N6' : 'N', function: 'predominant', degree: 2, description: 'Neapolitan: major chord on the flat 2nd' };
+        }
+
+        // 4. Secondary dominants of diatonic major/minor triads (not of I itself)
+        const triads = this.getDiatonicChords(root, scale, 3) || [];
+        const isDominant = this.sameChordCore([0, 4, 7], core) || this.sameChordCore([0, 4, 7, 10], core);
+        const isLeadingTone = ['diminished', 'diminished7', 'halfDiminished'].some(t => this.sameChordCore(CHORD_TYPES[t].intervals, core));
+
+        for (const target of triads) {
+            const targetRoot = rel(this.noteToIndex(target.root));
+            const resolvable = target.degree !== 1 && ['major', 'minor'].includes(target.chord.type);
+            if (!resolvable) continue;
+
+            if (isDominant && (targetRoot + 7) % 12 === chordRoot) {
+                const numeral = `${this.addInversionFigure(this.getRomanNumeral(5, chord), chord)}/${target.numeral}`;
+                return { chord, numeral, function: 'secondary dominant', degree: 5, target: target.degree, description: `Dominant of ${target.numeral} (${target.chord.name})` };
+            }
+            if (isLeadingTone && (targetRoot + 11) % 12 === chordRoot) {
+                const numeral = `${this.addInversionFigure(this.getRomanNumeral(7, chord), chord)}/${target.numeral}`;
+                return { chord, numeral, function: 'secondary dominant', degree: 7, target: target.degree, description: `Leading-tone chord of ${target.numeral} (${target.chord.name})` };
+            }
+        }
+
+        // 5/6. Modal mixture from the parallel key, else chromatic (accidentals against the major scale, as diatonic numerals)
+        const degree = this.getGenericDegree(chord.root, root);
+        const offset = ((chordRoot - LETTER_INDICES[degree - 1] + 18) % 12) - 6;
+        const accidental = ACCIDENTALS[offset] !== undefined ? ACCIDENTALS[offset] : '';
+        const numeral = this.getRomanNumeral(degree, chord, accidental);
+
+        const parallel = isMinorKey ? 'major' : 'naturalMinor';
+        const borrowed = (this.getDiatonicChords(root, parallel, size) || []).find(d =>
+            rel(this.noteToIndex(d.root)) === chordRoot && this.sameChordCore(d.chord.intervals, core)
+        );
+        if (borrowed) {
+            return result(numeral, 'borrowed', degree, `Borrowed from ${root} ${isMinorKey ? 'major' : 'minor'} (modal mixture)`);
+        }
+
+        return result(numeral, 'chromatic', degree, 'Chromatic chord');
+    }
+
+    /**
+     * Chord tones within the octave (extensions dropped, 9ths folded away)
+     * @returns {array} Sorted intervals, e.g. G9 -> [0, 4, 7, 10]
+     */
+    getChordCore(intervals) {
+        return [...new Set(intervals.filter(i => i < 12))].sort((a, b) => a - b);
+    }
+
+    /**
+     * Do two interval lists describe the same triad/7th chord?
+     */
+    sameChordCore(a, b) {
+        const coreA = this.getChordCore(a);
+        const coreB = this.getChordCore(b);
+        return coreA.length === coreB.length && coreA.every((v, i) => v === coreB[i]);
+    }
+
+    /**
+     * Scale degree (1-7) counted by letter name: Ab in C is degree 6, G# is degree 5
+     */
+    getGenericDegree(note, keyRoot) {
+        const a = this.parseNote(note);
+        const b = this.parseNote(keyRoot);
+        return a && b ? ((a.letterIndex - b.letterIndex + 7) % 7) + 1 : 1;
+    }
+
+    /**
+     * Harmonic function of a diatonic degree
+     * @returns {string} 'tonic', 'predominant' or 'dominant'
+     */
+    getDegreeFunction(degree) {
+        if ([2, 4].includes(degree)) return 'predominant';
+        if ([5, 7].includes(degree)) return 'dominant';
+        return 'tonic';
+    }
+
+    /**
+     * Add figured-bass inversion numbers: I -> I6 / I64, V7 -> V65 / V43 / V42
+     */
+    addInversionFigure(numeral, chord) {
+        const inversion = chord.inversion || 0;
+        if (!inversion) return numeral;
+
+        if (this.getChordCore(chord.intervals).length >= 4 && /7$/.test(numeral)) {
+            return numeral.replace(/7$/, ['7', '65', '43', '42'][inversion] || '7');
+        }
+        return `${numeral}${['', '6', '64'][inversion] || ''}`;
+    }
+
+    /**
+     * Find cadences between consecutive analyzed chords
+     * A half cadence only counts at the end (a V that is not resolved)
+     * 
+     * @param {array} analyzed - From analyzeProgression
+     * @returns {array} [{ type, name, description, index, perfect }] (index = the arrival chord)
+     */
+    findCadences(analyzed) {
+        const cadences = [];
+        const isV = a => a.degree === 5 && a.function === 'dominant' && a.chord.intervals.includes(4);
+        const isVii = a => a.degree === 7 && a.function === 'dominant' && a.chord.intervals.includes(6); // vii°, not VII
+        const add = (type, index, extra = {}) => cadences.push({
+            type,
+            name: CADENCE_TYPES[type].name,
+            description: CADENCE_TYPES[type].description,
+            index,
+            ...extra
+        });
+
+        analyzed.forEach((to, i) => {
+            const from = analyzed[i - 1];
+            if (!from) return;
+
+            if ((isV(from) || isVii(from)) && to.degree === 1 && to.function === 'tonic') {
+                add('authentic', i, { perfect: isV(from) && !from.chord.inversion && !to.chord.inversion });
+            } else if (from.degree === 4 && ['predominant', 'borrowed'].includes(from.function) && to.degree === 1 && to.function === 'tonic') {
+                add('plagal', i);
+            } else if (isV(from) && to.degree === 6 && ['tonic', 'borrowed'].includes(to.function)) {
+                add('deceptive', i);
+            }
+        });
+
+        const last = analyzed[analyzed.length - 1];
+        const beforeLast = analyzed[analyzed.length - 2];
+        if (last && isV(last) && !(beforeLast && isV(beforeLast))) {
+            add('half', analyzed.length - 1);
+        }
+
+        return cadences;
+    }
 }
 
 // =============================================================================
@@ -783,9 +4888,23 @@ if (typeof window !== 'undefined') {
     window.MusicTheoryEngine = MusicTheoryEngine;
     window.SCALES = SCALES;
     window.CHORD_TYPES = CHORD_TYPES;
+    window.CHORD_DEGREES = CHORD_DEGREES;
+    window.INVERSION_NAMES = INVERSION_NAMES;
+    window.CHORD_VOICINGS = CHORD_VOICINGS;
+    window.DIATONIC_CHORD_SIZES = DIATONIC_CHORD_SIZES;
+    window.CADENCE_TYPES = CADENCE_TYPES;
+    window.CHORD_SCALE_MODES = CHORD_SCALE_MODES;
+    window.WORLD_SCALES = WORLD_SCALES;
+    window.TIMBRE_PRESETS = TIMBRE_PRESETS;
+    window.FORTE_SET_CLASSES = FORTE_SET_CLASSES;
+    window.NEO_RIEMANNIAN_OPERATIONS = NEO_RIEMANNIAN_OPERATIONS;
     window.INTERVALS = INTERVALS;
     window.PROGRESSIONS = PROGRESSIONS;
     window.NOTE_NAMES = NOTE_NAMES;
+    window.NOTE_NAMES_FLAT = NOTE_NAMES_FLAT;
+    window.NOTE_NAMES_COMMON = NOTE_NAMES_COMMON;
+    window.TUNING_SYSTEMS = TUNING_SYSTEMS;
+    window.KEY_PROFILES = KEY_PROFILES;
 }
 
 // Export for module usage
@@ -794,8 +4913,22 @@ if (typeof module !== 'undefined' && module.exports) {
         MusicTheoryEngine,
         SCALES,
         CHORD_TYPES,
+        CHORD_DEGREES,
+        INVERSION_NAMES,
+        CHORD_VOICINGS,
+        DIATONIC_CHORD_SIZES,
+        CADENCE_TYPES,
+        CHORD_SCALE_MODES,
+        WORLD_SCALES,
+        TIMBRE_PRESETS,
+        FORTE_SET_CLASSES,
+        NEO_RIEMANNIAN_OPERATIONS,
         INTERVALS,
         PROGRESSIONS,
-        NOTE_NAMES
+        NOTE_NAMES,
+        NOTE_NAMES_FLAT,
+        NOTE_NAMES_COMMON,
+        TUNING_SYSTEMS,
+        KEY_PROFILES
     };
 }